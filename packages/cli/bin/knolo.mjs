@@ -33,7 +33,7 @@ const DEFAULT_CONFIG = {
 };
 const SUPPORTED_EXTENSIONS = new Set(['.md', '.txt', '.json']);
 const SKIP_DIRS = new Set(['node_modules', 'dist', '.git', '.dfx', '.cargo-target']);
-const SUBCOMMANDS = new Set(['init', 'add', 'build', 'query', 'dev', 'semantic:index', 'semantic:inspect', 'semantic:validate']);
+const SUBCOMMANDS = new Set(['init', 'add', 'build', 'query', 'merge', 'dev', 'semantic:index', 'semantic:inspect', 'semantic:validate']);
 const ICP_SUBCOMMANDS = new Set(['init', 'build-pack', 'upload', 'query']);
 const ICP_TEMPLATE_CANDIDATES = [
   path.resolve(__dirname, '../templates/icp-knowledge-canister'),
@@ -82,6 +82,7 @@ Commands:
   add <name> <path>       Add or update a source entry in config
   build                   Build a .knolo pack from configured sources
   query <question>        Query a built pack and print top hits
+  merge <packs...>        Merge .knolo packs into one (--out <path>)
   dev                     Watch config/sources and rebuild on change
   icp                     Scaffold and operate an ICP-native knowledge canister
 
@@ -98,6 +99,7 @@ function printCommandHelp(command) {
     add: 'Usage: knolo add <name> <path>',
     build: 'Usage: knolo build',
     query: 'Usage: knolo query <question> [--pack <path>] [--k <number>] [--json]',
+    merge: 'Usage: knolo merge <a.knolo> <b.knolo> [...more.knolo] --out <c.knolo> [--pack-version 3|4] [--agent-conflict error|first|last] [--no-semantic]',
     dev: 'Usage: knolo dev',
     icp: 'Usage: knolo icp <command> [options]',
     'semantic:index': 'Usage: knolo semantic:index --pack <path> [--out <path>] [--model <id>] [--endpoint <url>]',
@@ -606,11 +608,11 @@ async function cmdQuery(core, args) {
   const packBuffer = readFileSync(packPath);
   const bytes = Uint8Array.from(packBuffer);
   const kb = await mountPackFromBytes(core, bytes);
-  const hits = core.query(kb, question, { topK }).map((hit) => ({
+  const hits = core.query(kb, question, { topK, snippet: true }).map((hit) => ({
     title: kb.headings?.[hit.blockId] || hit.source || `Block ${hit.blockId}`,
     source: hit.source || kb.docIds?.[hit.blockId] || 'unknown',
     score: Number(hit.score.toFixed(4)),
-    snippet: hit.text.replace(/\s+/g, ' ').slice(0, 200),
+    snippet: hit.snippet?.text ?? hit.text.replace(/\s+/g, ' ').slice(0, 200),
   }));
 
   if (opts.json) {
@@ -635,6 +637,42 @@ async function cmdQuery(core, args) {
   });
 }
 
+async function cmdMerge(core, args) {
+  const { positional, flags } = parseFlagArgs(args, { booleanFlags: ['no-semantic'] });
+  if (positional.length < 2 || !flags.out) {
+    throw createError('Usage: knolo merge <a.knolo> <b.knolo> [...more.knolo] --out <c.knolo>');
+  }
+  if (typeof core.mergePacks !== 'function') {
+    throw createError('This version of @knolo/core does not support mergePacks. Upgrade @knolo/core.');
+  }
+
+  const agentConflict = flags['agent-conflict'];
+  if (agentConflict !== undefined && !['error', 'first', 'last'].includes(agentConflict)) {
+    throw createError('--agent-conflict must be one of: error, first, last.');
+  }
+
+  const packs = [];
+  for (const input of positional) {
+    const packPath = path.resolve(process.cwd(), input);
+    if (!existsSync(packPath)) throw createError(`Pack file not found at ${path.relative(process.cwd(), packPath)}.`);
+    packs.push(await mountPackFromBytes(core, Uint8Array.from(readFileSync(packPath))));
+  }
+
+  const packVersion = flags['pack-version'] !== undefined ? Number(flags['pack-version']) : undefined;
+  const bytes = await core.mergePacks(packs, {
+    ...(packVersion !== undefined ? { packVersion } : {}),
+    ...(agentConflict !== undefined ? { agents: { onConflict: agentConflict } } : {}),
+    ...(flags['no-semantic'] ? { semantic: { enabled: false } } : {}),
+  });
+
+  const outPath = path.resolve(process.cwd(), flags.out);
+  mkdirSync(path.dirname(outPath), { recursive: true });
+  writeFileSync(outPath, bytes);
+  const blocks = packs.reduce((sum, pack) => sum + pack.blocks.length, 0);
+  console.log(`✔ merged ${packs.length} packs (${blocks} blocks)`);
+  console.log(`✔ wrote ${path.relative(process.cwd(), outPath)}`);
+}
+
 function parseKeyValueArgs(args) {
   const out = {};
   for (let i = 0; i < args.length; i++) {
@@ -998,6 +1036,7 @@ async function main() {
       const core = await loadCore();
       if (command === 'build') return await cmdBuild(core);
       if (command === 'query') return await cmdQuery(core, commandArgs);
+      if (command === 'merge') return await cmdMerge(core, commandArgs);
       if (command === 'dev') return await cmdDev(core);
       if (command === 'semantic:index') return await cmdSemanticIndex(core, commandArgs);
       if (command === 'semantic:inspect') return await cmdSemanticInspect(core, commandArgs);
@@ -164,6 +164,29 @@ test('query returns hit from sample doc', () => {
   assert.match(output, /docs\/hello\.md/);
 });
 
+test('merge combines packs into one queryable pack', () => {
+  const cwd = mkdtempSync(path.join(tmpdir(), 'knolo-cli-merge-'));
+  for (const team of ['alpha', 'beta']) {
+    const docsDir = path.join(cwd, team);
+    mkdirSync(docsDir, { recursive: true });
+    writeFileSync(path.join(docsDir, `${team}.md`), `# ${team}\n\nThe ${team} team owns ${team}-billing.\n`, 'utf8');
+    runCli(['icp', 'build-pack', `./${team}`, '--out', `./dist/${team}.knolo`], cwd);
+  }
+
+  const output = runCli(['merge', './dist/alpha.knolo', './dist/beta.knolo', '--out', './dist/all.knolo'], cwd);
+  assert.match(output, /merged 2 packs \(2 blocks\)/);
+  assert.match(output, /wrote dist\/all\.knolo/);
+
+  const hits = runCli(['query', 'beta billing', '--pack', './dist/all.knolo'], cwd);
+  assert.match(hits, /beta\.md/);
+
+  assert.throws(() => runCli(['merge', './dist/alpha.knolo', '--out', './dist/x.knolo'], cwd), /Usage: knolo merge/);
+  assert.throws(
+    () => runCli(['merge', './dist/alpha.knolo', './dist/beta.knolo', '--out', './dist/x.knolo', '--agent-conflict', 'lst'], cwd),
+    /--agent-conflict must be one of: error, first, last/
+  );
+});
+
 test('add updates existing source path', () => {
   const cwd = mkdtempSync(path.join(tmpdir(), 'knolo-cli-add-'));
   runCli(['init'], cwd);
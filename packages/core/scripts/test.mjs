@@ -1,6 +1,7 @@
 import assert from 'node:assert/strict';
 import { mkdtemp, writeFile, rm, readFile, mkdir } from 'node:fs/promises';
 import { execFile } from 'node:child_process';
+import http from 'node:http';
 import { promisify } from 'node:util';
 import os from 'node:os';
 import path from 'node:path';
@@ -9,6 +10,8 @@ import {
   buildPack,
   mountPack,
   query,
+  queryPage,
+  queryBatch,
   makeContextPatch,
   decodeScaleF16,
   lexConfidence,
@@ -43,6 +46,22 @@ import {
   serializeSidecar,
   parseSidecar,
   validateSidecarForPack,
+  getChunkNeighbors,
+  createLivePack,
+  createQueryCache,
+  fetchOnDemand,
+  mergePacks,
+  createPackSet,
+  inspectPack,
+  diffPacks,
+  getTermIndex,
+  termDocFreq,
+  verifyPack,
+  registerAnalyzer,
+  getAnalyzer,
+  listAnalyzers,
+  parseQuery,
+  QueryParseError,
 } from '../dist/index.js';
 import { mountPack as mountPackNode } from '../dist/node.js';
 
@@ -241,6 +260,983 @@ async function testPackStoresOneBasedTokenPositions() {
   );
 }
 
+async function testChunkingSplitsLongDocs() {
+  const docs = [
+    {
+      id: 'guide',
+      heading: 'Guide',
+      namespace: 'docs',
+      text: [
+        'Intro paragraph about the guide.',
+        '# Install',
+        'Run the installer to deploy knolo packs.',
+        '```sh',
+        '# not a heading inside a fence',
+        '```',
+        '## Configure',
+        'Edit the config file before querying.',
+      ].join('\n'),
+    },
+    { id: 'short', text: 'A short note about configuration.' },
+  ];
+  const pack = await mountPack({
+    src: await buildPack(docs, { chunking: { strategy: 'heading' } }),
+  });
+
+  assert.equal(pack.meta.stats.docs, 2);
+  assert.equal(pack.meta.stats.blocks, 4, 'expected one block per section');
+  assert.deepEqual(pack.meta.chunking, { strategy: 'heading' });
+  assert.deepEqual(pack.headings, ['Guide', 'Install', 'Configure', null]);
+  assert.deepEqual(pack.docIds, ['guide', 'guide', 'guide', 'short']);
+  assert.deepEqual(pack.namespaces, ['docs', 'docs', 'docs', null]);
+  assert.deepEqual(pack.blockDocs, [0, 0, 0, 1]);
+  assert.deepEqual(pack.blockChunks, [0, 1, 2, 0]);
+
+  const hits = query(pack, 'installer deploy', { topK: 1 });
+  assert.equal(hits[0]?.source, 'guide');
+  assert.deepEqual(hits[0]?.chunk, { doc: 0, index: 1 });
+  assert.deepEqual(getChunkNeighbors(pack, hits[0].blockId), [0, 1, 2]);
+  assert.deepEqual(getChunkNeighbors(pack, 3, 2), [3]);
+
+  const windowed = await mountPack({
+    src: await buildPack(
+      [{ id: 'long', text: Array.from({ length: 25 }, (_, i) => `w${i}`).join(' ') }],
+      { chunking: { strategy: 'tokens', maxTokens: 10, overlap: 2 } }
+    ),
+  });
+  assert.deepEqual(windowed.blocks, [
+    'w0 w1 w2 w3 w4 w5 w6 w7 w8 w9',
+    'w8 w9 w10 w11 w12 w13 w14 w15 w16 w17',
+    'w16 w17 w18 w19 w20 w21 w22 w23 w24',
+  ]);
+  assert.deepEqual(windowed.blockChunks, [0, 1, 2]);
+
+  const paragraphs = await mountPack({
+    src: await buildPack(
+      [{ id: 'p', text: 'First paragraph.\n\nSecond paragraph.\n  \nThird.' }],
+      { chunking: { strategy: 'paragraph' } }
+    ),
+  });
+  assert.deepEqual(paragraphs.blocks, ['First paragraph.', 'Second paragraph.', 'Third.']);
+
+  const plain = await mountPack({ src: await buildPack(docs) });
+  assert.equal(plain.blocks.length, 2, 'expected no chunking by default');
+  assert.equal(plain.blockDocs, undefined);
+  assert.equal(query(plain, 'installer', { topK: 1 })[0]?.chunk, undefined);
+
+  await assert.rejects(
+    () => buildPack(docs, { chunking: { strategy: 'tokens', maxTokens: 4, overlap: 4 } }),
+    /chunking\.overlap must be smaller than chunking\.maxTokens/
+  );
+  await assert.rejects(
+    () => buildPack(docs, { chunking: { strategy: 'sentences' } }),
+    /chunking\.strategy/
+  );
+}
+
+async function testStructuredMarkdownExtraction() {
+  const doc = {
+    id: 'api',
+    heading: 'API Guide',
+    namespace: 'docs',
+    text: [
+      '# Client',
+      'The client wraps **every** call',
+      'and retries with `retry_budget` set.',
+      '',
+      '## Install',
+      '- Run `npm i knolo` first',
+      '- Then see [the docs](https://example.com/docs)',
+      '',
+      '| Flag | Meaning |',
+      '| --- | --- |',
+      '| --k | result count |',
+      '',
+      '```ts',
+      'const pack = await mountPack({ src: "./kb.knolo" });',
+      '  query(pack, "retry_budget");',
+      '```',
+    ].join('\n'),
+  };
+
+  const legacy = await mountPack({ src: await buildPack([doc]) });
+  assert.ok(!legacy.blocks[0].includes('mountPack'), 'strip mode still drops fenced code');
+  assert.equal(legacy.meta.markdown, undefined);
+
+  const inline = await mountPack({ src: await buildPack([doc], { markdown: { mode: 'structured' } }) });
+  assert.equal(
+    inline.blocks[0],
+    [
+      'Client',
+      '',
+      'The client wraps every call and retries with retry_budget set.',
+      '',
+      'Install',
+      '',
+      'Run npm i knolo first',
+      'Then see the docs',
+      '',
+      'Flag | Meaning',
+      '--k | result count',
+      '',
+      'const pack = await mountPack({ src: "./kb.knolo" });',
+      '  query(pack, "retry_budget");',
+    ].join('\n')
+  );
+  assert.deepEqual(inline.meta.markdown, { mode: 'structured', code: 'inline', codeNamespace: 'code' });
+  assert.deepEqual(inline.blockBreadcrumbs, [['API Guide']]);
+  assert.equal(query(inline, 'mountPack', { topK: 1 })[0]?.source, 'api', 'code content is searchable');
+
+  const bytes = await buildPack([doc, { id: 'faq', text: 'Plain answer.' }], {
+    packVersion: 4,
+    chunking: { strategy: 'heading' },
+    markdown: { mode: 'structured', code: 'separate', codeNamespace: 'snippets' },
+  });
+  for (const pack of [await mountPack({ src: bytes }), await mountPack({ src: bytes, lazy: true })]) {
+    assert.deepEqual(Array.from(pack.namespaces), ['docs', 'docs', 'snippets', null]);
+    assert.deepEqual(Array.from(pack.headings), ['Client', 'Install', 'Install', null]);
+    assert.deepEqual(Array.from(pack.blockBreadcrumbs), [
+      ['API Guide', 'Client'],
+      ['API Guide', 'Client', 'Install'],
+      ['API Guide', 'Client', 'Install'],
+      null,
+    ]);
+    assert.deepEqual(Array.from(pack.blockDocs), [0, 0, 0, 1]);
+    assert.deepEqual(Array.from(pack.blockChunks), [0, 1, 2, 0]);
+    assert.equal(pack.blocks[2], 'const pack = await mountPack({ src: "./kb.knolo" });\n  query(pack, "retry_budget");');
+    assert.ok(!pack.blocks[1].includes('mountPack'));
+  }
+  const mounted = await mountPack({ src: bytes });
+  const [codeHit] = query(mounted, 'mountPack', { namespace: 'snippets' });
+  assert.deepEqual(codeHit.breadcrumb, ['API Guide', 'Client', 'Install']);
+  assert.deepEqual(codeHit.chunk, { doc: 0, index: 2 });
+  assert.equal(query(mounted, 'mountPack', { namespace: 'docs' }).length, 0);
+
+  // Unchunked docs still get separate code blocks with chunk refs.
+  const unchunked = await mountPack({
+    src: await buildPack([doc], { markdown: { mode: 'structured', code: 'separate' } }),
+  });
+  assert.deepEqual(unchunked.namespaces, ['docs', 'code']);
+  assert.deepEqual(unchunked.blockChunks, [0, 1]);
+
+  // Token windows keep line breaks.
+  const windowed = await mountPack({
+    src: await buildPack([{ text: '- one two\n- three four\n\nfive six' }], {
+      chunking: { strategy: 'tokens', maxTokens: 4, overlap: 1 },
+      markdown: { mode: 'structured' },
+    }),
+  });
+  assert.deepEqual(windowed.blocks, ['one two\nthree four', 'four\n\nfive six']);
+
+  await assert.rejects(() => buildPack([doc], { markdown: { mode: 'html' } }), /markdown\.mode must be "strip" or "structured"/);
+  await assert.rejects(() => buildPack([doc], { markdown: { code: 'separate' } }), /require markdown\.mode "structured"/);
+}
+
+async function testAnalyzers() {
+  assert.deepEqual(listAnalyzers().filter((id) => ['standard', 'en', 'de', 'fr', 'es'].includes(id)).length, 5);
+  assert.deepEqual(getAnalyzer('en').analyze('The caches are deploying'), [
+    { term: 'cach', pos: 1 },
+    { term: 'deploy', pos: 3 },
+  ], 'stopwords are dropped but positions keep their gaps');
+  assert.equal(getAnalyzer('de').analyze('Häuser')[0].term, 'haus');
+  assert.deepEqual(getAnalyzer('fr').analyze('rapidement rapide').map((t) => t.term), ['rapid', 'rapid']);
+  assert.equal(getAnalyzer('es').analyze('servidores')[0].term, 'servidor');
+
+  const docs = [
+    { id: 'rollout', text: 'The service deploys nightly after tests passed.' },
+    { id: 'cache', text: 'Cached responses expire after ten minutes.' },
+  ];
+  const standard = await mountPack({ src: await buildPack(docs) });
+  assert.equal(standard.meta.analyzer, undefined);
+  assert.equal(query(standard, 'deploying').length, 0, 'standard packs keep exact-term matching');
+
+  const english = await mountPack({ src: await buildPack(docs, { analyzer: 'en' }) });
+  assert.equal(english.meta.analyzer, 'en');
+  assert.ok(!english.lexicon.has('the'), 'stopwords are not indexed');
+  for (const q of ['deploying', 'deploy', 'DEPLOYED']) {
+    assert.equal(query(english, q, { topK: 1 })[0]?.source, 'rollout', `"${q}" matches through the stemmer`);
+  }
+  assert.equal(query(english, 'caching', { topK: 1 })[0]?.source, 'cache');
+  assert.equal(query(english, '"deploys nightly"', { topK: 1 })[0]?.source, 'rollout', 'quoted phrases still match');
+
+  registerAnalyzer('ops-en', { language: 'en', synonyms: [['release', 'deploy', 'ship']] });
+  const synonyms = await mountPack({ src: await buildPack(docs, { analyzer: 'ops-en' }) });
+  assert.equal(query(synonyms, 'shipping', { topK: 1 })[0]?.source, 'rollout');
+  assert.throws(() => registerAnalyzer('en', {}), /built-in analyzer/);
+  assert.throws(() => registerAnalyzer('bad', { language: 'xx' }), /language must be one of/);
+
+  await assert.rejects(() => buildPack(docs, { analyzer: 'missing' }), /buildPack\(\.\.\.\): unknown analyzer "missing"/);
+  registerAnalyzer('temporary', { stopwords: ['service'] });
+  const orphan = await mountPack({ src: await buildPack(docs, { analyzer: 'temporary' }) });
+  assert.throws(
+    () => query({ ...orphan, meta: { ...orphan.meta, analyzer: 'unregistered' } }, 'service'),
+    /query\(\.\.\.\): unknown analyzer "unregistered"/
+  );
+
+  await assert.rejects(() => mergePacks([english, standard]), /analyzer "standard" but pack 0 uses "en"/);
+  assert.equal((await mountPack({ src: await mergePacks([english, english]) })).meta.analyzer, 'en');
+  assert.throws(() => createPackSet([standard, english]), /pack 1 was built with analyzer "en"/);
+  assert.equal(createPackSet([english, english]).query('deploying').length, 2);
+
+  const live = await createLivePack(english);
+  await live.addDocument({ id: 'ship', text: 'Deploying the gateway requires approval.' });
+  assert.deepEqual(live.query('deployed').map((hit) => hit.source).sort(), ['rollout', 'ship']);
+  assert.equal((await mountPack({ src: await live.serialize() })).meta.analyzer, 'en');
+}
+
+async function testMultilingualSegmentation() {
+  const docs = [
+    { id: 'zh', text: '知识包可以在浏览器中离线检索。' },
+    { id: 'ja', text: '東京都の店舗でナレッジパックを使います。' },
+    { id: 'ko', text: '한국어 문서 검색을 지원합니다.' },
+    { id: 'th', text: 'ระบบค้นหาภาษาไทยทำงานแบบออฟไลน์' },
+    { id: 'mixed', text: 'Knolo使用指南 covers deploy steps.' },
+    { id: 'far', text: '离线模式说明。这里还有很多其他内容，然后才提到检索。' },
+  ];
+  const standard = await mountPack({ src: await buildPack(docs) });
+  assert.equal(query(standard, '检索').length, 0, 'whitespace packs keep one term per sentence');
+
+  const pack = await mountPack({ src: await buildPack(docs, { analyzer: 'multilingual' }) });
+  assert.equal(pack.meta.analyzer, 'multilingual');
+  assert.equal(query(pack, '浏览器', { topK: 1 })[0]?.source, 'zh');
+  assert.equal(query(pack, '東京都', { topK: 1 })[0]?.source, 'ja');
+  assert.equal(query(pack, 'ナレッジ', { topK: 1 })[0]?.source, 'ja');
+  assert.equal(query(pack, '검색', { topK: 1 })[0]?.source, 'ko');
+  assert.equal(query(pack, 'ภาษาไทย', { topK: 1 })[0]?.source, 'th');
+  assert.equal(query(pack, '指南', { topK: 1 })[0]?.source, 'mixed');
+  assert.equal(query(pack, 'deploy', { topK: 1 })[0]?.source, 'mixed', 'latin words are unaffected');
+
+  // Bigram positions are consecutive, so phrases and proximity still work.
+  assert.deepEqual(query(pack, '"离线检索"').map((hit) => hit.source), ['zh']);
+  assert.deepEqual(query(pack, '离线', { requirePhrases: ['离线模式'] }).map((hit) => hit.source), ['far']);
+  assert.deepEqual(query(pack, '离线 检索').map((hit) => hit.source), ['zh', 'far']);
+
+  // A lone character matches the bigrams containing it, wherever it sits in a run.
+  const pets = await mountPack({
+    src: await buildPack(
+      [
+        { id: 'cat', text: '我家的猫喜欢晒太阳。' },
+        { id: 'water', text: '每天都要喝水' },
+        { id: 'dog', text: '狗在公园里跑。' },
+      ],
+      { analyzer: 'multilingual' }
+    ),
+  });
+  const pet = (q) => query(pets, q, { queryExpansion: { enabled: false } }).map((hit) => hit.source);
+  assert.deepEqual(pet('猫'), ['cat']);
+  assert.deepEqual(pet('水'), ['water']);
+  assert.deepEqual(pet('+猫 狗'), ['cat']);
+  assert.deepEqual(pet('狗 -猫'), ['dog']);
+
+  assert.throws(() => registerAnalyzer('bad-seg', { segmentation: 'icu' }), /segmentation must be/);
+  registerAnalyzer('en-multilingual', { language: 'en', segmentation: 'multilingual' });
+  const combined = await mountPack({ src: await buildPack(docs, { analyzer: 'en-multilingual' }) });
+  assert.equal(query(combined, 'deploying 指南', { topK: 1 })[0]?.source, 'mixed');
+}
+
+async function testFuzzyQuery() {
+  const pack = await mountPack({
+    src: await buildPack([
+      { id: 'k8s', text: 'Kubernetes deployment guide for the cluster.' },
+      { id: 'pg', text: 'Postgres backup schedule for the cluster.' },
+      { id: 'kb', text: 'Kibana dashboards and alerts.' },
+    ]),
+  });
+
+  assert.equal(query(pack, 'kubernets').length, 0, 'fuzzy matching is opt-in');
+  const [hit] = query(pack, 'kubernets', { fuzzy: {} });
+  assert.equal(hit.source, 'k8s');
+  assert.deepEqual(hit.evidence.corrections, [{ from: 'kubernets', to: 'kubernetes', edits: 1 }]);
+  assert.equal(query(pack, 'kuberentes', { fuzzy: {} })[0]?.source, 'k8s', 'a transposition is one edit');
+
+  assert.equal(query(pack, 'kubrnetis', { fuzzy: {} }).length, 0);
+  assert.equal(query(pack, 'kubrnetis', { fuzzy: { maxEdits: 2 } })[0]?.source, 'k8s');
+  assert.equal(query(pack, 'jubernetes', { fuzzy: {} }).length, 0, 'the first character must match by default');
+  assert.equal(query(pack, 'jubernetes', { fuzzy: { prefix: 0 } })[0]?.source, 'k8s');
+  assert.equal(query(pack, 'ks', { fuzzy: { maxEdits: 2 } }).length, 0, 'short terms are never corrected');
+
+  // Known terms are not corrected, and corrections score below exact matches.
+  const mixed = query(pack, 'postgress kibana', { fuzzy: {} });
+  assert.deepEqual(mixed.map((h) => h.source), ['kb', 'pg']);
+  assert.equal(mixed[0].evidence.corrections, undefined);
+  assert.deepEqual(mixed[1].evidence.corrections, [{ from: 'postgress', to: 'postgres', edits: 1 }]);
+
+  assert.throws(() => validateQueryOptions({ fuzzy: { maxEdits: 3 } }), /fuzzy\.maxEdits must be 1 or 2/);
+  assert.throws(() => validateQueryOptions({ fuzzy: { prefix: -1 } }), /fuzzy\.prefix/);
+  assert.throws(() => validateQueryOptions({ fuzzy: { maxExpansions: 0 } }), /fuzzy\.maxExpansions/);
+}
+
+async function testPrefixAndWildcardQueries() {
+  const docs = [
+    { id: 'deploy', text: 'Deploying the gateway needs a deployment token.' },
+    { id: 'config', text: 'Configuration reference for the gateway.' },
+    { id: 'confirm', text: 'Confirmation emails after signup.' },
+    { id: 'phrase', text: 'Use "deploy* safely" wording in docs.' },
+  ];
+  const bytes = await buildPack(docs, { packVersion: 4 });
+  const pack = await mountPack({ src: bytes });
+  assert.deepEqual(pack.sortedTerms, [...pack.lexicon.keys()].filter((t) => !t.startsWith('\u0001')).sort(), 'body terms are sorted at mount');
+  const noExpansion = { queryExpansion: { enabled: false } };
+
+  assert.deepEqual(query(pack, 'deploym*', noExpansion).map((h) => h.source), ['deploy']);
+  assert.deepEqual(query(pack, 'conf*', noExpansion).map((h) => h.source).sort(), ['config', 'confirm']);
+  assert.deepEqual(query(pack, 'conf*ion', noExpansion).map((h) => h.source).sort(), ['config', 'confirm']);
+  assert.deepEqual(query(pack, 'conf*mation', noExpansion).map((h) => h.source), ['confirm']);
+  assert.equal(query(pack, '*ation', noExpansion).length, 0, 'patterns need a literal prefix');
+  assert.equal(query(pack, 'zzz*', noExpansion).length, 0);
+
+  // Search-as-you-type: only the unfinished last token is a prefix.
+  assert.equal(query(pack, 'gateway confi', { ...noExpansion, prefixLastToken: true })[0]?.source, 'config');
+  assert.deepEqual(query(pack, 'confi', { ...noExpansion, prefixLastToken: true }).map((h) => h.source).sort(), ['config', 'confirm']);
+  assert.equal(query(pack, 'confi ', { ...noExpansion, prefixLastToken: true }).length, 0, 'a trailing space ends the word');
+  assert.equal(query(pack, 'confi', noExpansion).length, 0);
+
+  // Quoted phrases keep their literal text, and the cap keeps the most common terms.
+  assert.deepEqual(query(pack, '"deploy* safely"', noExpansion).map((h) => h.source), ['phrase']);
+  assert.deepEqual(query(pack, 'conf*', { ...noExpansion, maxWildcardTerms: 1 }).map((h) => h.source), ['config']);
+
+  const lazy = await mountPack({ src: bytes, lazy: true });
+  assert.deepEqual(query(lazy, 'deploym*', noExpansion).map((h) => h.source), ['deploy']);
+  const set = createPackSet([pack, await mountPack({ src: await buildPack([{ id: 'extra', text: 'Deployment checklist' }]) })]);
+  assert.deepEqual(set.query('deploym*', noExpansion).map((h) => h.source).sort(), ['deploy', 'extra']);
+
+  assert.throws(() => validateQueryOptions({ prefixLastToken: 'yes' }), /prefixLastToken must be a boolean/);
+  assert.throws(() => validateQueryOptions({ maxWildcardTerms: 0 }), /maxWildcardTerms must be a positive integer/);
+}
+
+async function testBooleanQuerySyntax() {
+  const docs = [
+    { id: 'billing/refunds.md', namespace: 'billing', heading: 'Refund policy', text: 'A refund is issued to the original card within five days.' },
+    { id: 'billing/invoices.md', namespace: 'billing', heading: 'Invoices', text: 'Invoices list every card charge and refund.' },
+    { id: 'support/refunds.md', namespace: 'support', heading: 'Handling refund requests', text: 'Escalate a refund request when the card was stolen.' },
+    { id: 'docs/install.md', namespace: 'docs', heading: 'Install', text: 'Install the CLI with npm, then run knolo build.' },
+  ];
+  const pack = await mountPack({ src: await buildPack(docs) });
+  const noExpansion = { queryExpansion: { enabled: false } };
+  const sources = (q, opts = {}) => query(pack, q, { ...noExpansion, ...opts }).map((h) => h.source).sort();
+
+  // +must and -exclude
+  assert.deepEqual(sources('refund'), ['billing/invoices.md', 'billing/refunds.md', 'support/refunds.md']);
+  assert.deepEqual(sources('refund +stolen'), ['support/refunds.md']);
+  assert.deepEqual(sources('refund -card'), []);
+  assert.deepEqual(sources('refund -stolen -invoices'), ['billing/refunds.md']);
+  assert.deepEqual(sources('refund -"original card"'), ['billing/invoices.md', 'support/refunds.md']);
+
+  // OR groups are required when prefixed or alone inside parentheses.
+  assert.deepEqual(sources('card +(stolen OR invoices)'), ['billing/invoices.md', 'support/refunds.md']);
+  assert.deepEqual(sources('+card +(npm OR (issued -stolen))'), ['billing/refunds.md']);
+  assert.deepEqual(sources('install OR npm'), ['docs/install.md']);
+
+  // Field prefixes filter like the namespace/source options.
+  assert.deepEqual(sources('refund ns:billing'), ['billing/invoices.md', 'billing/refunds.md']);
+  assert.deepEqual(sources('refund (ns:support OR source:billing/invoices.md)'), ['billing/invoices.md', 'support/refunds.md']);
+  assert.deepEqual(sources('refund -ns:billing'), ['support/refunds.md']);
+  assert.deepEqual(sources('refund heading:policy'), ['billing/refunds.md']);
+  assert.deepEqual(sources('refund heading:"refund requests"'), ['support/refunds.md']);
+  assert.deepEqual(sources('card ns:docs'), []);
+
+  // Plain queries are unchanged; wildcards and prefixLastToken still apply.
+  const lexical = (q) => query(pack, q).map((h) => [h.source, h.evidence?.lexicalScore]);
+  assert.deepEqual(lexical('(refund card)'), lexical('refund card'));
+  assert.deepEqual(sources('"original card"'), ['billing/refunds.md']);
+  assert.deepEqual(sources('inv* -charge'), []);
+  assert.deepEqual(sources('card -stol', { prefixLastToken: true }), ['billing/invoices.md', 'billing/refunds.md']);
+  assert.deepEqual(sources('a-b C++ call() (x-ray)'), []);
+
+  assert.deepEqual(parseQuery('+a -"b c" (d OR ns:x)'), {
+    clauses: [
+      { occur: 'must', node: { type: 'term', text: 'a' } },
+      { occur: 'mustNot', node: { type: 'phrase', text: 'b c' } },
+      {
+        occur: 'should',
+        node: {
+          type: 'group',
+          clauses: [
+            {
+              occur: 'should',
+              node: {
+                type: 'or',
+                nodes: [
+                  { type: 'term', text: 'd' },
+                  { type: 'field', field: 'namespace', value: 'x', quoted: false },
+                ],
+              },
+            },
+          ],
+        },
+      },
+    ],
+  });
+
+  const parseError = (q, pattern, position) => {
+    assert.throws(() => query(pack, q, { strictSyntax: true }), (err) => {
+      assert.ok(err instanceof QueryParseError, `${q}: expected QueryParseError`);
+      assert.match(err.message, pattern);
+      assert.equal(err.position, position, `${q}: position`);
+      return true;
+    });
+  };
+  parseError('(refund card', /missing "\)"/, 0);
+  parseError('refund ) card', /unexpected "\)"/, 7);
+  parseError('refund "card', /unterminated quoted phrase/, 7);
+  parseError('refund OR', /OR needs a term on both sides/, 7);
+  parseError('refund () card', /empty parentheses/, 7);
+  parseError('+refund OR card', /cannot be combined with OR/, 0);
+  parseError('refund ns:', /missing value for "ns:"/, 7);
+  parseError('-refund ns:billing', /at least one word or phrase/, 0);
+
+  // Without strictSyntax, malformed syntax is read as words.
+  assert.deepEqual(sources('(refund card'), sources('refund card'));
+  assert.deepEqual(sources('refund ) card'), sources('refund card'));
+  assert.deepEqual(sources('refund "card'), sources('refund card'));
+  assert.deepEqual(sources('refund OR'), sources('refund or'));
+  assert.deepEqual(sources('refund () card'), sources('refund card'));
+  assert.deepEqual(sources('+refund OR card'), sources('refund OR card'));
+  assert.deepEqual(sources('refund ns:'), sources('refund ns'));
+  assert.deepEqual(sources('source: refund'), sources('source refund'));
+  assert.deepEqual(sources('refund "card', { prefixLastToken: true }), sources('refund card', { prefixLastToken: true }));
+  assert.deepEqual(sources('-refund'), []);
+  assert.deepEqual(sources('-refund ns:billing'), []);
+  for (const [stacked, single] of [['--refund card', '-refund card'], ['++refund', '+refund'], ['+-refund', '+refund'], ['-+refund card', '-refund card']]) {
+    assert.deepEqual(parseQuery(stacked), parseQuery(single), `${stacked}: the first operator applies`);
+    assert.deepEqual(sources(stacked), sources(single), stacked);
+  }
+  parseError('--refund', /unexpected "-"/, 1);
+  assert.deepEqual(parseQuery('x OR').clauses.map((c) => c.node), [
+    { type: 'term', text: 'x' },
+    { type: 'term', text: 'OR' },
+  ]);
+}
+
+async function testFieldWeightedIndexing() {
+  const docs = [
+    { id: 'guides/setup.md', heading: 'Install guide', text: 'Steps to set up the CLI on a new laptop.' },
+    { id: 'notes/misc.md', heading: 'Misc notes', text: 'You can install plugins later from the registry.' },
+    { id: 'runbooks/rollback.md', heading: 'Runbook', text: 'Revert the last release and page the on-call engineer.' },
+  ];
+  const bytes = await buildPack(docs);
+  const pack = await mountPack({ src: bytes });
+  assert.deepEqual(pack.meta.fields, ['heading', 'docId']);
+  const noExpansion = { queryExpansion: { enabled: false } };
+
+  // Headings and doc ids retrieve blocks their body text does not mention.
+  assert.deepEqual(query(pack, 'install', noExpansion).map((h) => h.source).sort(), ['guides/setup.md', 'notes/misc.md']);
+  assert.deepEqual(query(pack, 'rollback', noExpansion).map((h) => h.source), ['runbooks/rollback.md']);
+  assert.equal(query(pack, 'install guide', noExpansion)[0].source, 'guides/setup.md');
+  assert.deepEqual(query(pack, 'install', { ...noExpansion, namespace: 'other' }), [], 'filters still apply to field matches');
+
+  // Queries with only field clauses retrieve through the field terms.
+  assert.deepEqual(query(pack, 'heading:install', noExpansion).map((h) => h.source), ['guides/setup.md']);
+  assert.deepEqual(query(pack, 'heading:"install guide"', { ...noExpansion, strictSyntax: true }).map((h) => h.source), ['guides/setup.md']);
+  assert.deepEqual(query(pack, 'source:runbooks/rollback.md', noExpansion).map((h) => h.source), ['runbooks/rollback.md']);
+  assert.deepEqual(query(pack, 'heading:install OR heading:runbook', noExpansion).map((h) => h.source).sort(), ['guides/setup.md', 'runbooks/rollback.md']);
+  assert.deepEqual(query(pack, '-heading:install', noExpansion), []);
+  assert.deepEqual(query(pack, 'heading:install ns:other', noExpansion), []);
+
+  // Field terms stay out of wildcard expansion and term statistics.
+  assert.deepEqual(query(pack, 'rollb*', noExpansion), []);
+  assert.ok(inspectPack(pack).topTerms.every(({ term }) => !term.startsWith('\u0001')));
+  const bodyTerms = (p) => [...p.lexicon.keys()].filter((term) => !term.startsWith('\u0001')).length;
+  assert.ok(bodyTerms(pack) < pack.lexicon.size);
+  assert.equal(pack.meta.stats.terms, bodyTerms(pack));
+
+  const merged = await mountPack({ src: await mergePacks([pack, pack]) });
+  assert.deepEqual(merged.meta.fields, ['heading', 'docId']);
+  assert.equal(merged.meta.stats.terms, bodyTerms(merged));
+  assert.equal(query(merged, 'rollback', noExpansion)[0]?.source, 'runbooks/rollback.md');
+  const set = createPackSet([pack, merged]);
+  assert.equal(set.query('rollback', noExpansion)[0]?.source, 'runbooks/rollback.md');
+}
+
+async function testRankingOptions() {
+  const docs = [
+    { id: 'setup', heading: 'Install', text: 'Steps to set up the CLI, then install plugins.' },
+    { id: 'plugins', heading: 'Plugins', text: 'Install plugins from the registry. Plugins install into the project and install fast.' },
+    { id: 'cache', heading: 'Cache', text: 'Clear the plugin cache when an install fails.' },
+  ];
+  const pack = await mountPack({ src: await buildPack(docs) });
+  const base = { queryExpansion: { enabled: false } };
+  const scores = (ranking) =>
+    Object.fromEntries(query(pack, 'install', { ...base, ranking }).map((h) => [h.source, h.evidence.lexicalScore]));
+
+  // Explicit defaults reproduce the untuned ranking exactly.
+  const defaults = {
+    k1: 1.5,
+    b: 0.75,
+    headingBoost: 0.3,
+    phraseBoost: 0.6,
+    fieldWeights: { body: 1, heading: 2, docId: 1 },
+    proximityStrength: 0.15,
+    knsBoost: 0.02,
+    mmr: { lambda: 0.8, simThreshold: 0.92 },
+  };
+  assert.deepEqual(query(pack, 'install plugins', { ...base, ranking: defaults }), query(pack, 'install plugins', base));
+
+  assert.ok(scores({ fieldWeights: { heading: 6 } }).setup > scores().setup, 'heading weight raises heading matches');
+  assert.ok(scores({ fieldWeights: { heading: 0 } }).setup < scores().setup);
+  assert.ok(scores({ k1: 5 }).plugins > scores().plugins, 'higher k1 saturates repeated terms later');
+  assert.ok(scores({ b: 0 }).plugins !== scores().plugins);
+  assert.equal(query(pack, 'install', { ...base, ranking: { mmr: { simThreshold: 0 } } }).length, 1, 'threshold 0 treats every hit as a duplicate');
+
+  // Agents carry ranking defaults; the caller's values win field by field.
+  const registry = {
+    version: 1,
+    agents: [
+      {
+        id: 'tuned',
+        version: 1,
+        systemPrompt: ['Tuned agent.'],
+        retrievalDefaults: { namespace: ['docs'], ranking: { k1: 2, fieldWeights: { heading: 3, docId: 0 } } },
+      },
+    ],
+  };
+  const agentPack = await mountPack({ src: await buildPack(docs, { agents: registry }) });
+  const resolved = resolveAgent(agentPack, { agentId: 'tuned', query: { ranking: { b: 0.5, fieldWeights: { heading: 1 } } } });
+  assert.deepEqual(resolved.retrievalOptions.ranking, { k1: 2, b: 0.5, fieldWeights: { heading: 1, docId: 0 } });
+  assert.equal(resolveAgent(agentPack, { agentId: 'tuned' }).retrievalOptions.ranking.k1, 2);
+
+  assert.throws(() => validateQueryOptions({ ranking: { k1: 0 } }), /ranking\.k1 must be a finite number > 0/);
+  assert.throws(() => validateQueryOptions({ ranking: { b: 1.5 } }), /ranking\.b must be a number between 0 and 1/);
+  assert.throws(() => validateQueryOptions({ ranking: { knsBoost: -1 } }), /ranking\.knsBoost must be a finite number >= 0/);
+  assert.throws(() => validateQueryOptions({ ranking: { fieldWeights: { title: 1 } } }), /ranking\.fieldWeights\.title is not a known field/);
+  assert.throws(() => validateQueryOptions({ ranking: { mmr: { lambda: 2 } } }), /ranking\.mmr\.lambda must be a number between 0 and 1/);
+  await assert.rejects(
+    () => buildPack(docs, { agents: [{ ...registry.agents[0], retrievalDefaults: { namespace: ['docs'], ranking: { phraseBoost: -1 } } }] }),
+    /ranking\.phraseBoost/
+  );
+}
+
+async function testExplainMode() {
+  const pack = await mountPack({
+    src: await buildPack([
+      { id: 'a', heading: 'Deploy guide', text: 'Deploy the gateway with a rollout token. The rollout is staged.' },
+      { id: 'b', heading: 'Tokens', text: 'Rotate the rollout token monthly.' },
+      { id: 'c', text: 'Gateway configuration and rollout staging.' },
+    ]),
+  });
+  const q = 'deploy "rollout token" gatewy';
+  const plain = query(pack, q, { fuzzy: {} });
+  const explained = query(pack, q, { fuzzy: {}, explain: true });
+  assert.ok(plain.every((hit) => hit.evidence.explain === undefined), 'explain is opt-in');
+  const strip = (hits) => hits.map(({ evidence: { explain, ...evidence }, ...hit }) => ({ ...hit, evidence }));
+  assert.deepEqual(strip(explained), plain, 'explain does not change results');
+
+  const [top] = explained;
+  const ex = top.evidence.explain;
+  assert.equal(top.source, 'a');
+  const byTerm = Object.fromEntries(ex.terms.map((t) => [t.term, t]));
+  assert.equal(byTerm.deploy.origin, 'query');
+  assert.deepEqual(byTerm.deploy.fields, { heading: 1 });
+  assert.equal(byTerm.rollout.tf, 2);
+  assert.equal(byTerm.rollout.df, 3);
+  assert.equal(byTerm.gateway.origin, 'fuzzy');
+  assert.equal(byTerm.gateway.tf, 0.5);
+  assert.deepEqual(ex.expansionTerms, ex.terms.filter((t) => t.origin === 'expansion').map((t) => t.term));
+  assert.ok(Math.abs(ex.bm25 - ex.terms.reduce((sum, t) => sum + t.score, 0)) < 1e-9);
+  assert.equal(ex.length.tokens, 11);
+  assert.equal(ex.phraseBoost, 1.6);
+  assert.equal(ex.headingBoost, 1, 'indexed headings are scored as a field instead');
+  assert.ok(ex.proximity.span >= 1 && ex.proximity.multiplier > 1);
+  const lexical = ex.bm25 * ex.proximity.multiplier * ex.phraseBoost * ex.headingBoost;
+  assert.ok(Math.abs(lexical - top.evidence.lexicalScore) < 1e-9, 'the multipliers reproduce the lexical score');
+  assert.ok(Math.abs(top.evidence.lexicalScore * ex.knsBoost - top.score) < 1e-9);
+  assert.deepEqual(ex.graphTerms, []);
+  assert.deepEqual(explained.map((hit) => hit.evidence.explain.mmr.rank), explained.map((_, i) => i));
+  assert.equal(ex.mmr.maxSimilarity, 0);
+  assert.equal(typeof ex.mmr.score, 'number');
+
+  assert.throws(() => validateQueryOptions({ explain: 'yes' }), /explain must be a boolean/);
+}
+
+async function testHighlightedSnippets() {
+  const filler = 'Unrelated background about the office kitchen and weekly lunch plans. '.repeat(6);
+  const text = `${filler}Deploying the gateway needs a rollout token. ${filler}The gateway logs every deploy.`;
+  const pack = await mountPack({
+    src: await buildPack([{ id: 'ops', text }, { id: 'misc', text: 'Lunch plans for the team.' }], { analyzer: 'en' }),
+  });
+  const noExpansion = { queryExpansion: { enabled: false } };
+  const [plain] = query(pack, 'deploy gateway', noExpansion);
+  assert.equal(plain.snippet, undefined, 'snippets are opt-in');
+
+  const [hit] = query(pack, 'deploy gateway', { ...noExpansion, snippet: true });
+  assert.equal(hit.source, 'ops');
+  assert.equal(hit.snippet.fragments.length, 1);
+  const [fragment] = hit.snippet.fragments;
+  assert.ok(fragment.end - fragment.start <= 200);
+  assert.equal(hit.text.slice(fragment.start, fragment.end), fragment.text);
+  const words = fragment.highlights.map(({ start, end }) => hit.text.slice(start, end));
+  assert.deepEqual(words, ['Deploying', 'gateway'], 'stemmed words are highlighted as typed');
+  assert.ok(fragment.start > 0 && hit.snippet.text.startsWith('… '));
+  assert.ok(hit.snippet.text.includes('Deploying the gateway needs a rollout token.'));
+
+  const [multi] = query(pack, 'deploy gateway', { ...noExpansion, snippet: { windowChars: 60, maxFragments: 3 } });
+  const fragments = multi.snippet.fragments;
+  assert.equal(fragments.length, 2, 'only windows with a match are added');
+  assert.ok(fragments[0].end <= fragments[1].start, 'fragments are in text order and do not overlap');
+  assert.deepEqual(
+    fragments[1].highlights.map(({ start, end }) => text.slice(start, end)),
+    ['gateway', 'deploy']
+  );
+  assert.ok(multi.snippet.text.includes(' … ') && multi.snippet.text.endsWith('every deploy.'));
+
+  const [wild] = query(pack, 'rollo*', { ...noExpansion, snippet: { windowChars: 40 } });
+  assert.deepEqual(
+    wild.snippet.fragments[0].highlights.map(({ start, end }) => text.slice(start, end)),
+    ['rollout']
+  );
+
+  const [fallback] = query(pack, 'lunch', { ...noExpansion, snippet: { windowChars: 20 } });
+  assert.equal(fallback.snippet.fragments[0].highlights.length, 1);
+
+  assert.throws(() => validateQueryOptions({ snippet: 'yes' }), /snippet must be a boolean or an object/);
+  assert.throws(() => validateQueryOptions({ snippet: { windowChars: 5 } }), /windowChars must be an integer >= 20/);
+  assert.throws(() => validateQueryOptions({ snippet: { maxFragments: 0 } }), /maxFragments must be a positive integer/);
+}
+
+async function testQueryPagination() {
+  const topics = ['billing', 'search', 'mobile', 'storage', 'auth', 'logging', 'email', 'cache'];
+  const docs = [];
+  for (let i = 0; i < 40; i++) {
+    const topic = topics[i % topics.length];
+    docs.push({
+      id: `doc-${i}`,
+      text: `The gateway ${'routes '.repeat(1 + (i % 5))}${topic} traffic for service ${i} in region ${i % 3}.`,
+    });
+  }
+  // Near-duplicates MMR drops, so pages cannot be cut from one flat ranking.
+  docs.push({ id: 'dup-a', text: 'The gateway routes routes billing traffic for service 99 in region 0.' });
+  docs.push({ id: 'dup-b', text: 'The gateway routes routes billing traffic for service 99 in region 0!' });
+  const pack = await mountPack({ src: await buildPack(docs) });
+  const opts = { topK: 3, queryExpansion: { enabled: false } };
+
+  assert.deepEqual(query(pack, 'gateway routes', { ...opts, offset: 0 }), query(pack, 'gateway routes', opts));
+
+  const seen = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const page = queryPage(pack, 'gateway routes', { ...opts, ...(cursor ? { cursor } : {}) });
+    assert.equal(page.offset, pages * 3);
+    assert.deepEqual(
+      page.hits.map((hit) => hit.blockId),
+      query(pack, 'gateway routes', { ...opts, offset: page.offset }).map((hit) => hit.blockId),
+      'a cursor page equals the same offset page'
+    );
+    assert.deepEqual(queryPage(pack, 'gateway routes', { ...opts, offset: page.offset }), page, 'pages are deterministic');
+    seen.push(...page.hits.map((hit) => hit.source));
+    cursor = page.nextCursor;
+    pages++;
+    if (cursor) assert.equal(page.hits.length, 3, 'only the last page is short');
+  } while (cursor);
+  assert.equal(new Set(seen).size, seen.length, 'pages never repeat a hit');
+  assert.equal(seen.length, 41, 'every match but one near-duplicate is reachable');
+  assert.ok(pages > 10, 'paging goes past the first candidate batch');
+
+  const last = queryPage(pack, 'gateway routes', { ...opts, offset: 39 });
+  assert.equal(last.hits.length, 2);
+  assert.equal(last.nextCursor, undefined);
+  assert.deepEqual(query(pack, 'gateway routes', { ...opts, offset: 100 }), []);
+
+  const first = queryPage(pack, 'gateway routes', opts);
+  const reordered = { queryExpansion: { enabled: false }, topK: 3, cursor: first.nextCursor };
+  assert.equal(queryPage(pack, 'gateway routes', reordered).offset, 3, 'option order does not matter');
+  assert.throws(() => query(pack, 'gateway traffic', { ...opts, cursor: first.nextCursor }), /different query or options/);
+  assert.throws(() => query(pack, 'gateway routes', { ...opts, topK: 4, cursor: first.nextCursor }), /different query or options/);
+  assert.throws(() => query(pack, 'gateway routes', { ...opts, cursor: 'page-2' }), /not a valid query cursor/);
+  assert.throws(() => validateQueryOptions({ offset: -1 }), /offset must be an integer >= 0/);
+  assert.throws(() => validateQueryOptions({ offset: 0, cursor: first.nextCursor }), /either offset or cursor/);
+
+  const set = createPackSet([pack, pack]);
+  const setPage = set.queryPage('gateway routes', { ...opts, offset: 3 });
+  assert.deepEqual(setPage.hits, set.query('gateway routes', { ...opts, offset: 3 }));
+}
+
+async function testPositionalPhrases() {
+  const docs = [
+    { id: 'exact', heading: 'Rollout token guide', text: 'Issue a rollout token before the deploy.' },
+    { id: 'gap', heading: 'Tokens', text: 'The rollout uses a signed token for each deploy.' },
+    { id: 'reversed', text: 'Every token rollout is audited.' },
+    { id: 'stemmed', text: 'Deploying a gateway takes minutes.' },
+  ];
+  const pack = await mountPack({ src: await buildPack(docs, { analyzer: 'en' }) });
+  const ids = (q, opts = {}) =>
+    query(pack, q, { queryExpansion: { enabled: false }, ...opts })
+      .map((hit) => hit.source)
+      .sort();
+
+  assert.deepEqual(ids('"rollout token"'), ['exact']);
+  assert.deepEqual(ids('"rollout token"~1'), ['exact']);
+  assert.deepEqual(ids('"rollout token"~3'), ['exact', 'gap'], 'slop allows words in between');
+  assert.deepEqual(ids('"rollout token"~9'), ['exact', 'gap'], 'terms stay in order');
+  assert.deepEqual(ids('"deploy the gateway"'), ['stemmed'], 'phrases match analyzed terms and stopword gaps');
+  assert.deepEqual(ids('"deploy gateway"'), [], 'a missing stopword gap is displacement');
+  assert.deepEqual(ids('"deploy gateway"~1'), ['stemmed']);
+  assert.deepEqual(ids('rollout -"rollout token"~3'), ['reversed']);
+  assert.deepEqual(ids('token +("token rollout" OR "signed token")'), ['gap', 'reversed']);
+  assert.deepEqual(ids('token heading:"guide token"'), []);
+  assert.deepEqual(ids('token heading:"rollout token"'), ['exact']);
+  assert.deepEqual(ids('minutes', { requirePhrases: ['rollout token'] }), []);
+  assert.deepEqual(ids('audit', { requirePhrases: ['token rollout'] }), ['reversed'], 'phrase-only queries score the phrase terms');
+  assert.deepEqual(ids('"the a"'), ids('the a'), 'phrases of stopwords only are dropped');
+
+  const ranked = query(pack, '"rollout token"~3', { queryExpansion: { enabled: false } });
+  assert.deepEqual(ranked.map((hit) => hit.source), ['exact', 'gap'], 'the tighter match ranks first');
+
+  // Repeated terms with a huge slop stay linear instead of backtracking through every combination.
+  const xray = await mountPack({ src: await buildPack([{ id: 'xray', text: `${'xray '.repeat(100)}zed` }]) });
+  const start = Date.now();
+  assert.deepEqual(query(xray, '"xray xray xray xray xray xray zed"~100000', { queryExpansion: { enabled: false } }).map((hit) => hit.source), ['xray']);
+  assert.deepEqual(query(xray, '"zed xray"~100000', { queryExpansion: { enabled: false } }), [], 'terms stay in order at any slop');
+  const elapsedMs = Date.now() - start;
+  assert.ok(elapsedMs < 1000, `large-slop phrase took ${elapsedMs}ms`);
+
+  assert.deepEqual(parseQuery('"a b"~3 c').clauses[0], { occur: 'must', node: { type: 'phrase', text: 'a b', slop: 3 } });
+  assert.deepEqual(parseQuery('"a b" c').clauses[0].node, { type: 'phrase', text: 'a b' });
+  assert.throws(() => parseQuery('"a b"~x', { strict: true }), (err) => err instanceof QueryParseError && err.position === 5);
+  assert.deepEqual(parseQuery('"a b"~x').clauses[0].node, { type: 'phrase', text: 'a b' });
+}
+
+async function testQueryCache() {
+  const bytes = await buildPack([
+    { id: 'deploy', text: 'Deploy the gateway with a rollout token.' },
+    { id: 'rotate', text: 'Rotate the rollout token monthly.' },
+    { id: 'billing', text: 'Invoices are issued monthly.' },
+  ]);
+  const pack = await mountPack({ src: bytes });
+  const cache = createQueryCache({ maxEntries: 2 });
+  const base = { topK: 5, queryExpansion: { enabled: false } };
+
+  const fresh = query(pack, 'rollout token', base);
+  assert.deepEqual(query(pack, 'rollout token', { ...base, cache }), fresh);
+  assert.deepEqual(query(pack, '  rollout   token ', { queryExpansion: { enabled: false }, cache, topK: 5 }), fresh);
+  assert.deepEqual(cache.stats(), { hits: 1, misses: 1, evictions: 0, size: 1 }, 'whitespace and option order share an entry');
+
+  const copy = query(pack, 'rollout token', { ...base, cache });
+  copy[0].text = 'mutated';
+  copy.pop();
+  assert.deepEqual(query(pack, 'rollout token', { ...base, cache }), fresh, 'returned hits are copies');
+
+  const remounted = await mountPack({ src: bytes });
+  assert.deepEqual(query(remounted, 'rollout token', { ...base, cache }), fresh);
+  assert.deepEqual(cache.stats(), { hits: 3, misses: 2, evictions: 0, size: 2 }, 'entries are per pack');
+  assert.equal(query(pack, 'rollout OR token', { ...base, cache }).length, 2);
+  assert.deepEqual(cache.stats(), { hits: 3, misses: 3, evictions: 1, size: 2 }, 'case of OR is significant');
+  query(pack, 'rollout token', { ...base, cache });
+  assert.equal(cache.stats().misses, 4, 'the least recently used entry was evicted');
+
+  const page = queryPage(pack, 'rollout', { ...base, topK: 1, cache });
+  assert.deepEqual(queryPage(pack, 'rollout', { ...base, topK: 1, cache }), page);
+  assert.deepEqual(queryPage(pack, 'rollout', { ...base, topK: 1, cursor: page.nextCursor }).hits, queryPage(pack, 'rollout', { ...base, topK: 1, cursor: page.nextCursor, cache }).hits, 'cursors ignore the cache');
+
+  const live = await createLivePack(pack);
+  const liveCache = createQueryCache();
+  assert.deepEqual(live.query('monthly', { ...base, cache: liveCache }).map((hit) => hit.source).sort(), ['billing', 'rotate']);
+  assert.equal(liveCache.size, 1);
+  await live.addDocument({ id: 'report', text: 'Reports are sent monthly.' });
+  assert.equal(liveCache.size, 0, 'writes invalidate cached results');
+  assert.deepEqual(live.query('monthly', { ...base, cache: liveCache }).map((hit) => hit.source).sort(), ['billing', 'report', 'rotate']);
+  await live.removeDocument('report');
+  assert.deepEqual(live.query('monthly', { ...base, cache: liveCache }).map((hit) => hit.source).sort(), ['billing', 'rotate']);
+
+  cache.clear();
+  assert.equal(cache.size, 0);
+  assert.throws(() => validateQueryOptions({ cache: new Map() }), /cache must be a QueryCache/);
+  assert.throws(() => createQueryCache({ maxEntries: 0 }), /maxEntries must be a positive integer/);
+}
+
+async function testQueryBatch() {
+  const pack = await mountPack({
+    src: await buildPack([
+      { id: 'deploy', heading: 'Deploy guide', text: 'Deploy the gateway with a rollout token.' },
+      { id: 'rotate', text: 'Rotate the rollout token monthly.' },
+      { id: 'billing', namespace: 'billing', text: 'Invoices are issued monthly by the billing gateway.' },
+    ]),
+  });
+  const queries = ['rollout token', '"rollout token"', 'gateway -billing', 'month*', 'ns:billing gateway', 'nothing here', 'rollout token'];
+  const opts = { topK: 3, explain: true, snippet: true };
+  const batch = queryBatch(pack, queries, opts);
+  assert.equal(batch.length, queries.length);
+  assert.deepEqual(batch, queries.map((q) => query(pack, q, opts)), 'each query ranks as query() does');
+  assert.deepEqual(batch[5], []);
+  assert.deepEqual(queryBatch(pack, []), []);
+  assert.deepEqual(queryBatch(pack, ['rollout'], { offset: 1 }), [query(pack, 'rollout', { offset: 1 })]);
+
+  const cache = createQueryCache();
+  queryBatch(pack, queries, { ...opts, cache });
+  assert.deepEqual(cache.stats(), { hits: 1, misses: 6, evictions: 0, size: 6 });
+  assert.deepEqual(query(pack, 'month*', { ...opts, cache }), batch[3]);
+
+  const set = createPackSet([pack, pack]);
+  assert.deepEqual(set.queryBatch(['rollout', 'invoices']), [set.query('rollout'), set.query('invoices')]);
+  const live = await createLivePack(pack);
+  await live.addDocument({ id: 'report', text: 'Monthly rollout report.' });
+  assert.deepEqual(live.queryBatch(['rollout', 'monthly']), [live.query('rollout'), live.query('monthly')]);
+
+  assert.throws(() => queryBatch(pack, 'rollout'), /queries must be an array of strings/);
+  assert.throws(() => queryBatch(pack, ['ok', 3]), /queries must be an array of strings/);
+  assert.throws(() => queryBatch(pack, ['ok'], { cursor: 'c1.1.abc' }), /use offset for batches/);
+  assert.throws(() => queryBatch(pack, ['ok', '(broken'], { strictSyntax: true }), QueryParseError);
+}
+
+async function testFreshness() {
+  const notes = (id, updatedAt, extra = '') => ({
+    id,
+    text: `Release notes: gateway rollout changes${extra}.`,
+    ...(updatedAt === undefined ? {} : { metadata: { updatedAt } }),
+  });
+  const pack = await mountPack({
+    src: await buildPack([
+      notes('old', '2024-10-01', ' with gateway fixes and gateway tuning for the edge cluster'),
+      notes('recent', '2026-10-12', ' for the billing service and audit exports'),
+      notes('epoch', Date.parse('2026-06-01'), ' covering search indexing and queue workers'),
+      notes('undated', undefined, ' about mobile clients and push notifications'),
+    ]),
+  });
+  const now = '2026-10-19T00:00:00Z';
+  const base = { topK: 4, queryExpansion: { enabled: false } };
+  const ids = (opts) => query(pack, 'gateway rollout', { ...base, ...opts }).map((h) => h.source);
+
+  assert.equal(ids({})[0], 'old', 'without freshness the denser old notes win');
+  assert.deepEqual(ids({ freshness: { halfLifeDays: 365, weight: 0.9, now } }), ['recent', 'epoch', 'old', 'undated']);
+
+  const [plain] = query(pack, 'gateway rollout', { ...base, source: 'recent' });
+  const [fresh] = query(pack, 'gateway rollout', {
+    ...base,
+    source: 'recent',
+    freshness: { halfLifeDays: 7, weight: 0.5, now },
+    explain: true,
+  });
+  const multiplier = fresh.evidence.explain.freshness;
+  assert.ok(Math.abs(multiplier - 0.75) < 1e-9, 'one half-life at weight 0.5 keeps 3/4 of the score');
+  assert.ok(Math.abs(fresh.score - plain.score * multiplier) < 1e-9);
+  assert.equal(plain.evidence.explain, undefined);
+
+  assert.deepEqual(ids({ updatedAfter: '2026-01-01' }).sort(), ['epoch', 'recent']);
+  assert.deepEqual(ids({ updatedAfter: new Date('2026-07-01') }), ['recent']);
+  assert.deepEqual(ids({ updatedAfter: Date.parse('2027-01-01') }), []);
+
+  const custom = await mountPack({
+    src: await buildPack([
+      { id: 'a', text: 'gateway rollout', metadata: { published: '2026-10-01' } },
+      { id: 'b', text: 'gateway rollout', metadata: { published: '2020-10-01' } },
+    ]),
+  });
+  assert.deepEqual(
+    query(custom, 'gateway rollout', { ...base, freshness: { field: 'published' }, updatedAfter: '2025-01-01' }).map((h) => h.source),
+    ['a']
+  );
+
+  // Dates are bound into cursors by value.
+  const paged = (updatedAfter, cursor) => queryPage(pack, 'gateway rollout', { ...base, topK: 1, updatedAfter, cursor });
+  const page1 = paged(new Date('2026-01-01'));
+  const page2 = paged(new Date('2026-01-01'), page1.nextCursor);
+  assert.deepEqual([...page1.hits, ...page2.hits].map((h) => h.source).sort(), ['epoch', 'recent']);
+  assert.throws(() => paged(new Date('2025-01-01'), page1.nextCursor), /different query or options/);
+
+  // Scores aged from the clock bypass the cache; a fixed `now` is cached.
+  const cache = createQueryCache();
+  query(pack, 'gateway rollout', { ...base, freshness: {}, cache });
+  queryPage(pack, 'gateway rollout', { ...base, freshness: {}, cache });
+  queryBatch(pack, ['gateway', 'rollout'], { ...base, freshness: {}, cache });
+  assert.equal(cache.size, 0);
+  query(pack, 'gateway rollout', { ...base, freshness: { now }, cache });
+  query(pack, 'gateway rollout', { ...base, freshness: { now }, cache });
+  assert.deepEqual(cache.stats(), { hits: 1, misses: 1, evictions: 0, size: 1 });
+
+  assert.throws(() => query(pack, 'gateway', { freshness: { halfLifeDays: 0 } }), /halfLifeDays must be a finite number > 0/);
+  assert.throws(() => query(pack, 'gateway', { freshness: { weight: 2 } }), /weight must be between 0 and 1/);
+  assert.throws(() => query(pack, 'gateway', { freshness: { field: '' } }), /field must be a non-empty string/);
+  assert.throws(() => query(pack, 'gateway', { freshness: { now: 'yesterday' } }), /freshness.now must be/);
+  assert.throws(() => query(pack, 'gateway', { updatedAfter: 'last week' }), /updatedAfter must be/);
+}
+
+async function testDocBoostsAndPins() {
+  const docs = [
+    { id: 'blog-auth', text: 'Blog: how we call the auth token endpoint, with auth token tips and auth token tricks.' },
+    { id: 'api-auth', text: 'API reference: the auth token endpoint.', boost: 3 },
+    { id: 'faq', text: 'FAQ: billing questions and invoices.', namespace: 'support' },
+    { id: 'status', text: 'Status page for outages.' },
+  ];
+  const pack = await mountPack({ src: await buildPack(docs) });
+  const base = { queryExpansion: { enabled: false } };
+  const ids = (q, opts = {}) => query(pack, q, { ...base, ...opts }).map((h) => h.source);
+
+  assert.deepEqual(pack.blockBoosts, [1, 3, 1, 1]);
+  const unboosted = await mountPack({ src: await buildPack(docs.map(({ boost, ...doc }) => doc)) });
+  assert.deepEqual(query(unboosted, 'auth token', base).map((h) => h.source), ['blog-auth', 'api-auth']);
+  assert.deepEqual(ids('auth token'), ['api-auth', 'blog-auth'], 'the boosted reference outranks the blog post');
+
+  const [boosted] = query(pack, 'auth token', { ...base, explain: true });
+  const [plain] = query(unboosted, 'auth token', { ...base, source: 'api-auth', explain: true });
+  assert.equal(boosted.evidence.explain.boost, 3);
+  assert.equal(plain.evidence.explain.boost, 1);
+  assert.ok(Math.abs(boosted.evidence.lexicalScore - 3 * plain.evidence.lexicalScore) < 1e-9);
+
+  // Boosts survive lazy mounts, merges, pack sets and live updates.
+  const v4 = await buildPack(docs, { packVersion: 4 });
+  const lazy = await mountPack({ src: v4, lazy: true });
+  assert.deepEqual(query(lazy, 'auth token', base).map((h) => h.source), ['api-auth', 'blog-auth']);
+  const merged = await mountPack({ src: await mergePacks([unboosted, pack]) });
+  assert.deepEqual(merged.blockBoosts, [1, 1, 1, 1, 1, 3, 1, 1]);
+  assert.equal(createPackSet([unboosted, pack]).query('auth token', base)[0].pack.index, 1);
+  const live = await createLivePack(unboosted);
+  await live.updateDocument({ id: 'api-auth', boost: 3 });
+  assert.equal(live.query('auth token', base)[0].source, 'api-auth');
+  assert.deepEqual(diffPacks(unboosted, pack).changed, [{ docId: 'api-auth', fields: ['boost'] }]);
+
+  // Pins: curated docs first for known queries, whether or not they match.
+  const pin = [
+    { query: 'Auth Token?', docId: 'status' },
+    { query: 'auth token', docId: 'blog-auth' },
+    { query: 'auth token', docId: 'missing' },
+    { query: 'invoices', docId: 'faq' },
+  ];
+  const hits = query(pack, '  auth   token ', { ...base, pin });
+  assert.deepEqual(hits.map((h) => h.source), ['status', 'blog-auth', 'api-auth']);
+  assert.deepEqual(hits.map((h) => h.evidence.pinned ?? false), [true, true, false]);
+  assert.equal(hits[0].score, 0, 'a pinned doc the query did not match keeps score 0');
+  assert.deepEqual(ids('auth', { pin }), ['api-auth', 'blog-auth'], 'other queries are not pinned');
+  assert.deepEqual(ids('nothing matches this', { pin: [{ query: 'nothing matches this', docId: 'faq' }] }), ['faq']);
+  assert.deepEqual(ids('invoices', { pin, namespace: 'other' }), [], 'filters still apply to pinned docs');
+  assert.deepEqual(ids('auth token', { pin, topK: 1 }), ['status']);
+  assert.deepEqual(ids('auth token', { pin, offset: 1 }), ['blog-auth', 'api-auth']);
+  assert.deepEqual(ids('auth token', { pin, minScore: 1000 }), ['status', 'blog-auth']);
+
+  await assert.rejects(buildPack([{ text: 'x', boost: 0 }]), /"boost" must be a finite number > 0/);
+  assert.throws(() => query(pack, 'auth', { pin: { query: 'auth', docId: 'faq' } }), /pin must be an array/);
+  assert.throws(() => query(pack, 'auth', { pin: [{ query: '  ', docId: 'faq' }] }), /pin\[0\]\.query must be a non-empty string/);
+  assert.throws(() => query(pack, 'auth', { pin: [{ query: 'auth' }] }), /pin\[0\]\.docId must be a non-empty string/);
+}
+
+async function testTermIndexRandomAccess() {
+  const docs = [
+    { id: 'a', text: 'alpha beta alpha' },
+    { id: 'b', text: 'beta gamma' },
+    { id: 'c', text: 'gamma delta beta' },
+  ];
+  const v3 = await mountPack({ src: await buildPack(docs) });
+  const v4 = await mountPack({ src: await buildPack(docs, { packVersion: 4 }) });
+
+  assert.equal(v3.termIndex, undefined, 'expected v3 term index to be lazy');
+  assert.ok(v4.termIndex, 'expected v4 term index to be decoded at mount');
+  const lazy = getTermIndex(v3);
+  assert.equal(getTermIndex(v3), lazy, 'expected lazy term index to be cached');
+  assert.deepEqual(Array.from(lazy.offsets), Array.from(v4.termIndex.offsets));
+  assert.deepEqual(Array.from(lazy.dfs), Array.from(v4.termIndex.dfs));
+
+  const postings = Array.from(v3.postings);
+  for (const [term, tid] of v3.lexicon) {
+    assert.equal(postings[lazy.offsets[tid] - 1], tid, `expected offset of ${term} to follow its header`);
+  }
+  assert.equal(termDocFreq(v3, v3.lexicon.get('beta')), 3);
+  assert.equal(termDocFreq(v3, v3.lexicon.get('alpha')), 1);
+  assert.equal(termDocFreq(v3, 999), 0);
+
+  const hits = query(v3, 'gamma delta', { topK: 3 });
+  assert.equal(hits[0]?.source, 'c');
+  assert.deepEqual(hits, query(v4, 'gamma delta', { topK: 3 }));
+}
+
 async function testNearDuplicateDedupe() {
   const docs = [
     {
@@ -422,6 +1418,77 @@ async function testSourceFiltering() {
   );
 }
 
+async function testMetadataFiltering() {
+  const docs = [
+    {
+      id: 'v1-install',
+      text: 'Install the agent with the legacy installer.',
+      metadata: { version: 1, language: 'en', updatedAt: '2025-03-01', tags: ['setup'] },
+    },
+    {
+      id: 'v2-install',
+      text: 'Install the agent with the package manager.',
+      metadata: { version: 2, language: 'en', updatedAt: '2026-01-15', tags: ['setup', 'cli'] },
+    },
+    {
+      id: 'v2-install-de',
+      text: 'Install the agent (German translation pending).',
+      metadata: { version: 2, language: 'de', updatedAt: '2026-02-01', author: null },
+    },
+    { id: 'plain', text: 'Install notes without metadata.' },
+  ];
+  const bytes = await buildPack(docs);
+  const pack = await mountPack({ src: bytes });
+  const ids = (opts) =>
+    query(pack, 'install agent', { topK: 10, ...opts })
+      .map((h) => h.source)
+      .sort();
+
+  assert.deepEqual(pack.blockMetadata[3], null);
+  const [hit] = query(pack, 'package manager', { metadata: { version: 2 } });
+  assert.deepEqual(hit.metadata, docs[1].metadata);
+
+  assert.deepEqual(ids({ metadata: { version: 2 } }), ['v2-install', 'v2-install-de']);
+  assert.deepEqual(ids({ metadata: { language: { in: ['de', 'fr'] } } }), ['v2-install-de']);
+  assert.deepEqual(ids({ metadata: { updatedAt: { gte: '2026-01-01', lt: '2026-02-01' } } }), [
+    'v2-install',
+  ]);
+  assert.deepEqual(ids({ metadata: { tags: 'cli' } }), ['v2-install']);
+  assert.deepEqual(ids({ metadata: { tags: { ne: 'cli' }, version: { lte: 1 } } }), ['v1-install']);
+  assert.deepEqual(ids({ metadata: { version: { exists: false } } }), ['plain']);
+  assert.deepEqual(ids({ metadata: { version: { gt: '1' } } }), [], 'range bounds only compare same-typed values');
+  assert.deepEqual(ids({ namespace: 'none', metadata: { version: 2 } }), []);
+
+  // Filters hold across query-expansion scans.
+  assert.ok(
+    query(pack, 'legacy installer', { topK: 10, metadata: { version: 2 } }).every(
+      (h) => h.metadata?.version === 2
+    )
+  );
+
+  // Metadata survives v4 lazy mounts and LivePack rebuilds.
+  const lazy = await mountPack({ src: await buildPack(docs, { packVersion: 4 }), lazy: true });
+  assert.deepEqual(
+    query(lazy, 'install agent', { metadata: { language: 'de' } }).map((h) => h.source),
+    ['v2-install-de']
+  );
+  const live = await createLivePack(pack);
+  await live.updateDocument({ id: 'plain', metadata: { version: 3 } });
+  assert.deepEqual(
+    live.query('install notes', { metadata: { version: 3 } }).map((h) => h.source),
+    ['plain']
+  );
+  const rebuilt = await mountPack({ src: await live.serialize() });
+  assert.deepEqual(rebuilt.blockMetadata[rebuilt.docIds.indexOf('v1-install')], docs[0].metadata);
+
+  assert.throws(() => query(pack, 'install', { metadata: { version: { between: [1, 2] } } }), /metadata\.version\.between is not a supported condition/);
+  assert.throws(() => query(pack, 'install', { metadata: { tags: ['a'] } }), /metadata\.tags must be a string, number, boolean or a condition object/);
+  await assert.rejects(
+    () => buildPack([{ text: 'bad', metadata: { nested: { a: 1 } } }]),
+    /Invalid doc at index 0: "metadata\.nested" must be a string/
+  );
+}
+
 async function testContextPatchSourcePropagation() {
   const docs = [
     {
@@ -1703,6 +2770,209 @@ function claimGraphFixtureDocs() {
   ];
 }
 
+async function testPackSetQuery() {
+  const teamA = claimGraphFixtureDocs();
+  const teamB = [
+    { id: 'doc-gamma', namespace: 'ops', text: 'Gamma deploys are append only and reproducible.', metadata: { team: 'b' } },
+    { id: 'doc-delta', heading: 'Determinism', text: 'Deterministic builds make knowledge packs reproducible.' },
+    { id: 'doc-epsilon', namespace: 'ops', text: 'Rollbacks restore the previous pack.', metadata: { team: 'b' } },
+  ];
+  const a = await mountPack({ src: await buildPack(teamA) });
+  const b = await mountPack({ src: await buildPack(teamB, { packVersion: 4 }), lazy: true });
+  const monolith = await mountPack({ src: await buildPack([...teamA, ...teamB]) });
+  const set = createPackSet([{ id: 'team-a', pack: a }, { id: 'team-b', pack: b }]);
+
+  const strip = (hits) => hits.map(({ source, score, text, namespace }) => ({ source, score, text, namespace }));
+  for (const [q, opts] of [
+    ['reproducible', {}],
+    ['append only', {}],
+    ['deterministic knowledge graph', { topK: 3 }],
+    ['reproducible', { namespace: 'ops' }],
+    ['reproducible', { metadata: { team: 'b' } }],
+    ['delta log', { graph: { expand: true } }],
+  ]) {
+    assert.deepEqual(strip(set.query(q, opts)), strip(query(monolith, q, opts)), `global IDF for ${q}`);
+  }
+
+  const hits = set.query('reproducible');
+  const gamma = hits.find((hit) => hit.source === 'doc-gamma');
+  assert.deepEqual(gamma.pack, { index: 1, id: 'team-b' });
+  assert.equal(b.blocks[gamma.blockId], gamma.text, 'blockId is local to the member pack');
+  const beta = hits.find((hit) => hit.source === 'doc-beta');
+  assert.deepEqual(beta.pack, { index: 0, id: 'team-a' });
+  assert.deepEqual(createPackSet([a, b]).query('rollbacks')[0].pack, { index: 1 });
+
+  // Chunk refs are reported per member pack.
+  const chunked = await mountPack({
+    src: await buildPack([{ id: 'doc-notes', text: 'Intro.\n\nRollbacks need a pinned pack version.' }], {
+      chunking: { strategy: 'paragraph' },
+    }),
+  });
+  const [chunkHit] = createPackSet([a, chunked]).query('pinned rollbacks');
+  assert.deepEqual(chunkHit.chunk, { doc: 0, index: 1 });
+  assert.equal(chunkHit.blockId, 1);
+
+  assert.throws(() => createPackSet([]), /expected a non-empty array of packs/);
+  assert.throws(() => createPackSet([{ id: 'x', pack: a }, { id: 'x', pack: b }]), /duplicate pack id "x"/);
+  assert.throws(() => createPackSet([{ id: 'x', pack: {} }]), /pack 0 is not a mounted pack/);
+  assert.throws(() => set.query('x', { semantic: { sidecarPath: '{}' } }), /sidecars are per pack/);
+}
+
+async function testInspectAndDiffPacks() {
+  const docs = [
+    ...claimGraphFixtureDocs(),
+    { id: 'doc-gamma', namespace: 'ops', text: 'Gamma deploys are append only.', metadata: { team: 'ops' } },
+    { namespace: 'ops', text: 'An anonymous runbook note about deploys.' },
+  ];
+  const embeddings = docs.map((_, i) => new Float32Array(i === 3 ? [0, 0, 0, 0] : [1, i, 0, 0]));
+  for (const packVersion of [3, 4]) {
+    const bytes = await buildPack(docs, {
+      packVersion,
+      semantic: { enabled: true, modelId: 'test-model', embeddings },
+    });
+    const report = inspectPack(await mountPack({ src: bytes }), { topTerms: 3 });
+    assert.equal(report.version, packVersion);
+    assert.equal(report.totalBytes, bytes.length, `v${packVersion} section sizes add up to the pack`);
+    assert.deepEqual(
+      report.sections.map((section) => section.name).slice(0, 4),
+      ['meta', 'lexicon', 'postings', 'blocks']
+    );
+    assert.ok(report.sections.some((section) => section.name === 'claimGraph'));
+    assert.equal(report.topTerms.length, 3);
+    assert.ok(report.topTerms[0].df >= report.topTerms[1].df);
+    assert.deepEqual(report.topTerms[0], { term: 'append', df: 2 });
+    assert.deepEqual(report.namespaces, [
+      { namespace: null, blocks: 2 },
+      { namespace: 'ops', blocks: 2 },
+    ]);
+    assert.deepEqual(report.docs, { total: 4, withoutId: 1, blocksWithoutId: 1 });
+    assert.deepEqual(report.semantic, { modelId: 'test-model', dims: 4, vectors: 3, coverage: 0.75 });
+    assert.ok(report.claimGraph.nodes > 0);
+    assert.equal(report.claimGraph.edges, report.claimGraph.predicates.reduce((sum, p) => sum + p.edges, 0));
+  }
+  const plain = inspectPack(await mountPack({ src: await buildPack([{ text: 'plain' }], { graph: { enabled: false } }) }));
+  assert.equal(plain.semantic, null);
+  assert.equal(plain.claimGraph, null);
+  assert.throws(() => inspectPack(plain, { topTerms: -1 }), /topTerms must be a non-negative integer/);
+
+  const before = await mountPack({ src: await buildPack(docs) });
+  const after = await mountPack({
+    src: await buildPack(
+      [
+        docs[0],
+        { ...docs[2], metadata: { team: 'platform' } },
+        { id: 'doc-zeta', text: 'Zeta is new.' },
+        { id: 'doc-beta', heading: 'Beta', text: 'Delta Log is append only and compacted.' },
+      ],
+      { chunking: { strategy: 'heading' } }
+    ),
+  });
+  assert.deepEqual(diffPacks(before, after), {
+    added: ['doc-zeta'],
+    removed: [],
+    changed: [
+      { docId: 'doc-alpha', fields: ['heading'] },
+      { docId: 'doc-beta', fields: ['text', 'heading'] },
+      { docId: 'doc-gamma', fields: ['metadata'] },
+    ],
+    unchanged: 0,
+    blocksWithoutId: { a: 1, b: 0 },
+  });
+  const same = diffPacks(before, before);
+  assert.deepEqual(same.changed, []);
+  assert.equal(same.unchanged, 3);
+  assert.deepEqual(diffPacks(after, before).removed, ['doc-zeta']);
+}
+
+async function testMergePacks() {
+  const teamA = claimGraphFixtureDocs();
+  const teamB = [
+    { id: 'doc-gamma', namespace: 'ops', text: 'Gamma deploys are append only. See [Runbook](https://example.com/run).', metadata: { team: 'b' } },
+    { id: 'doc-delta', heading: 'Delta', text: 'Delta Log is append only.\nKnolo is a deterministic knowledge graph overlay.' },
+  ];
+  const agent = (id, prompt) => ({
+    id,
+    version: 1,
+    systemPrompt: [prompt],
+    retrievalDefaults: { namespace: ['ops'] },
+  });
+  const embed = (docs, offset) => docs.map((_, i) => new Float32Array([1, offset + i, 0, 0]));
+  const semantic = (docs, offset) => ({ enabled: true, modelId: 'test-model', embeddings: embed(docs, offset) });
+
+  const a = await mountPack({
+    src: await buildPack(teamA, { agents: [agent('shared', 'Shared prompt')], semantic: semantic(teamA, 0) }),
+  });
+  const b = await mountPack({
+    src: await buildPack(teamB, { agents: [agent('shared', 'Shared prompt'), agent('ops', 'Ops')], semantic: semantic(teamB, 2) }),
+  });
+  const all = [...teamA, ...teamB];
+  const expected = await mountPack({
+    src: await buildPack(all, { agents: [agent('shared', 'Shared prompt'), agent('ops', 'Ops')], semantic: semantic(all, 0) }),
+  });
+
+  const merged = await mountPack({ src: await mergePacks([a, b]) });
+  assert.deepEqual(merged.meta, expected.meta);
+  assert.deepEqual(new Set(merged.lexicon.keys()), new Set(expected.lexicon.keys()));
+  assert.deepEqual(merged.blocks, expected.blocks);
+  assert.deepEqual(merged.docIds, expected.docIds);
+  assert.deepEqual(merged.namespaces, expected.namespaces);
+  assert.deepEqual(merged.blockMetadata, expected.blockMetadata);
+  assert.deepEqual(merged.blockTokenLens, expected.blockTokenLens);
+  assert.equal(JSON.stringify(merged.claimGraph), JSON.stringify(expected.claimGraph));
+  assert.deepEqual(Array.from(merged.semantic.vecs), Array.from(expected.semantic.vecs));
+  for (const q of ['append only', 'deterministic knowledge graph', 'gamma deploys']) {
+    assert.deepEqual(query(merged, q), query(expected, q));
+  }
+
+  // v4 output, chunked inputs and lazy inputs.
+  const chunked = await mountPack({
+    src: await buildPack(
+      [{ id: 'doc-notes', text: 'First paragraph about deploys.\n\nSecond paragraph about rollbacks.' }],
+      { chunking: { strategy: 'paragraph' }, packVersion: 4 }
+    ),
+    lazy: true,
+  });
+  const v4 = await mountPack({
+    src: await mergePacks([chunked, a], { packVersion: 4, semantic: { enabled: false } }),
+  });
+  assert.equal(v4.meta.version, 4);
+  assert.equal(v4.semantic, undefined);
+  assert.deepEqual(v4.blockDocs, [0, 0, 1, 2]);
+  assert.deepEqual(v4.blockChunks, [0, 1, 0, 0]);
+  assert.equal(v4.meta.stats.docs, 3);
+  assert.equal(query(v4, 'rollbacks')[0]?.source, 'doc-notes');
+
+  // Conflicts are reported, not silently resolved.
+  const conflicting = await mountPack({
+    src: await buildPack(teamB, { agents: [agent('shared', 'Different prompt')] }),
+  });
+  await assert.rejects(
+    () => mergePacks([a, conflicting], { semantic: { enabled: false } }),
+    /agent id "shared" is defined differently in packs 0 and 1/
+  );
+  const lastWins = await mountPack({
+    src: await mergePacks([a, conflicting], { semantic: { enabled: false }, agents: { onConflict: 'last' } }),
+  });
+  assert.deepEqual(lastWins.meta.agents.agents[0].systemPrompt, ['Different prompt']);
+  await assert.rejects(
+    () => mergePacks([a, conflicting], { agents: { onConflict: 'lst' } }),
+    /mergePacks\(\.\.\.\): agents\.onConflict must be "error", "first" or "last"/
+  );
+  // Vectors are dropped when some pack lacks them, unless explicitly required.
+  const partial = await mountPack({ src: await mergePacks([a, chunked]) });
+  assert.equal(partial.semantic, undefined);
+  assert.equal(partial.blocks.length, a.blocks.length + chunked.blocks.length);
+  await assert.rejects(
+    () => mergePacks([a, chunked], { semantic: { enabled: true } }),
+    /pack 1 has no semantic vectors/
+  );
+  await assert.rejects(
+    async () => mergePacks([chunked, await mountPack({ src: await buildPack(teamA, { chunking: { strategy: 'heading' } }) })]),
+    /pack 1 was built with different chunking options/
+  );
+  await assert.rejects(() => mergePacks([]), /expected a non-empty array of packs/);
+}
+
 async function testClaimGraphDeterministicBuild() {
   const docs = claimGraphFixtureDocs();
   const g1 = buildClaimGraph(docs);
@@ -1740,6 +3010,280 @@ async function testClaimGraphMountToleratesUnknownTrailingBytes() {
   assert.equal(pack.blocks.length, 1);
 }
 
+async function testPackV4SectionTableRoundTrip() {
+  const docs = [
+    ...claimGraphFixtureDocs(),
+    { id: 'extra', heading: 'Extra', text: 'alpha beta alpha gamma beta alpha' },
+  ];
+  const embeddings = docs.map((_, i) => new Float32Array([1, i, 0, 0]));
+  const opts = {
+    semantic: { enabled: true, modelId: 'test-model', embeddings },
+    graph: { enabled: true },
+  };
+  const v3Bytes = await buildPack(docs, opts);
+  const v4Bytes = await buildPack(docs, { ...opts, packVersion: 4 });
+  const v3 = await mountPack({ src: v3Bytes });
+  const v4 = await mountPack({ src: v4Bytes });
+
+  assert.equal(v4.meta.version, 4);
+  assert.deepEqual([...v4.lexicon], [...v3.lexicon]);
+  assert.deepEqual(Array.from(v4.postings), Array.from(v3.postings));
+  assert.deepEqual(v4.blocks, v3.blocks);
+  assert.deepEqual(v4.headings, v3.headings);
+  assert.deepEqual(v4.docIds, v3.docIds);
+  assert.deepEqual(Array.from(v4.semantic.vecs), Array.from(v3.semantic.vecs));
+  assert.deepEqual(Array.from(v4.semantic.scales), Array.from(v3.semantic.scales));
+  assert.equal(JSON.stringify(v4.claimGraph), JSON.stringify(v3.claimGraph));
+  assert.deepEqual(query(v4, 'alpha beta'), query(v3, 'alpha beta'));
+
+  // Unknown section types are skipped; truncated packs are rejected.
+  const unchecked = await buildPack(docs, {
+    ...opts,
+    packVersion: 4,
+    integrity: { checksums: false },
+  });
+  const dv = new DataView(unchecked.buffer, unchecked.byteOffset);
+  const tableOffset = 4 + dv.getUint32(0, true);
+  const postingsBytes = dv.getUint32(tableOffset + 4 + 12 + 8, true);
+  assert.equal(dv.getUint32(tableOffset + 4 + 12, true), 2);
+  assert.ok(postingsBytes < v3.postings.length * 4, 'expected compact postings');
+  const patched = unchecked.slice();
+  new DataView(patched.buffer).setUint32(tableOffset + 4 + 12 * 4, 99, true);
+  const skipped = await mountPack({ src: patched });
+  assert.equal(skipped.semantic, undefined, 'expected unknown section to be ignored');
+  assert.equal(skipped.blocks.length, docs.length);
+
+  await assert.rejects(
+    () => mountPack({ src: v4Bytes.slice(0, v4Bytes.length - 8) }),
+    /exceeds pack length/
+  );
+  await assert.rejects(
+    () => buildPack(docs, { packVersion: 5 }),
+    /packVersion must be 3 or 4/
+  );
+}
+
+async function testLazyPackMount() {
+  const docs = [
+    { id: 'intro', heading: 'Intro', text: 'Lazy mounts decode blocks on demand.' },
+    {
+      id: 'guide',
+      namespace: 'docs',
+      text: '# Setup\nInstall the runtime.\n\n# Deploy\nDeploy the lazy pack to a CDN.',
+    },
+    { id: 'faq', text: 'Range requests fetch only the sections a mount reads.' },
+  ];
+  const bytes = await buildPack(docs, {
+    packVersion: 4,
+    chunking: { strategy: 'heading' },
+  });
+  const eager = await mountPack({ src: bytes });
+  const lazy = await mountPack({ src: bytes, lazy: true });
+
+  assert.equal(lazy.blocks.length, eager.blocks.length);
+  assert.deepEqual(query(lazy, 'deploy lazy pack'), query(eager, 'deploy lazy pack'));
+  assert.deepEqual([...lazy.blocks], eager.blocks);
+  assert.deepEqual([...lazy.headings], eager.headings);
+  assert.deepEqual([...lazy.docIds], eager.docIds);
+  assert.deepEqual([...lazy.namespaces], eager.namespaces);
+  assert.deepEqual([...lazy.blockTokenLens], eager.blockTokenLens);
+  assert.deepEqual([...lazy.blockChunks], eager.blockChunks);
+  assert.deepEqual(getChunkNeighbors(lazy, 1), getChunkNeighbors(eager, 1));
+
+  // Posting lists are decoded per term and terms sorted on first wildcard.
+  assert.equal(lazy.termIndex, undefined);
+  assert.equal(lazy.sortedTerms, undefined);
+  assert.deepEqual(query(lazy, 'dep*'), query(eager, 'dep*'));
+  assert.deepEqual(
+    Array.from(getTermIndex(lazy).dfs),
+    Array.from(eager.termIndex.dfs)
+  );
+
+  // Block bytes are not checked or parsed until a block is read.
+  const corrupted = bytes.slice();
+  corrupted[Buffer.from(corrupted).indexOf('"text":"Range')] = 0x7b;
+  await assert.rejects(() => mountPack({ src: corrupted }), /checksum mismatch/);
+  const deferred = await mountPack({ src: corrupted, lazy: true });
+  assert.equal(deferred.blocks[0], eager.blocks[0]);
+  assert.throws(() => deferred.blocks[eager.blocks.length - 1], SyntaxError);
+
+  // Legacy packs ignore `lazy` and mount eagerly.
+  const legacyBytes = await buildPack(docs, { chunking: { strategy: 'heading' } });
+  const legacy = await mountPack({ src: legacyBytes, lazy: true });
+  assert.deepEqual(legacy.blocks, eager.blocks);
+
+  // URL sources are fetched with range requests; the signature is skipped.
+  // The filler doc pushes the pack past the 64KB header probe.
+  const remoteDocs = [
+    ...docs,
+    {
+      id: 'filler',
+      text: Array.from({ length: 12000 }, (_, i) => `filler${i % 700}`).join(' '),
+    },
+  ];
+  const { subtle } = globalThis.crypto;
+  const keys = await subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+  const signed = await buildPack(remoteDocs, {
+    packVersion: 4,
+    chunking: { strategy: 'heading' },
+    semantic: {
+      enabled: true,
+      modelId: 'test-model',
+      embeddings: [...eager.blocks, 'filler'].map((_, i) => new Float32Array([1, i, 0, 0])),
+    },
+    integrity: {
+      sign: {
+        privateKey: new Uint8Array(await subtle.exportKey('pkcs8', keys.privateKey)),
+      },
+    },
+  });
+  const ranges = [];
+  let honourRanges = true;
+  const server = http.createServer((req, res) => {
+    const m = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range ?? '');
+    ranges.push(req.headers.range ?? 'full');
+    if (!m || !honourRanges) {
+      res.writeHead(200, { 'content-length': signed.length });
+      res.end(Buffer.from(signed));
+      return;
+    }
+    const start = Number(m[1]);
+    const end = Math.min(Number(m[2]), signed.length - 1);
+    res.writeHead(206, {
+      'content-range': `bytes ${start}-${end}/${signed.length}`,
+      'content-length': end - start + 1,
+    });
+    res.end(Buffer.from(signed.subarray(start, end + 1)));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/docs.knolo`;
+  try {
+    const local = await mountPack({ src: signed });
+    const remote = await mountPack({ src: url, lazy: true });
+    assert.ok(signed.length > 65536);
+    assert.equal(ranges[0], 'bytes=0-65535');
+    assert.ok(ranges.length > 2, 'expected one range request per section');
+    assert.ok(
+      !ranges.includes(`bytes=${signed.length - 64}-${signed.length - 1}`),
+      'expected the signature section to be skipped'
+    );
+
+    // Block records and vectors are fetched only as queries read them: the
+    // mount reads the first record, the semantic blob waits for a rerank.
+    const dv = new DataView(signed.buffer, signed.byteOffset);
+    const tableOffset = 4 + dv.getUint32(0, true);
+    const sectionOf = (type) => {
+      for (let i = 0; i < dv.getUint32(tableOffset, true); i++) {
+        const at = tableOffset + 4 + i * 12;
+        if (dv.getUint32(at, true) === type) {
+          return { offset: dv.getUint32(at + 4, true), length: dv.getUint32(at + 8, true) };
+        }
+      }
+    };
+    const blocksSection = sectionOf(3);
+    const semBlobSection = sectionOf(5);
+    const requested = (section) =>
+      ranges
+        .filter((range) => range !== 'bytes=0-65535')
+        .map((range) => range.slice('bytes='.length).split('-').map(Number))
+        .filter(([start, end]) => start < section.offset + section.length && end >= section.offset);
+    assert.equal(requested(blocksSection).length, 1);
+    assert.equal(requested(semBlobSection).length, 0);
+
+    assert.throws(() => query(remote, 'deploy lazy pack'), /not fetched yet.*fetchOnDemand/);
+    ranges.length = 0;
+    const cache = createQueryCache();
+    const remoteHits = await fetchOnDemand(() => query(remote, 'deploy lazy pack', { cache }));
+    assert.deepEqual(remoteHits, query(local, 'deploy lazy pack'));
+    assert.deepEqual(query(remote, 'deploy lazy pack', { cache }), remoteHits);
+    assert.equal(cache.size, 1, 'expected placeholder rounds to stay out of the cache');
+    const fetchedBytes = requested(blocksSection).reduce((sum, [start, end]) => sum + end - start + 1, 0);
+    assert.ok(fetchedBytes > 0 && fetchedBytes < blocksSection.length / 4, `fetched ${fetchedBytes} block bytes`);
+    assert.equal(requested(semBlobSection).length, 0);
+
+    const semOpts = {
+      queryExpansion: { enabled: false },
+      semantic: { enabled: true, force: true, queryEmbedding: new Float32Array([1, 2, 0, 0]) },
+    };
+    const semHits = await fetchOnDemand(() => query(remote, 'deploy', semOpts));
+    assert.deepEqual(semHits, query(local, 'deploy', semOpts));
+    assert.equal(requested(semBlobSection).length, 1);
+    assert.deepEqual(Array.from(remote.semantic.vecs), Array.from(local.semantic.vecs));
+
+    ranges.length = 0;
+    honourRanges = false;
+    const fallback = await mountPack({ src: url, lazy: true });
+    assert.deepEqual(ranges, ['bytes=0-65535']);
+    assert.deepEqual([...fallback.blocks], local.blocks);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+async function testPackChecksumsAndSignatures() {
+  const docs = [
+    { id: 'a', text: 'signed packs reject tampering' },
+    { id: 'b', text: 'checksums catch corruption in transit' },
+  ];
+  const { subtle } = globalThis.crypto;
+  const keys = await subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+  const otherKeys = await subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+  const publicKey = new Uint8Array(await subtle.exportKey('raw', keys.publicKey));
+  const privateKey = new Uint8Array(await subtle.exportKey('pkcs8', keys.privateKey));
+
+  const checked = await buildPack(docs, { packVersion: 4 });
+  const corrupted = checked.slice();
+  corrupted[Buffer.from(corrupted).indexOf('corruption')] ^= 0x20;
+  await assert.rejects(
+    () => mountPack({ src: corrupted }),
+    /Pack integrity check failed: checksum mismatch in section/
+  );
+  await assert.rejects(
+    () => mountPack({ src: checked, verify: { publicKey } }),
+    /pack is not signed/
+  );
+
+  const signed = await buildPack(docs, {
+    packVersion: 4,
+    integrity: { sign: { privateKey } },
+  });
+  const pack = await mountPack({ src: signed, verify: { publicKey } });
+  assert.equal(pack.blocks.length, 2);
+  await verifyPack(signed, { publicKey: keys.publicKey });
+
+  const signedWithCryptoKey = await buildPack(docs, {
+    packVersion: 4,
+    integrity: { sign: { privateKey: keys.privateKey } },
+  });
+  await verifyPack(signedWithCryptoKey, { publicKey });
+
+  await assert.rejects(
+    () => mountPack({ src: signed, verify: { publicKey: otherKeys.publicKey } }),
+    /signature does not match/
+  );
+  const tampered = signed.slice();
+  tampered.set(
+    new TextEncoder().encode('TAMPERING'),
+    Buffer.from(tampered).indexOf('tampering')
+  );
+  await assert.rejects(
+    () => mountPack({ src: tampered, verify: { publicKey } }),
+    /signature does not match/
+  );
+  await assert.rejects(
+    () => mountPack({ src: signed.slice(0, signed.length - 10), verify: { publicKey } }),
+    /exceeds pack length/
+  );
+  await assert.rejects(
+    async () => mountPack({ src: await buildPack(docs), verify: { publicKey } }),
+    /pack is not signed \(pack version 3\)/
+  );
+  await assert.rejects(
+    () => buildPack(docs, { integrity: { checksums: true } }),
+    /integrity requires packVersion 4/
+  );
+}
+
 async function testClaimGraphLogMergeAndTombstone() {
   const base = buildClaimGraph(claimGraphFixtureDocs());
   const nodeId = base.nodes[0]?.id;
@@ -1788,8 +3332,14 @@ async function testClaimGraphQueryExpansionDeterministic() {
 }
 
 await testClaimGraphDeterministicBuild();
+await testMergePacks();
+await testPackSetQuery();
+await testInspectAndDiffPacks();
 await testClaimGraphPackRoundTrip();
 await testClaimGraphMountToleratesUnknownTrailingBytes();
+await testPackV4SectionTableRoundTrip();
+await testPackChecksumsAndSignatures();
+await testLazyPackMount();
 await testClaimGraphLogMergeAndTombstone();
 await testClaimGraphQueryExpansionDeterministic();
 await testLexConfidenceDeterministic();
@@ -1803,10 +3353,29 @@ await testCosineHelpers();
 await testSmartQuotePhrase();
 await testFirstBlockRetrieval();
 await testPackStoresOneBasedTokenPositions();
+await testChunkingSplitsLongDocs();
+await testStructuredMarkdownExtraction();
+await testAnalyzers();
+await testMultilingualSegmentation();
+await testFuzzyQuery();
+await testPrefixAndWildcardQueries();
+await testBooleanQuerySyntax();
+await testFieldWeightedIndexing();
+await testRankingOptions();
+await testExplainMode();
+await testHighlightedSnippets();
+await testQueryPagination();
+await testPositionalPhrases();
+await testQueryCache();
+await testQueryBatch();
+await testFreshness();
+await testDocBoostsAndPins();
+await testTermIndexRandomAccess();
 await testNearDuplicateDedupe();
 await testNamespaceFiltering();
 await testQueryExpansionRecall();
 await testSourceFiltering();
+await testMetadataFiltering();
 await testMinScoreFiltering();
 await testContextPatchSourcePropagation();
 await testMountPackFromLocalPathAndFileUrl();
@@ -27,6 +27,8 @@ export type AgentRetrievalDefaults = {
   minScore?: number;
   requirePhrases?: string[];
   source?: string[];
+  /** Per-agent ranking tuning; merged under the caller's `ranking`. */
+  ranking?: QueryOptions['ranking'];
 };
 
 export type AgentDefinitionV1 = {
@@ -146,6 +148,7 @@ export function validateAgentDefinition(agent: AgentDefinitionV1): void {
     minScore: defaults.minScore,
     requirePhrases: defaults.requirePhrases,
     source: defaults.source,
+    ranking: defaults.ranking,
   };
   validateQueryOptions(syntheticOpts);
 }
@@ -206,6 +209,7 @@ export function resolveAgent(
     minScore: agent.retrievalDefaults.minScore,
     requirePhrases: agent.retrievalDefaults.requirePhrases,
     source: agent.retrievalDefaults.source,
+    ranking: agent.retrievalDefaults.ranking,
   };
 
   const caller = input.query ?? {};
@@ -225,6 +229,18 @@ export function resolveAgent(
         ...(caller.semantic?.blend ?? {}),
       },
     },
+    ranking: {
+      ...(defaults.ranking ?? {}),
+      ...(caller.ranking ?? {}),
+      fieldWeights: {
+        ...(defaults.ranking?.fieldWeights ?? {}),
+        ...(caller.ranking?.fieldWeights ?? {}),
+      },
+      mmr: {
+        ...(defaults.ranking?.mmr ?? {}),
+        ...(caller.ranking?.mmr ?? {}),
+      },
+    },
   };
 
   if (!defaults.queryExpansion && !caller.queryExpansion)
@@ -237,6 +253,15 @@ export function resolveAgent(
   ) {
     delete retrievalOptions.semantic.blend;
   }
+  if (!defaults.ranking && !caller.ranking) delete retrievalOptions.ranking;
+  if (retrievalOptions.ranking) {
+    if (!defaults.ranking?.fieldWeights && !caller.ranking?.fieldWeights) {
+      delete retrievalOptions.ranking.fieldWeights;
+    }
+    if (!defaults.ranking?.mmr && !caller.ranking?.mmr) {
+      delete retrievalOptions.ranking.mmr;
+    }
+  }
 
   validateQueryOptions(retrievalOptions);
 
@@ -0,0 +1,103 @@
+/*
+ * analysis/stemmers.ts
+ *
+ * Light suffix-stripping stemmers. They conflate common inflections
+ * (plurals, verb endings, gender) so "deploying" and "deploys" meet
+ * "deploy", but deliberately stop short of full Porter/Snowball stemming.
+ * Input terms are already normalized (lowercase, diacritics stripped).
+ */
+
+export type StemmerLanguage = 'en' | 'de' | 'fr' | 'es';
+
+const VOWEL_RE = /[aeiouy]/;
+
+function endsWithAny(
+  term: string,
+  suffixes: readonly string[]
+): string | undefined {
+  return suffixes.find((suffix) => term.endsWith(suffix));
+}
+
+/** English: plural/possessive, -ed/-ing (Porter step 1a/1b without measures). */
+export function stemEnglish(term: string): string {
+  if (term.length <= 3) return term;
+  let t = term.replace(/'s$/, '');
+
+  if (t.endsWith('sses')) t = t.slice(0, -2);
+  else if (t.endsWith('ies') && t.length > 4) t = `${t.slice(0, -3)}y`;
+  else if (t.endsWith('s') && !/(ss|us|is)$/.test(t) && t.length > 3) {
+    t = t.slice(0, -1);
+  }
+
+  const verbal = endsWithAny(t, ['ing', 'ed']);
+  if (verbal) {
+    const stem = t.slice(0, -verbal.length);
+    if (stem.length >= 3 && VOWEL_RE.test(stem)) {
+      t = stem;
+      if (/([^aeiouylsz])\1$/.test(t)) {
+        t = t.slice(0, -1);
+      } else if (/^[^aeiouy]*[aeiouy][^aeiouywx]$/.test(t)) {
+        // Short consonant-vowel-consonant stems regain their "e": making → make.
+        t = `${t}e`;
+      }
+    }
+  }
+  if (t.endsWith('e') && t.length > 4) t = t.slice(0, -1);
+  return t;
+}
+
+/** German, after Lucene's GermanLightStemmer. */
+export function stemGerman(term: string): string {
+  let t = term.replace(/ß/g, 'ss');
+  const validSEnding = (ch: string) => 'bdfghklmnrt'.includes(ch);
+  const validStEnding = (ch: string) => 'bdfghklmnt'.includes(ch);
+
+  if (t.length > 5 && t.endsWith('ern')) t = t.slice(0, -3);
+  else if (t.length > 4 && endsWithAny(t, ['em', 'en', 'er', 'es']))
+    t = t.slice(0, -2);
+  else if (t.length > 3 && t.endsWith('e')) t = t.slice(0, -1);
+  else if (t.length > 3 && t.endsWith('s') && validSEnding(t[t.length - 2])) {
+    t = t.slice(0, -1);
+  }
+
+  if (t.length > 5 && t.endsWith('est')) t = t.slice(0, -3);
+  else if (t.length > 4 && endsWithAny(t, ['er', 'en'])) t = t.slice(0, -2);
+  else if (t.length > 5 && t.endsWith('st') && validStEnding(t[t.length - 3])) {
+    t = t.slice(0, -2);
+  }
+  return t;
+}
+
+/** French: plural, common derivational endings, final e. */
+export function stemFrench(term: string): string {
+  if (term.length <= 3) return term;
+  let t = term;
+  if (t.length > 4 && /[sx]$/.test(t)) t = t.slice(0, -1);
+  if (t.length > 6 && t.endsWith('ement')) t = t.slice(0, -5);
+  else if (t.length > 5 && t.endsWith('ment')) t = t.slice(0, -4);
+  else if (t.length > 5 && t.endsWith('euse')) t = t.slice(0, -2);
+  else if (t.length > 5 && t.endsWith('ive')) t = `${t.slice(0, -3)}if`;
+  else if (t.length > 5 && t.endsWith('ite')) t = t.slice(0, -3);
+  if (t.length > 4 && endsWithAny(t, ['er', 'ez'])) t = t.slice(0, -2);
+  else if (t.length > 4 && t.endsWith('ee')) t = t.slice(0, -2);
+  else if (t.length > 4 && t.endsWith('e')) t = t.slice(0, -1);
+  return t;
+}
+
+/** Spanish, after Lucene's SpanishLightStemmer. */
+export function stemSpanish(term: string): string {
+  if (term.length < 5) return term;
+  const t = term;
+  if (t.endsWith('eses')) return t.slice(0, -2);
+  if (t.endsWith('ces')) return `${t.slice(0, -3)}z`;
+  if (endsWithAny(t, ['os', 'as', 'es'])) return t.slice(0, -2);
+  if (/[oae]$/.test(t)) return t.slice(0, -1);
+  return t;
+}
+
+export const STEMMERS: Record<StemmerLanguage, (term: string) => string> = {
+  en: stemEnglish,
+  de: stemGerman,
+  fr: stemFrench,
+  es: stemSpanish,
+};
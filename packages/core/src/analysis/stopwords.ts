@@ -0,0 +1,30 @@
+/*
+ * analysis/stopwords.ts
+ *
+ * Short stopword lists for the built-in language analyzers. Entries are in
+ * `normalize()` form (lowercase, diacritics stripped) because filters run
+ * after tokenization.
+ */
+
+const words = (list: string): readonly string[] => list.trim().split(/\s+/);
+
+export const STOPWORDS: Record<'en' | 'de' | 'fr' | 'es', readonly string[]> = {
+  en: words(`
+    a an and are as at be but by for from has have if in into is it its no not
+    of on or such that the their then there these they this to was were will
+    with
+  `),
+  de: words(`
+    aber als am an auch auf aus bei bin bis das dass dem den der des die ein
+    eine einem einen einer eines es fur hat im in ist mit nach nicht noch oder
+    sich sie sind so uber um und von vor war wie wird zu zum zur
+  `),
+  fr: words(`
+    a au aux avec ce ces dans de des du elle en est et il ils la le les leur
+    mais ne nous ou par pas pour que qui sa se ses son sont sur un une vous
+  `),
+  es: words(`
+    a al como con de del el en es esta este la las lo los mas no o para pero
+    por que se si sin sobre su sus un una y ya
+  `),
+};
@@ -0,0 +1,204 @@
+/*
+ * analyzer.ts
+ *
+ * Analyzer registry. An analyzer is `tokenize()` (optionally with CJK/Thai
+ * segmentation) followed by token filters: stopword removal, a light stemmer
+ * and synonym mapping (applied to stems, so every inflection of a synonym
+ * matches). Packs record the analyzer id they were built with
+ * (`meta.analyzer`) and `query()` resolves the same id, so build and query
+ * always run the identical pipeline. Positions keep their original values;
+ * removed stopwords leave gaps.
+ */
+
+import { STEMMERS } from './analysis/stemmers.js';
+import type { StemmerLanguage } from './analysis/stemmers.js';
+import { STOPWORDS } from './analysis/stopwords.js';
+import type { Segmentation, Token } from './tokenize.js';
+import { normalize, tokenize } from './tokenize.js';
+
+export type AnalyzerLanguage = StemmerLanguage;
+
+export type AnalyzerDefinition = {
+  /** Enables the language's stopword list and stemmer unless overridden below. */
+  language?: AnalyzerLanguage;
+  /** `true` for the language list, `false` for none, or an explicit list. */
+  stopwords?: boolean | string[];
+  /** `true` for the language stemmer, `false` for none, or a custom stemmer. */
+  stem?: boolean | ((term: string) => string);
+  /** Single-word synonym groups; every member is indexed as the group's first entry. */
+  synonyms?: string[][];
+  /** Word segmentation; 'multilingual' splits CJK and Thai runs (default 'whitespace'). */
+  segmentation?: Segmentation;
+};
+
+export type Analyzer = {
+  id: string;
+  segmentation: Segmentation;
+  /** Tokenize and filter text; the same call is used for docs and queries. */
+  analyze(text: string): Token[];
+  /** Segment text without filtering (surface terms, before stopwords, stemming and synonyms). */
+  tokenize(text: string): Token[];
+};
+
+/** Default analyzer: `tokenize()` unchanged (packs without `meta.analyzer`). */
+export const STANDARD_ANALYZER_ID = 'standard';
+
+const registry = new Map<string, Analyzer>();
+
+export function registerAnalyzer(
+  id: string,
+  definition: AnalyzerDefinition
+): Analyzer {
+  if (typeof id !== 'string' || !id.trim()) {
+    throw new Error('registerAnalyzer(...): id must be a non-empty string.');
+  }
+  if (registry.has(id) && isBuiltin(id)) {
+    throw new Error(
+      `registerAnalyzer(...): "${id}" is a built-in analyzer and cannot be replaced.`
+    );
+  }
+  const analyzer = createAnalyzer(id, definition);
+  registry.set(id, analyzer);
+  return analyzer;
+}
+
+/** Resolve an analyzer by id; `context` prefixes the error for unknown ids. */
+export function getAnalyzer(
+  id: string = STANDARD_ANALYZER_ID,
+  context = 'getAnalyzer(...)'
+): Analyzer {
+  const analyzer = registry.get(id);
+  if (!analyzer) {
+    throw new Error(
+      `${context}: unknown analyzer "${id}". Register it with registerAnalyzer() before building or querying.`
+    );
+  }
+  return analyzer;
+}
+
+export function listAnalyzers(): string[] {
+  return [...registry.keys()].sort();
+}
+
+function createAnalyzer(id: string, def: AnalyzerDefinition): Analyzer {
+  validateDefinition(id, def);
+  const language = def.language;
+  const segmentation = def.segmentation ?? 'whitespace';
+  const segment = (text: string) => tokenize(text, { segmentation });
+
+  const stopwords = new Set<string>(
+    Array.isArray(def.stopwords)
+      ? def.stopwords.map((word) => normalize(word).trim())
+      : def.stopwords !== false && language
+        ? STOPWORDS[language]
+        : []
+  );
+  const stem =
+    typeof def.stem === 'function'
+      ? def.stem
+      : def.stem !== false && language
+        ? STEMMERS[language]
+        : undefined;
+
+  const stemmed = (raw: string) => (stem ? stem(raw) : raw);
+  const synonyms = new Map<string, string>();
+  for (const group of def.synonyms ?? []) {
+    const terms = group
+      .map((word) => normalize(word).trim())
+      .filter(Boolean)
+      .map(stemmed);
+    for (const term of terms) {
+      if (!synonyms.has(term)) synonyms.set(term, terms[0]);
+    }
+  }
+
+  const term = (raw: string): string | null => {
+    if (stopwords.has(raw)) return null;
+    const base = stemmed(raw);
+    return synonyms.get(base) ?? base;
+  };
+
+  if (!stopwords.size && !synonyms.size && !stem) {
+    return { id, segmentation, analyze: segment, tokenize: segment };
+  }
+  return {
+    id,
+    segmentation,
+    tokenize: segment,
+    analyze(text) {
+      const out: Token[] = [];
+      for (const token of segment(text)) {
+        const filtered = term(token.term);
+        if (filtered) out.push({ term: filtered, pos: token.pos });
+      }
+      return out;
+    },
+  };
+}
+
+function validateDefinition(id: string, def: AnalyzerDefinition): void {
+  const context = `registerAnalyzer("${id}")`;
+  if (!def || typeof def !== 'object') {
+    throw new Error(`${context}: definition must be an object.`);
+  }
+  if (def.language !== undefined && !(def.language in STEMMERS)) {
+    throw new Error(
+      `${context}: language must be one of ${Object.keys(STEMMERS).join(', ')}.`
+    );
+  }
+  if (
+    def.stopwords !== undefined &&
+    typeof def.stopwords !== 'boolean' &&
+    !(
+      Array.isArray(def.stopwords) &&
+      def.stopwords.every((w) => typeof w === 'string')
+    )
+  ) {
+    throw new Error(
+      `${context}: stopwords must be a boolean or an array of strings.`
+    );
+  }
+  if (
+    def.segmentation !== undefined &&
+    def.segmentation !== 'whitespace' &&
+    def.segmentation !== 'multilingual'
+  ) {
+    throw new Error(
+      `${context}: segmentation must be "whitespace" or "multilingual".`
+    );
+  }
+  if (
+    def.stem !== undefined &&
+    typeof def.stem !== 'boolean' &&
+    typeof def.stem !== 'function'
+  ) {
+    throw new Error(`${context}: stem must be a boolean or a function.`);
+  }
+  if (
+    def.synonyms !== undefined &&
+    (!Array.isArray(def.synonyms) ||
+      def.synonyms.some(
+        (group) =>
+          !Array.isArray(group) ||
+          group.some((w) => typeof w !== 'string' || /\s/.test(w.trim()))
+      ))
+  ) {
+    throw new Error(
+      `${context}: synonyms must be an array of single-word string groups.`
+    );
+  }
+}
+
+const BUILTIN_IDS = new Set<string>([STANDARD_ANALYZER_ID]);
+
+function isBuiltin(id: string): boolean {
+  return BUILTIN_IDS.has(id);
+}
+
+registerAnalyzer(STANDARD_ANALYZER_ID, {});
+for (const language of Object.keys(STEMMERS) as AnalyzerLanguage[]) {
+  registerAnalyzer(language, { language });
+  BUILTIN_IDS.add(language);
+}
+registerAnalyzer('multilingual', { segmentation: 'multilingual' });
+BUILTIN_IDS.add('multilingual');
@@ -7,18 +7,50 @@
 
 import { buildIndex } from './indexer.js';
 import type { Block } from './indexer.js';
-import { tokenize } from './tokenize.js';
+import { INDEXED_FIELDS, countBodyTerms } from './fields.js';
+import { STANDARD_ANALYZER_ID, getAnalyzer } from './analyzer.js';
 import { getTextEncoder } from './utils/utf8.js';
 import { encodeScaleF16, quantizeEmbeddingInt8L2Norm } from './semantic.js';
 import type { AgentDefinitionV1, AgentRegistry } from './agent.js';
+import type { PackMeta } from './pack.runtime.js';
+import {
+  PACK_SECTION,
+  encodeBlocksV4,
+  encodePostingsV4,
+  writeSectionedPack,
+} from './pack.format.js';
+import type { PackKey } from './integrity.js';
+import { SIGNATURE_BYTES, buildIntegrity, signBytes } from './integrity.js';
 import { validateAgentRegistry } from './agent.js';
 import { buildClaimGraph } from './graph/build_claim_graph.js';
+import type { ClaimGraph } from './graph/claim_graph.js';
+import type { ChunkingOptions, RawSection } from './chunking.js';
+import type { DocMetadata } from './metadata.js';
+import { validateDocMetadata } from './metadata.js';
+import {
+  resolveWindow,
+  splitSections,
+  validateChunkingOptions,
+  windowText,
+} from './chunking.js';
+import type { MarkdownOptions, ResolvedMarkdownOptions } from './markdown.js';
+import {
+  extractMarkdown,
+  resolveMarkdownOptions,
+  stripInline,
+  stripMd,
+  validateMarkdownOptions,
+} from './markdown.js';
 
 export type BuildInputDoc = {
   id?: string;
   heading?: string;
   namespace?: string;
   text: string;
+  /** Structured fields persisted per block, returned on hits and filterable. */
+  metadata?: DocMetadata;
+  /** Static ranking prior multiplied into every block's score (default 1). */
+  boost?: number;
 };
 export type BuildPackOptions = {
   agents?: AgentRegistry | AgentDefinitionV1[];
@@ -32,25 +64,82 @@ export type BuildPackOptions = {
     enabled?: boolean;
     maxEdgesPerDoc?: number;
   };
+  chunking?: ChunkingOptions;
+  /**
+   * Analyzer id (see `registerAnalyzer()`), e.g. 'en'. Recorded in
+   * `meta.analyzer` so `query()` applies the same pipeline. Default 'standard'.
+   */
+  analyzer?: string;
+  /** Markdown extraction: legacy 'strip' (default) or 'structured'. */
+  markdown?: MarkdownOptions;
+  /** Container format to emit. v4 adds a section table and compact postings. */
+  packVersion?: 3 | 4;
+  /** v4 only: per-section CRC32 checksums (default on) and Ed25519 signing. */
+  integrity?: {
+    checksums?: boolean;
+    sign?: { privateKey: PackKey };
+  };
+};
+
+type ChunkedBlock = Block & {
+  docIndex: number;
+  chunk: number;
+  /** Heading path (structured markdown only). */
+  breadcrumb?: string[];
+  /** Overrides the doc namespace (separated code blocks). */
+  namespace?: string;
+};
+
+/** One block as an existing pack stores it (see `reuseBlocks`). */
+export type StoredBlock = {
+  text: string;
+  heading?: string;
+  breadcrumb?: string[];
+  namespace?: string;
 };
 
+const storedBlocks = new WeakMap<BuildInputDoc, StoredBlock[]>();
+
+/**
+ * Build `doc` from `blocks` (its blocks in an existing pack, in chunk order)
+ * instead of chunking its text again. Blocks hold extracted text, so
+ * re-chunking it cannot reproduce the original; LivePack rebuilds use this
+ * to leave docs nobody touched exactly as they were.
+ */
+export function reuseBlocks(
+  doc: BuildInputDoc,
+  blocks: StoredBlock[]
+): BuildInputDoc {
+  storedBlocks.set(doc, blocks);
+  return doc;
+}
+
 export async function buildPack(
   docs: BuildInputDoc[],
   opts: BuildPackOptions = {}
 ): Promise<Uint8Array> {
   const normalizedDocs = validateDocs(docs);
+  validateChunkingOptions(opts.chunking);
+  validateMarkdownOptions(opts.markdown);
+  const packVersion = validatePackVersion('buildPack(...)', opts);
+  const markdown = resolveMarkdownOptions(opts.markdown);
+  const analyzer = resolveBuildAnalyzer(opts.analyzer);
+  // Separated code blocks give a doc several blocks even without chunking.
+  const chunkRefs =
+    Boolean(opts.chunking) ||
+    (markdown.mode === 'structured' && markdown.code === 'separate');
+
+  // Prepare blocks (extract MD) and carry heading/docId for optional boosts.
+  const blocks = chunkDocs(normalizedDocs, opts.chunking, markdown);
+
+  // Build index; headings and doc ids are indexed as separate fields.
+  const { lexicon, postings } = buildIndex(
+    blocks.map((b) => ({ ...b, docId: normalizedDocs[b.docIndex]?.id })),
+    analyzer.analyze,
+    { fields: INDEXED_FIELDS }
+  );
 
-  // Prepare blocks (strip MD) and carry heading/docId for optional boosts.
-  const blocks: Block[] = normalizedDocs.map((d, i) => ({
-    id: i,
-    text: stripMd(d.text),
-    heading: d.heading,
-  }));
-
-  // Build index
-  const { lexicon, postings } = buildIndex(blocks);
-
-  const blockTokenLens = blocks.map((b) => tokenize(b.text).length);
+  const blockTokenLens = blocks.map((b) => analyzer.analyze(b.text).length);
   const totalTokens = blockTokenLens.reduce((sum, len) => sum + len, 0);
   const avgBlockLen = blocks.length ? totalTokens / blocks.length : 1;
 
@@ -61,13 +150,17 @@ export async function buildPack(
     : null;
 
   const meta = {
-    version: 3,
+    version: packVersion,
     stats: {
       docs: normalizedDocs.length,
       blocks: blocks.length,
-      terms: lexicon.length,
+      terms: countBodyTerms(lexicon.map(([term]) => term)),
       avgBlockLen,
     },
+    ...(opts.chunking ? { chunking: resolveChunkingMeta(opts.chunking) } : {}),
+    ...(markdown.mode === 'structured' ? { markdown } : {}),
+    ...(analyzer.id !== STANDARD_ANALYZER_ID ? { analyzer: analyzer.id } : {}),
+    fields: [...INDEXED_FIELDS],
     ...(agents ? { agents } : {}),
     ...(claimGraph
       ? {
@@ -81,30 +174,108 @@ export async function buildPack(
   };
 
   // Persist blocks as objects to optionally carry heading/docId/token length.
+  // Chunked packs also record the parent doc ordinal and chunk ordinal, and
+  // doc metadata and boosts are copied onto every block of the doc.
   const blocksPayload = blocks.map((b, i) => ({
     text: b.text,
     heading: b.heading ?? null,
-    docId: normalizedDocs[i]?.id ?? null,
-    namespace: normalizedDocs[i]?.namespace ?? null,
+    docId: normalizedDocs[b.docIndex]?.id ?? null,
+    namespace: b.namespace ?? normalizedDocs[b.docIndex]?.namespace ?? null,
     len: blockTokenLens[i] ?? 0,
+    ...(chunkRefs ? { doc: b.docIndex, chunk: b.chunk } : {}),
+    ...(b.breadcrumb?.length ? { breadcrumb: b.breadcrumb } : {}),
+    ...(normalizedDocs[b.docIndex]?.metadata
+      ? { metadata: normalizedDocs[b.docIndex].metadata }
+      : {}),
+    ...(normalizedDocs[b.docIndex]?.boost !== undefined &&
+    normalizedDocs[b.docIndex].boost !== 1
+      ? { boost: normalizedDocs[b.docIndex].boost }
+      : {}),
   }));
 
-  // Encode sections
-  const enc = getTextEncoder();
-  const metaBytes = enc.encode(JSON.stringify(meta));
-  const lexBytes = enc.encode(JSON.stringify(lexicon));
-  const blocksBytes = enc.encode(JSON.stringify(blocksPayload));
-
-  const semanticEnabled = Boolean(opts.semantic?.enabled);
   const semanticSection =
-    semanticEnabled && opts.semantic
+    opts.semantic?.enabled && opts.semantic
       ? buildSemanticSection(blocks.length, opts.semantic)
       : undefined;
-  const semBytes = semanticSection
-    ? enc.encode(JSON.stringify(semanticSection.semJson))
+
+  return await writePack(
+    {
+      meta,
+      lexicon,
+      postings,
+      blocks: blocksPayload,
+      semantic: semanticSection,
+      claimGraph,
+    },
+    { packVersion, integrity: opts.integrity }
+  );
+}
+
+/** Serialized parts of a pack, shared by `buildPack` and `mergePacks`. */
+export type PackParts = {
+  meta: PackMeta;
+  lexicon: Array<[string, number]>;
+  /** Flat postings (see indexer.ts). */
+  postings: Uint32Array;
+  blocks: unknown[];
+  semantic?: { semJson: unknown; semBlob: Uint8Array };
+  claimGraph?: ClaimGraph | null;
+};
+
+export function validatePackVersion(
+  context: string,
+  opts: Pick<BuildPackOptions, 'packVersion' | 'integrity'>
+): 3 | 4 {
+  const packVersion = opts.packVersion ?? 3;
+  if (packVersion !== 3 && packVersion !== 4) {
+    throw new Error(`${context}: packVersion must be 3 or 4.`);
+  }
+  if (opts.integrity && packVersion !== 4) {
+    throw new Error(`${context}: integrity requires packVersion 4.`);
+  }
+  return packVersion;
+}
+
+export async function writePack(
+  parts: PackParts,
+  opts: {
+    packVersion: 3 | 4;
+    integrity?: BuildPackOptions['integrity'];
+  }
+): Promise<Uint8Array> {
+  const { postings } = parts;
+  const enc = getTextEncoder();
+  const metaBytes = enc.encode(JSON.stringify(parts.meta));
+  const lexBytes = enc.encode(JSON.stringify(parts.lexicon));
+  const semBytes = parts.semantic
+    ? enc.encode(JSON.stringify(parts.semantic.semJson))
+    : undefined;
+  const semBlob = parts.semantic?.semBlob;
+  const graphBytes = parts.claimGraph
+    ? enc.encode(JSON.stringify(parts.claimGraph))
     : undefined;
-  const semBlob = semanticSection?.semBlob;
-  const graphBytes = claimGraph ? enc.encode(JSON.stringify(claimGraph)) : undefined;
+
+  if (opts.packVersion === 4) {
+    const encodedBlocks = encodeBlocksV4(parts.blocks);
+    const sections = [
+      { type: PACK_SECTION.lexicon, bytes: lexBytes },
+      { type: PACK_SECTION.postings, bytes: encodePostingsV4(postings) },
+      { type: PACK_SECTION.blocks, bytes: encodedBlocks.blocks },
+      { type: PACK_SECTION.blockOffsets, bytes: encodedBlocks.offsets },
+      ...(semBytes && semBlob
+        ? [
+            { type: PACK_SECTION.semanticJson, bytes: semBytes },
+            { type: PACK_SECTION.semanticBlob, bytes: semBlob },
+          ]
+        : []),
+      ...(graphBytes
+        ? [{ type: PACK_SECTION.claimGraph, bytes: graphBytes }]
+        : []),
+    ];
+    return await writeV4Pack(metaBytes, sections, opts.integrity);
+  }
+
+  const blocksBytes = enc.encode(JSON.stringify(parts.blocks));
 
   const totalLength =
     4 +
@@ -115,9 +286,7 @@ export async function buildPack(
     postings.length * 4 +
     4 +
     blocksBytes.length +
-    (semanticEnabled && semBytes && semBlob
-      ? 4 + semBytes.length + 4 + semBlob.length
-      : 0) +
+    (semBytes && semBlob ? 4 + semBytes.length + 4 + semBlob.length : 0) +
     (graphBytes ? 4 + graphBytes.length : 0);
 
   const out = new Uint8Array(totalLength);
@@ -150,7 +319,7 @@ export async function buildPack(
   out.set(blocksBytes, offset);
   offset += blocksBytes.length;
 
-  if (semanticEnabled && semBytes && semBlob) {
+  if (semBytes && semBlob) {
     dv.setUint32(offset, semBytes.length, true);
     offset += 4;
     out.set(semBytes, offset);
@@ -170,6 +339,144 @@ export async function buildPack(
   return out;
 }
 
+async function writeV4Pack(
+  metaBytes: Uint8Array,
+  sections: Array<{ type: number; bytes: Uint8Array }>,
+  integrity: BuildPackOptions['integrity'] = {}
+): Promise<Uint8Array> {
+  const enc = getTextEncoder();
+  const out = [...sections];
+  if (integrity.checksums ?? true) {
+    const checksums = buildIntegrity(metaBytes, sections);
+    out.push({
+      type: PACK_SECTION.integrity,
+      bytes: enc.encode(JSON.stringify(checksums)),
+    });
+  }
+  if (!integrity.sign) return writeSectionedPack(metaBytes, out);
+
+  // The signature covers every byte before it, including the section table
+  // entry that points at the (zeroed) signature placeholder.
+  out.push({
+    type: PACK_SECTION.signature,
+    bytes: new Uint8Array(SIGNATURE_BYTES),
+  });
+  const bytes = writeSectionedPack(metaBytes, out);
+  const sigOffset = bytes.length - SIGNATURE_BYTES;
+  const signature = await signBytes(
+    bytes.subarray(0, sigOffset),
+    integrity.sign.privateKey
+  );
+  bytes.set(signature, sigOffset);
+  return bytes;
+}
+
+/**
+ * Turn docs into blocks. Without chunking every doc is one section; in
+ * structured markdown mode separated code blocks follow the text blocks of
+ * their section. Docs passed through `reuseBlocks` keep their stored blocks.
+ */
+function chunkDocs(
+  docs: BuildInputDoc[],
+  chunking: ChunkingOptions | undefined,
+  markdown: ResolvedMarkdownOptions
+): ChunkedBlock[] {
+  const window = chunking ? resolveWindow(chunking) : null;
+  const blocks: ChunkedBlock[] = [];
+
+  docs.forEach((doc, docIndex) => {
+    let chunk = 0;
+    const push = (text: string, extra: Partial<ChunkedBlock>) => {
+      blocks.push({
+        id: blocks.length,
+        text,
+        heading: doc.heading,
+        docIndex,
+        chunk: chunk++,
+        ...extra,
+      });
+    };
+    const stored = storedBlocks.get(doc);
+    if (stored) {
+      for (const block of stored) {
+        push(block.text, {
+          heading: block.heading,
+          ...(block.breadcrumb ? { breadcrumb: block.breadcrumb } : {}),
+          ...(block.namespace !== undefined
+            ? { namespace: block.namespace }
+            : {}),
+        });
+      }
+      return;
+    }
+    const sections: RawSection[] = chunking
+      ? splitSections(doc.text, chunking.strategy)
+      : [{ text: doc.text, path: [] }];
+
+    for (const section of sections) {
+      if (markdown.mode === 'strip') {
+        const text = stripMd(section.text);
+        if (!text) continue;
+        const heading =
+          section.heading !== undefined ? stripMd(section.heading) : doc.heading;
+        for (const piece of window ? windowText(text, window) : [text]) {
+          push(piece, { heading });
+        }
+        continue;
+      }
+
+      const { text, code } = extractMarkdown(section.text, markdown);
+      const heading =
+        section.heading !== undefined
+          ? stripInline(section.heading)
+          : doc.heading;
+      const breadcrumb = toBreadcrumb(doc.heading, section.path);
+      if (text) {
+        for (const piece of window ? windowText(text, window) : [text]) {
+          push(piece, { heading, breadcrumb });
+        }
+      }
+      for (const block of code) {
+        push(block.text, {
+          heading,
+          breadcrumb,
+          namespace: markdown.codeNamespace,
+        });
+      }
+    }
+    // Docs that extract to nothing (e.g. code-only when stripping) still keep one block.
+    if (chunk === 0) {
+      push(markdown.mode === 'strip' ? stripMd(doc.text) : '', {});
+    }
+  });
+
+  return blocks;
+}
+
+function toBreadcrumb(docHeading: string | undefined, path: string[]): string[] {
+  const out: string[] = [];
+  for (const entry of [docHeading ?? '', ...path.map(stripInline)]) {
+    if (entry && entry !== out[out.length - 1]) out.push(entry);
+  }
+  return out;
+}
+
+function resolveBuildAnalyzer(id: unknown) {
+  if (id !== undefined && (typeof id !== 'string' || !id.trim())) {
+    throw new Error(
+      'buildPack(...): analyzer must be a non-empty string when provided.'
+    );
+  }
+  return getAnalyzer(id ?? STANDARD_ANALYZER_ID, 'buildPack(...)');
+}
+
+function resolveChunkingMeta(
+  chunking: ChunkingOptions
+): NonNullable<PackMeta['chunking']> {
+  const window = resolveWindow(chunking);
+  return { strategy: chunking.strategy, ...(window ?? {}) };
+}
+
 function normalizeAgents(
   input?: BuildPackOptions['agents']
 ): AgentRegistry | undefined {
@@ -224,6 +531,16 @@ function buildSemanticSection(
     scales[i] = encodeScaleF16(scale);
   }
 
+  return encodeSemanticSection(semantic.modelId, dims, vecs, scales);
+}
+
+/** Lay out quantized vectors + float16 scales as the semantic JSON + blob pair. */
+export function encodeSemanticSection(
+  modelId: string,
+  dims: number,
+  vecs: Int8Array,
+  scales: Uint16Array
+): { semJson: object; semBlob: Uint8Array } {
   const vecByteOffset = 0;
   const vecByteLength = vecs.byteLength;
   const scalesByteOffset = vecByteLength;
@@ -241,7 +558,7 @@ function buildSemanticSection(
 
   const semJson = {
     version: 1,
-    modelId: semantic.modelId,
+    modelId,
     dims,
     encoding: 'int8_l2norm',
     perVectorScale: true,
@@ -291,18 +608,22 @@ function validateDocs(docs: BuildInputDoc[]): BuildInputDoc[] {
         `Invalid doc at index ${i}: "namespace" must be a string when provided.`
       );
     }
+    validateDocMetadata(doc.metadata, `Invalid doc at index ${i}`);
+    validateDocBoost(doc.boost, `Invalid doc at index ${i}`);
     return doc;
   });
 }
 
-/** Strip Markdown syntax with lightweight regexes (no deps). */
-function stripMd(md: string): string {
-  let text = md.replace(/```[\s\S]*?```/g, ' ');
-  text = text.replace(/`[^`]*`/g, ' ');
-  text = text.replace(/[\*_~]+/g, ' ');
-  text = text.replace(/^#+\s*/gm, '');
-  text = text.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1');
-  text = text.replace(/[\[\]()]/g, ' ');
-  text = text.replace(/\s+/g, ' ').trim();
-  return text;
+/** Validate a doc `boost`. `context` prefixes error messages. */
+export function validateDocBoost(
+  boost: unknown,
+  context: string
+): number | undefined {
+  if (boost === undefined) return undefined;
+  if (typeof boost !== 'number' || !Number.isFinite(boost) || boost <= 0) {
+    throw new Error(
+      `${context}: "boost" must be a finite number > 0 when provided.`
+    );
+  }
+  return boost;
 }
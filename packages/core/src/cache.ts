@@ -0,0 +1,143 @@
+/*
+ * cache.ts
+ *
+ * Bounded LRU cache of query results, shared by any number of packs. Entries
+ * are keyed on the pack, the query string with whitespace runs collapsed,
+ * and the options with keys sorted (paging.ts), so option order never
+ * matters. Hits are copied in and out; callers may mutate what they get back.
+ */
+
+import { canonicalQuery } from './paging.js';
+import { hasUnfetchedReads } from './pack.range.js';
+import type { Pack } from './pack.runtime.js';
+import type { Hit, QueryOptions } from './query.js';
+
+export type QueryCacheOptions = {
+  /** Result lists kept before the least recently used one is dropped (default 256). */
+  maxEntries?: number;
+};
+
+export type QueryCacheStats = {
+  hits: number;
+  misses: number;
+  evictions: number;
+  size: number;
+};
+
+export const DEFAULT_QUERY_CACHE_ENTRIES = 256;
+
+const fingerprints = new WeakMap<object, string>();
+let packCount = 0;
+
+export class QueryCache {
+  public readonly maxEntries: number;
+
+  private readonly entries = new Map<string, Hit[]>();
+  private counters = { hits: 0, misses: 0, evictions: 0 };
+
+  constructor(opts: QueryCacheOptions = {}) {
+    const maxEntries = opts.maxEntries ?? DEFAULT_QUERY_CACHE_ENTRIES;
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      throw new Error(
+        'createQueryCache(...): maxEntries must be a positive integer.'
+      );
+    }
+    this.maxEntries = maxEntries;
+  }
+
+  public get size(): number {
+    return this.entries.size;
+  }
+
+  public stats(): QueryCacheStats {
+    return { ...this.counters, size: this.entries.size };
+  }
+
+  public clear(): void {
+    this.entries.clear();
+  }
+
+  /** Drop every entry computed against `pack` (LivePack does this on writes). */
+  public invalidate(pack: Pack): void {
+    const prefix = `${packFingerprint(pack)}\u0000`;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Cached result of `run()` for this pack, query and options. `variant`
+   * separates calls that return different shapes for the same inputs.
+   * Used by `query()`; not meant to be called directly.
+   */
+  public resolve(
+    pack: Pack,
+    q: string,
+    opts: QueryOptions,
+    variant: string,
+    run: () => Hit[]
+  ): Hit[] {
+    const key = [
+      packFingerprint(pack),
+      variant,
+      canonicalQuery(normalizeQueryText(q, opts), opts, ['cache']),
+    ].join('\u0000');
+    const cached = this.entries.get(key);
+    if (cached) {
+      this.counters.hits++;
+      this.entries.delete(key);
+      this.entries.set(key, cached);
+      return clonePlain(cached);
+    }
+    this.counters.misses++;
+    const hits = run();
+    // Placeholder results from a fetchOnDemand round are not kept.
+    if (hasUnfetchedReads()) return hits;
+    this.entries.set(key, clonePlain(hits));
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value as string);
+      this.counters.evictions++;
+    }
+    return hits;
+  }
+}
+
+export function createQueryCache(opts: QueryCacheOptions = {}): QueryCache {
+  return new QueryCache(opts);
+}
+
+/**
+ * Whitespace runs are collapsed and leading space dropped. Trailing space is
+ * kept (as one space) with `prefixLastToken`, where it means the last word is
+ * finished. Case is kept: `OR` is an operator and `or` a word.
+ */
+function normalizeQueryText(q: string, opts: QueryOptions): string {
+  const text = q.replace(/\s+/g, ' ').trimStart();
+  return opts.prefixLastToken ? text : text.trimEnd();
+}
+
+/**
+ * Cache identity of a pack object. Packs are immutable once mounted, and a
+ * LivePack swaps in a new pack object on every write, so object identity is
+ * an exact fingerprint that never reads block text (lazy mounts stay lazy).
+ */
+function packFingerprint(pack: Pack): string {
+  let fingerprint = fingerprints.get(pack);
+  if (!fingerprint) {
+    fingerprint = `p${++packCount}`;
+    fingerprints.set(pack, fingerprint);
+  }
+  return fingerprint;
+}
+
+/** Deep copy of plain hit data (objects, arrays, typed arrays, primitives). */
+function clonePlain<T>(value: T): T {
+  if (Array.isArray(value)) return value.map(clonePlain) as T;
+  if (ArrayBuffer.isView(value)) {
+    return (value as unknown as Uint8Array).slice() as unknown as T;
+  }
+  if (!value || typeof value !== 'object') return value;
+  const out: Record<string, unknown> = {};
+  for (const [key, item] of Object.entries(value)) out[key] = clonePlain(item);
+  return out as T;
+}
@@ -0,0 +1,196 @@
+/*
+ * chunking.ts
+ *
+ * Splits long input docs into passage-level sections before indexing so that
+ * BM25L length normalization scores passages rather than whole files. Splits
+ * are line-based and fence-aware: headings and blank lines inside fenced code
+ * never start a new section.
+ */
+
+import type { Pack } from './pack.runtime.js';
+
+export type ChunkingStrategy = 'heading' | 'paragraph' | 'tokens';
+
+export type ChunkingOptions = {
+  strategy: ChunkingStrategy;
+  /** Window size in words. Defaults to 256 for 'tokens'; otherwise caps oversized sections. */
+  maxTokens?: number;
+  /** Words shared between consecutive windows. Must be smaller than maxTokens. */
+  overlap?: number;
+};
+
+export type RawSection = {
+  heading?: string;
+  text: string;
+  /** Raw heading texts enclosing the section, outermost first. */
+  path: string[];
+};
+
+const DEFAULT_WINDOW_TOKENS = 256;
+const DEFAULT_WINDOW_OVERLAP = 32;
+const FENCE_RE = /^\s*(```|~~~)/;
+const HEADING_LINE_RE = /^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+export function validateChunkingOptions(opts?: ChunkingOptions): void {
+  if (opts === undefined) return;
+  if (!opts || typeof opts !== 'object') {
+    throw new Error(
+      'buildPack(...): chunking must be an object when provided.'
+    );
+  }
+  if (
+    opts.strategy !== 'heading' &&
+    opts.strategy !== 'paragraph' &&
+    opts.strategy !== 'tokens'
+  ) {
+    throw new Error(
+      'buildPack(...): chunking.strategy must be "heading", "paragraph" or "tokens".'
+    );
+  }
+  if (
+    opts.maxTokens !== undefined &&
+    (!Number.isInteger(opts.maxTokens) || opts.maxTokens < 1)
+  ) {
+    throw new Error(
+      'buildPack(...): chunking.maxTokens must be a positive integer.'
+    );
+  }
+  if (
+    opts.overlap !== undefined &&
+    (!Number.isInteger(opts.overlap) || opts.overlap < 0)
+  ) {
+    throw new Error(
+      'buildPack(...): chunking.overlap must be a non-negative integer.'
+    );
+  }
+  const window = resolveWindow(opts);
+  if (window && window.overlap >= window.maxTokens) {
+    throw new Error(
+      'buildPack(...): chunking.overlap must be smaller than chunking.maxTokens.'
+    );
+  }
+}
+
+/**
+ * Resolve the token window for a strategy. 'tokens' always windows; the
+ * structural strategies only window when maxTokens is set explicitly.
+ */
+export function resolveWindow(
+  opts: ChunkingOptions
+): { maxTokens: number; overlap: number } | null {
+  if (opts.strategy !== 'tokens' && opts.maxTokens === undefined) return null;
+  const maxTokens = opts.maxTokens ?? DEFAULT_WINDOW_TOKENS;
+  const overlap =
+    opts.overlap ??
+    (opts.strategy === 'tokens'
+      ? Math.min(DEFAULT_WINDOW_OVERLAP, Math.floor(maxTokens / 4))
+      : 0);
+  return { maxTokens, overlap };
+}
+
+/** Split raw markdown into sections according to the structural strategy. */
+export function splitSections(
+  md: string,
+  strategy: ChunkingStrategy
+): RawSection[] {
+  if (strategy === 'tokens') return [{ text: md, path: [] }];
+
+  const sections: RawSection[] = [];
+  const stack: Array<{ level: number; text: string }> = [];
+  let heading: string | undefined;
+  let path: string[] = [];
+  let lines: string[] = [];
+  let inFence = false;
+
+  const flush = () => {
+    const text = lines.join('\n');
+    if (text.trim()) {
+      sections.push(
+        heading !== undefined ? { heading, text, path } : { text, path }
+      );
+    }
+    lines = [];
+  };
+  const push = (line: string) => {
+    if (!lines.length) path = stack.map((h) => h.text);
+    lines.push(line);
+  };
+
+  for (const line of md.split(/\r?\n/)) {
+    if (FENCE_RE.test(line)) {
+      inFence = !inFence;
+      push(line);
+      continue;
+    }
+    const m = inFence ? null : line.match(HEADING_LINE_RE);
+    if (m) {
+      if (strategy === 'heading') flush();
+      const level = m[1].length;
+      while (stack.length && stack[stack.length - 1].level >= level) {
+        stack.pop();
+      }
+      stack.push({ level, text: m[2] });
+      if (strategy === 'heading') heading = m[2];
+    } else if (!inFence && strategy === 'paragraph' && !line.trim()) {
+      flush();
+      continue;
+    }
+    push(line);
+  }
+  flush();
+
+  return sections;
+}
+
+/**
+ * Slide a window over already-extracted text. Words are whitespace-delimited,
+ * which tracks `tokenize()` closely enough for sizing purposes. Each window is
+ * a slice of the original text, so line and paragraph breaks survive.
+ */
+export function windowText(
+  text: string,
+  window: { maxTokens: number; overlap: number }
+): string[] {
+  const words = [...text.matchAll(/\S+/g)];
+  const slice = (from: number, to: number) => {
+    const last = words[to - 1];
+    return text.slice(words[from].index, (last.index ?? 0) + last[0].length);
+  };
+  if (words.length <= window.maxTokens) {
+    return [words.length ? slice(0, words.length) : ''];
+  }
+
+  const step = window.maxTokens - window.overlap;
+  const out: string[] = [];
+  for (let start = 0; start < words.length; start += step) {
+    out.push(slice(start, Math.min(words.length, start + window.maxTokens)));
+    if (start + window.maxTokens >= words.length) break;
+  }
+  return out;
+}
+
+/**
+ * Return block ids of the chunks surrounding `blockId` in the same parent
+ * document, ordered by chunk ordinal (the block itself included). Packs built
+ * without chunking only ever return `[blockId]`.
+ */
+export function getChunkNeighbors(
+  pack: Pick<Pack, 'blocks' | 'blockDocs' | 'blockChunks'>,
+  blockId: number,
+  radius = 1
+): number[] {
+  if (blockId < 0 || blockId >= pack.blocks.length) return [];
+  const doc = pack.blockDocs?.[blockId];
+  const chunk = pack.blockChunks?.[blockId];
+  if (doc === undefined || chunk === undefined) return [blockId];
+
+  const span = Math.max(0, Math.floor(radius));
+  const out: Array<{ blockId: number; chunk: number }> = [];
+  for (let bid = 0; bid < pack.blocks.length; bid++) {
+    if (pack.blockDocs?.[bid] !== doc) continue;
+    const ordinal = pack.blockChunks?.[bid];
+    if (ordinal === undefined || Math.abs(ordinal - chunk) > span) continue;
+    out.push({ blockId: bid, chunk: ordinal });
+  }
+  return out.sort((a, b) => a.chunk - b.chunk).map((entry) => entry.blockId);
+}
@@ -0,0 +1,58 @@
+/*
+ * explain.ts
+ *
+ * Shape of `hit.evidence.explain`, filled by `query(..., { explain: true })`.
+ * Each hit carries the inputs of every scoring stage it went through, so an
+ * odd ranking can be traced back to a term, a boost or the MMR pass.
+ */
+
+import type { IndexedField } from './fields.js';
+
+export type TermExplanation = {
+  /** Analyzed term (the body term for field-only matches). */
+  term: string;
+  /**
+   * How the term entered the query: typed, a wildcard expansion, a fuzzy
+   * correction, a query-expansion term, or a phrase token scanned because no
+   * other term matched.
+   */
+  origin: 'query' | 'wildcard' | 'fuzzy' | 'expansion' | 'phrase';
+  /** Body term frequency, already weighted for fuzzy and expansion terms. */
+  tf: number;
+  /** Field term frequencies (packs with `meta.fields`). */
+  fields?: Partial<Record<IndexedField, number>>;
+  df: number;
+  idf: number;
+  /** This term's BM25F contribution before multipliers. */
+  score: number;
+};
+
+export type ScoreExplanation = {
+  terms: TermExplanation[];
+  /** Block length in tokens, the pack average, and the BM25 `1 - b + b * len / avg` factor. */
+  length: { tokens: number; average: number; normalization: number };
+  /** Sum of the term contributions. */
+  bm25: number;
+  /** Smallest window covering every matched query term, and its multiplier. */
+  proximity: { span: number | null; multiplier: number };
+  /** Multiplier for containing a quoted phrase (1 when none applied). */
+  phraseBoost: number;
+  /** Heading-overlap multiplier (1 for packs with an indexed heading field). */
+  headingBoost: number;
+  /** Recency multiplier from `freshness` (1 when the option is not set). */
+  freshness: number;
+  /** Static doc `boost` the block was built with (1 when none). */
+  boost: number;
+  /** Query-expansion terms that matched this block. */
+  expansionTerms: string[];
+  /** Terms graph expansion added to the query (same for every hit). */
+  graphTerms: string[];
+  /** KNS tie-breaker multiplier. */
+  knsBoost: number;
+  /**
+   * MMR pass: position by score before diversification (0-based), the highest
+   * similarity to an already kept hit, and the MMR score it was picked with
+   * (`null` when every remaining hit was a near-duplicate).
+   */
+  mmr: { rank: number; maxSimilarity: number; score: number | null };
+};
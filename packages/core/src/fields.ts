@@ -0,0 +1,45 @@
+/*
+ * fields.ts
+ *
+ * Field terms: heading and doc-id tokens are indexed in the same lexicon and
+ * postings as body text, under keys that cannot collide with analyzed terms
+ * (a control-character marker plus the field name). Keeping them in the
+ * shared structures means merging, pack sets and live packs carry them
+ * without a format change; `meta.fields` records which fields a pack indexed.
+ */
+
+export type IndexedField = 'heading' | 'docId';
+
+/** Fields `buildPack` indexes, in the order they are recorded in `meta.fields`. */
+export const INDEXED_FIELDS: readonly IndexedField[] = ['heading', 'docId'];
+
+const FIELD_MARK = '\u0001';
+
+/** Lexicon key of `term` occurring in `field`. */
+export function fieldTerm(field: IndexedField, term: string): string {
+  return `${FIELD_MARK}${field}:${term}`;
+}
+
+export function isFieldTerm(term: string): boolean {
+  return term.startsWith(FIELD_MARK);
+}
+
+/** Body-text terms among lexicon keys; `meta.stats.terms` leaves field terms out. */
+export function countBodyTerms(terms: Iterable<string>): number {
+  let count = 0;
+  for (const term of terms) if (!isFieldTerm(term)) count++;
+  return count;
+}
+
+/** The analyzed term inside a field key (`fieldTerm('heading', 'x')` → 'x'). */
+export function fieldTermText(key: string): string {
+  return key.slice(key.indexOf(':') + 1);
+}
+
+/** True when the pack indexed `field` (`meta.fields`). */
+export function hasIndexedField(
+  pack: { meta?: { fields?: string[] } },
+  field: IndexedField
+): boolean {
+  return pack.meta?.fields?.includes(field) === true;
+}
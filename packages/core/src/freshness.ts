@@ -0,0 +1,116 @@
+/*
+ * freshness.ts
+ *
+ * Recency for `query()`: a decay multiplier on BM25L scores from each doc's
+ * update time, and the `updatedAfter` cutoff. The update time is a doc
+ * metadata field (`updatedAt` by default) holding an ISO 8601 date string or
+ * epoch milliseconds, so it is persisted with every block like any metadata.
+ */
+
+import type { DocMetadata } from './metadata.js';
+
+/** A point in time: ISO 8601 string, epoch milliseconds or a `Date`. */
+export type Timestamp = string | number | Date;
+
+export type FreshnessOptions = {
+  /** Metadata field holding the doc's update time (default `updatedAt`). */
+  field?: string;
+  /** Age in days at which the decay factor halves (default 90). */
+  halfLifeDays?: number;
+  /**
+   * Share of the score subject to decay, 0..1 (default 0.5): the multiplier
+   * is `1 - weight + weight * 0.5 ** (ageDays / halfLifeDays)`.
+   */
+  weight?: number;
+  /**
+   * Reference time ages are measured from (default: the time of the call,
+   * and results then bypass the query cache). Pin it for reproducible
+   * rankings and for paging with cursors.
+   */
+  now?: Timestamp;
+};
+
+export const DEFAULT_FRESHNESS_FIELD = 'updatedAt';
+export const DEFAULT_HALF_LIFE_DAYS = 90;
+export const DEFAULT_FRESHNESS_WEIGHT = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function validateFreshnessOptions(freshness: unknown): void {
+  if (freshness === undefined) return;
+  if (!freshness || typeof freshness !== 'object' || Array.isArray(freshness)) {
+    throw new Error('query(...): freshness must be an object when provided.');
+  }
+  const opts = freshness as FreshnessOptions;
+  if (
+    opts.field !== undefined &&
+    (typeof opts.field !== 'string' || !opts.field)
+  ) {
+    throw new Error(
+      'query(...): freshness.field must be a non-empty string when provided.'
+    );
+  }
+  if (
+    opts.halfLifeDays !== undefined &&
+    (!Number.isFinite(opts.halfLifeDays) || opts.halfLifeDays <= 0)
+  ) {
+    throw new Error(
+      'query(...): freshness.halfLifeDays must be a finite number > 0.'
+    );
+  }
+  if (
+    opts.weight !== undefined &&
+    (!Number.isFinite(opts.weight) || opts.weight < 0 || opts.weight > 1)
+  ) {
+    throw new Error('query(...): freshness.weight must be between 0 and 1.');
+  }
+  if (opts.now !== undefined && parseTimestamp(opts.now) === undefined) {
+    throw new Error(
+      'query(...): freshness.now must be an ISO date string, epoch milliseconds or a valid Date.'
+    );
+  }
+}
+
+export function validateUpdatedAfter(updatedAfter: unknown): void {
+  if (updatedAfter === undefined) return;
+  if (parseTimestamp(updatedAfter) === undefined) {
+    throw new Error(
+      'query(...): updatedAfter must be an ISO date string, epoch milliseconds or a valid Date.'
+    );
+  }
+}
+
+/** Epoch milliseconds of `value`, or `undefined` when it is not a point in time. */
+export function parseTimestamp(value: unknown): number | undefined {
+  let ms: number | undefined;
+  if (value instanceof Date) ms = value.getTime();
+  else if (typeof value === 'number') ms = value;
+  else if (typeof value === 'string') ms = Date.parse(value);
+  return ms !== undefined && Number.isFinite(ms) ? ms : undefined;
+}
+
+/** Update time of a block from its metadata; `undefined` when missing or unparseable. */
+export function blockUpdatedAt(
+  metadata: DocMetadata | null | undefined,
+  field: string
+): number | undefined {
+  return parseTimestamp(metadata?.[field] ?? undefined);
+}
+
+/**
+ * Score multiplier for a doc last updated at `updatedAt`. Docs without an
+ * update time count as infinitely old and get `1 - weight`; dates in the
+ * future count as age 0.
+ */
+export function freshnessMultiplier(
+  updatedAt: number | undefined,
+  opts: FreshnessOptions,
+  now: number
+): number {
+  const weight = opts.weight ?? DEFAULT_FRESHNESS_WEIGHT;
+  if (updatedAt === undefined) return 1 - weight;
+  const ageDays = Math.max(0, now - updatedAt) / DAY_MS;
+  const decay =
+    0.5 ** (ageDays / (opts.halfLifeDays ?? DEFAULT_HALF_LIFE_DAYS));
+  return 1 - weight + weight * decay;
+}
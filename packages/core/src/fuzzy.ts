@@ -0,0 +1,176 @@
+/*
+ * fuzzy.ts
+ *
+ * Typo-tolerant term lookup for `query()`. Query terms missing from the
+ * lexicon are matched against lexicon terms within a bounded edit distance
+ * (Damerau–Levenshtein, adjacent transpositions count as one edit). The
+ * lexicon is bucketed by first character and by length once per pack, so a
+ * lookup only compares terms that can possibly be within range.
+ */
+
+import { isFieldTerm } from './fields.js';
+import type { Pack } from './pack.runtime.js';
+
+export type FuzzyOptions = {
+  /** Maximum edits per term, 1 or 2 (default 1). Capped by term length. */
+  maxEdits?: number;
+  /** Leading characters that must match exactly (default 1). */
+  prefix?: number;
+  /** Corrections kept per query term, closest first (default 3). */
+  maxExpansions?: number;
+};
+
+export type ResolvedFuzzyOptions = Required<FuzzyOptions>;
+
+export type FuzzyCorrection = {
+  /** Analyzed query term that was not in the lexicon. */
+  from: string;
+  /** Lexicon term it was expanded to. */
+  to: string;
+  edits: number;
+};
+
+/** Term-frequency weight of a correction relative to an exact match, per edit. */
+export const FUZZY_EDIT_WEIGHT = 0.5;
+
+type LexiconBuckets = Map<string, Map<number, string[]>>;
+
+const bucketCache = new WeakMap<Pack['lexicon'], LexiconBuckets>();
+
+export function validateFuzzyOptions(opts?: FuzzyOptions): void {
+  if (opts === undefined) return;
+  if (!opts || typeof opts !== 'object') {
+    throw new Error('query(...): fuzzy must be an object when provided.');
+  }
+  if (
+    opts.maxEdits !== undefined &&
+    opts.maxEdits !== 1 &&
+    opts.maxEdits !== 2
+  ) {
+    throw new Error('query(...): fuzzy.maxEdits must be 1 or 2.');
+  }
+  if (
+    opts.prefix !== undefined &&
+    (!Number.isInteger(opts.prefix) || opts.prefix < 0)
+  ) {
+    throw new Error('query(...): fuzzy.prefix must be a non-negative integer.');
+  }
+  if (
+    opts.maxExpansions !== undefined &&
+    (!Number.isInteger(opts.maxExpansions) || opts.maxExpansions < 1)
+  ) {
+    throw new Error(
+      'query(...): fuzzy.maxExpansions must be a positive integer.'
+    );
+  }
+}
+
+export function resolveFuzzyOptions(opts: FuzzyOptions): ResolvedFuzzyOptions {
+  return {
+    maxEdits: opts.maxEdits ?? 1,
+    prefix: opts.prefix ?? 1,
+    maxExpansions: opts.maxExpansions ?? 3,
+  };
+}
+
+/**
+ * Edits allowed for a term: none below 3 characters, one below 6, otherwise
+ * `maxEdits`. Short terms have too many neighbours to correct safely.
+ */
+export function allowedEdits(term: string, maxEdits: number): number {
+  const length = [...term].length;
+  if (length < 3) return 0;
+  if (length < 6) return Math.min(1, maxEdits);
+  return maxEdits;
+}
+
+/**
+ * Lexicon terms within the allowed edit distance of `term`, closest first
+ * (ties by term), at most `maxExpansions`.
+ */
+export function findFuzzyTerms(
+  lexicon: Pack['lexicon'],
+  term: string,
+  opts: ResolvedFuzzyOptions
+): Array<{ term: string; edits: number }> {
+  const maxEdits = allowedEdits(term, opts.maxEdits);
+  if (maxEdits === 0) return [];
+  const chars = [...term];
+  const prefix = chars.slice(0, opts.prefix).join('');
+  if ([...prefix].length < opts.prefix) return [];
+
+  const buckets = lexiconBuckets(lexicon);
+  const firstChars = prefix ? [chars[0]] : [...buckets.keys()];
+  const out: Array<{ term: string; edits: number }> = [];
+  for (const first of firstChars) {
+    const byLength = buckets.get(first);
+    if (!byLength) continue;
+    for (
+      let len = chars.length - maxEdits;
+      len <= chars.length + maxEdits;
+      len++
+    ) {
+      for (const candidate of byLength.get(len) ?? []) {
+        if (!candidate.startsWith(prefix)) continue;
+        const edits = boundedEditDistance(chars, [...candidate], maxEdits);
+        if (edits <= maxEdits) out.push({ term: candidate, edits });
+      }
+    }
+  }
+  return out
+    .sort(
+      (a, b) =>
+        a.edits - b.edits || (a.term < b.term ? -1 : a.term > b.term ? 1 : 0)
+    )
+    .slice(0, opts.maxExpansions);
+}
+
+function lexiconBuckets(lexicon: Pack['lexicon']): LexiconBuckets {
+  let buckets = bucketCache.get(lexicon);
+  if (buckets) return buckets;
+  buckets = new Map();
+  for (const term of lexicon.keys()) {
+    if (isFieldTerm(term)) continue;
+    const chars = [...term];
+    let byLength = buckets.get(chars[0]);
+    if (!byLength) {
+      byLength = new Map();
+      buckets.set(chars[0], byLength);
+    }
+    const list = byLength.get(chars.length);
+    if (list) list.push(term);
+    else byLength.set(chars.length, [term]);
+  }
+  bucketCache.set(lexicon, buckets);
+  return buckets;
+}
+
+/**
+ * Optimal string alignment distance, abandoned once every cell of two
+ * consecutive rows exceeds `max` (the result is then `max + 1`); two rows
+ * because a transposition reaches back past the previous one.
+ */
+function boundedEditDistance(a: string[], b: string[], max: number): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev: number[] = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let prevMin = 0;
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      if (value < rowMin) rowMin = value;
+    }
+    if (rowMin > max && prevMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+    prevMin = rowMin;
+  }
+  return prev[b.length];
+}
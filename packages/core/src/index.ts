@@ -1,14 +1,25 @@
 // src/index.ts
-export { mountPack, hasSemantic } from './pack.runtime.js';
+export { mountPack, hasSemantic, verifyPack } from './pack.runtime.js';
+export { fetchOnDemand } from './pack.range.js';
 export {
   query,
+  queryPage,
+  queryBatch,
   lexConfidence,
   validateQueryOptions,
   validateSemanticQueryOptions,
 } from './query.js';
 export { makeContextPatch } from './patch.js';
 export { buildPack } from './builder.js';
+export { mergePacks } from './merge.js';
+export { PackSet, createPackSet } from './packset.js';
+export { inspectPack, diffPacks } from './inspect.js';
+export { getChunkNeighbors } from './chunking.js';
+export { getTermIndex, termDocFreq } from './postings.js';
+export { matchesMetadataFilter } from './metadata.js';
+export { registerAnalyzer, getAnalyzer, listAnalyzers } from './analyzer.js';
 export { LivePack, createLivePack } from './live.js';
+export { QueryCache, createQueryCache } from './cache.js';
 export {
   quantizeEmbeddingInt8L2Norm,
   encodeScaleF16,
@@ -48,12 +59,58 @@ export {
 } from './graph/log.js';
 export { expandQueryWithGraph } from './graph/query_expand.js';
 export * from './memory/index.js';
-export type { MountOptions, PackMeta, Pack } from './pack.runtime.js';
-export type { QueryOptions, Hit } from './query.js';
+export type {
+  MountOptions,
+  PackMeta,
+  Pack,
+  PackSectionSize,
+} from './pack.runtime.js';
+export type { QueryOptions, QueryPage, RankingOptions, Hit } from './query.js';
+export type { FieldWeights } from './rank.js';
 export type { LivePackOptions } from './live.js';
+export type { QueryCacheOptions, QueryCacheStats } from './cache.js';
 export type { EmbeddingProvider, SemanticSidecar, SemanticQueryOptions, RetrievalEvidence } from './semantic/types.js';
 export type { ContextPatch } from './patch.js';
 export type { BuildInputDoc, BuildPackOptions } from './builder.js';
+export type { MergePacksOptions } from './merge.js';
+export type { PackSetMember } from './packset.js';
+export type {
+  InspectPackOptions,
+  PackInspection,
+  PackDiff,
+  PackDocChange,
+} from './inspect.js';
+export type { ChunkingOptions, ChunkingStrategy } from './chunking.js';
+export type { Analyzer, AnalyzerDefinition, AnalyzerLanguage } from './analyzer.js';
+export type { FuzzyOptions, FuzzyCorrection } from './fuzzy.js';
+export type { IndexedField } from './fields.js';
+export type { ScoreExplanation, TermExplanation } from './explain.js';
+export type {
+  Snippet,
+  SnippetFragment,
+  SnippetOptions,
+  SnippetRange,
+} from './snippet.js';
+export { parseQuery, QueryParseError } from './query_parse.js';
+export type {
+  ParseQueryOptions,
+  QueryAst,
+  QueryClause,
+  QueryField,
+  QueryNode,
+  QueryOccur,
+} from './query_parse.js';
+export type { TermIndex } from './postings.js';
+export type {
+  DocMetadata,
+  MetadataCondition,
+  MetadataFilter,
+  MetadataScalar,
+  MetadataValue,
+} from './metadata.js';
+export type { FreshnessOptions, Timestamp } from './freshness.js';
+export type { PinRule } from './pin.js';
+export type { PackKey } from './integrity.js';
 export type {
   AgentPromptTemplate,
   AgentToolPolicy,
@@ -9,8 +9,11 @@
  */
 
 import { tokenize } from "./tokenize.js";
+import type { Token } from "./tokenize.js";
+import { fieldTerm } from "./fields.js";
+import type { IndexedField } from "./fields.js";
 
-export type Block = { id: number; text: string; heading?: string };
+export type Block = { id: number; text: string; heading?: string; docId?: string };
 
 export type IndexBuildResult = {
   lexicon: Array<[string, number]>;
@@ -30,8 +33,15 @@ export type IndexBuildResult = {
  * ends with a 0, and each term section ends with a 0. The entire array can be
  * streamed sequentially without needing to know the sizes of individual lists
  * ahead of time.
+ *
+ * With `fields`, the block's heading and doc id are indexed too, as field
+ * terms (see fields.ts) whose positions count from 0 within the field.
  */
-export function buildIndex(blocks: Block[]): IndexBuildResult {
+export function buildIndex(
+  blocks: Block[],
+  analyze: (text: string) => Token[] = tokenize,
+  opts: { fields?: readonly IndexedField[] } = {}
+): IndexBuildResult {
   // Map term to termId and interim map of termId -> blockId -> positions
   const term2id = new Map<string, number>();
   const termBlockPositions: Map<number, Map<number, number[]>> = new Map();
@@ -47,16 +57,21 @@ export function buildIndex(blocks: Block[]): IndexBuildResult {
 
   // Build a local term frequency map per block, then populate the global map
   for (const block of blocks) {
-    const toks = tokenize(block.text);
     const perTermPositions = new Map<number, number[]>();
-    for (const tk of toks) {
-      const id = getTermId(tk.term);
+    const add = (key: string, pos: number) => {
+      const id = getTermId(key);
       let positions = perTermPositions.get(id);
       if (!positions) {
         positions = [];
         perTermPositions.set(id, positions);
       }
-      positions.push(tk.pos);
+      positions.push(pos);
+    };
+    for (const tk of analyze(block.text)) add(tk.term, tk.pos);
+    for (const field of opts.fields ?? []) {
+      const value = block[field];
+      if (!value) continue;
+      for (const tk of analyze(value)) add(fieldTerm(field, tk.term), tk.pos);
     }
     // Merge into global structure
     for (const [tid, positions] of perTermPositions) {
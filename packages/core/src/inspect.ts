@@ -0,0 +1,299 @@
+/*
+ * inspect.ts
+ *
+ * Release-review helpers: `inspectPack()` summarizes what is inside a mounted
+ * pack, and `diffPacks()` compares two packs document by document (blocks are
+ * grouped by `docId`, so chunked docs compare as a whole).
+ */
+
+import { isFieldTerm } from './fields.js';
+import type { DocMetadata } from './metadata.js';
+import type { Pack, PackMeta, PackSectionSize } from './pack.runtime.js';
+import { hasSemantic } from './pack.runtime.js';
+import { termDocFreq } from './postings.js';
+
+export type InspectPackOptions = {
+  /** How many terms to report in `topTerms` (default 20). */
+  topTerms?: number;
+};
+
+export type PackInspection = {
+  version: number;
+  stats: PackMeta['stats'];
+  /** Section sizes in file order; empty for packs not mounted from bytes. */
+  sections: PackSectionSize[];
+  totalBytes: number;
+  /** Most widespread terms, by number of blocks containing them. */
+  topTerms: Array<{ term: string; df: number }>;
+  /** Block counts per namespace; `null` collects blocks without one. */
+  namespaces: Array<{ namespace: string | null; blocks: number }>;
+  docs: {
+    total: number;
+    /** Docs whose blocks carry no `docId` (they cannot be diffed or source-filtered). */
+    withoutId: number;
+    blocksWithoutId: number;
+  };
+  semantic: {
+    modelId: string;
+    dims: number;
+    /** Blocks with a non-zero vector. */
+    vectors: number;
+    /** `vectors / blocks`, 0–1. */
+    coverage: number;
+  } | null;
+  claimGraph: {
+    nodes: number;
+    edges: number;
+    /** Edge counts per predicate, most frequent first. */
+    predicates: Array<{ predicate: string; edges: number }>;
+    edgesWithEvidence: number;
+  } | null;
+  agents: string[];
+};
+
+export function inspectPack(
+  pack: Pack,
+  opts: InspectPackOptions = {}
+): PackInspection {
+  const limit = opts.topTerms ?? 20;
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(
+      'inspectPack(...): topTerms must be a non-negative integer.'
+    );
+  }
+  const blockCount = pack.blocks.length;
+  const sections = pack.sections ?? [];
+
+  const topTerms = [...pack.lexicon]
+    .filter(([term]) => !isFieldTerm(term))
+    .map(([term, tid]) => ({ term, df: termDocFreq(pack, tid) }))
+    .sort((a, b) => b.df - a.df || compareStrings(a.term, b.term))
+    .slice(0, limit);
+
+  const namespaceCounts = new Map<string | null, number>();
+  const docsWithId = new Set<string>();
+  const docsWithoutId = new Set<number>();
+  let blocksWithoutId = 0;
+  for (let bid = 0; bid < blockCount; bid++) {
+    const ns = pack.namespaces?.[bid] ?? null;
+    namespaceCounts.set(ns, (namespaceCounts.get(ns) ?? 0) + 1);
+    const docId = pack.docIds?.[bid];
+    if (docId) {
+      docsWithId.add(docId);
+    } else {
+      blocksWithoutId++;
+      docsWithoutId.add(pack.blockDocs?.[bid] ?? bid);
+    }
+  }
+  const namespaces = [...namespaceCounts]
+    .map(([namespace, blocks]) => ({ namespace, blocks }))
+    .sort(
+      (a, b) =>
+        b.blocks - a.blocks ||
+        compareStrings(a.namespace ?? '', b.namespace ?? '')
+    );
+
+  return {
+    version: pack.meta?.version ?? 1,
+    stats: pack.meta?.stats,
+    sections,
+    totalBytes: sections.length
+      ? sections.reduce((sum, section) => sum + section.bytes, 0) +
+        sectionFraming(pack, sections)
+      : 0,
+    topTerms,
+    namespaces,
+    docs: {
+      total: pack.meta?.stats?.docs ?? docsWithId.size + docsWithoutId.size,
+      withoutId: docsWithoutId.size,
+      blocksWithoutId,
+    },
+    semantic: inspectSemantic(pack),
+    claimGraph: inspectClaimGraph(pack),
+    agents: (pack.meta?.agents?.agents ?? []).map((agent) => agent.id),
+  };
+}
+
+/** Length prefixes (v1–v3) or the section table (v4) around the payloads. */
+function sectionFraming(pack: Pack, sections: PackSectionSize[]): number {
+  if ((pack.meta?.version ?? 1) >= 4) return 4 + 4 + (sections.length - 1) * 12;
+  return sections.length * 4;
+}
+
+function inspectSemantic(pack: Pack): PackInspection['semantic'] {
+  if (!hasSemantic(pack) || !pack.semantic) return null;
+  const { modelId, dims, vecs } = pack.semantic;
+  let vectors = 0;
+  for (let bid = 0; bid < pack.blocks.length; bid++) {
+    const base = bid * dims;
+    if (base + dims > vecs.length) break;
+    for (let i = 0; i < dims; i++) {
+      if (vecs[base + i] !== 0) {
+        vectors++;
+        break;
+      }
+    }
+  }
+  return {
+    modelId,
+    dims,
+    vectors,
+    coverage: pack.blocks.length ? vectors / pack.blocks.length : 0,
+  };
+}
+
+function inspectClaimGraph(pack: Pack): PackInspection['claimGraph'] {
+  const graph = pack.claimGraph;
+  if (!graph) return null;
+  const predicates = new Map<string, number>();
+  let edgesWithEvidence = 0;
+  for (const edge of graph.edges) {
+    predicates.set(edge.p, (predicates.get(edge.p) ?? 0) + 1);
+    if (edge.evidence?.length) edgesWithEvidence++;
+  }
+  return {
+    nodes: graph.nodes.length,
+    edges: graph.edges.length,
+    predicates: [...predicates]
+      .map(([predicate, edges]) => ({ predicate, edges }))
+      .sort(
+        (a, b) => b.edges - a.edges || compareStrings(a.predicate, b.predicate)
+      ),
+    edgesWithEvidence,
+  };
+}
+
+export type PackDocChange = {
+  docId: string;
+  /** Which parts of the doc differ: text, heading, namespace, metadata, boost, blocks. */
+  fields: Array<
+    'text' | 'heading' | 'namespace' | 'metadata' | 'boost' | 'blocks'
+  >;
+};
+
+export type PackDiff = {
+  added: string[];
+  removed: string[];
+  changed: PackDocChange[];
+  unchanged: number;
+  /** Blocks without a `docId` cannot be matched and are only counted. */
+  blocksWithoutId: { a: number; b: number };
+};
+
+type DocSnapshot = {
+  text: string;
+  headings: string;
+  namespace: string;
+  metadata: string;
+  boost: number;
+  blocks: number;
+};
+
+/**
+ * Compare two packs by `docId`. A doc's blocks are compared in block order;
+ * blocks without a `docId` are counted but not matched.
+ */
+export function diffPacks(a: Pack, b: Pack): PackDiff {
+  const before = snapshotDocs(a);
+  const after = snapshotDocs(b);
+
+  const added: string[] = [];
+  const removed: string[] = [];
+  const changed: PackDocChange[] = [];
+  let unchanged = 0;
+
+  for (const docId of [...before.docs.keys()].sort(compareStrings)) {
+    if (!after.docs.has(docId)) removed.push(docId);
+  }
+  for (const docId of [...after.docs.keys()].sort(compareStrings)) {
+    const next = after.docs.get(docId) as DocSnapshot;
+    const prev = before.docs.get(docId);
+    if (!prev) {
+      added.push(docId);
+      continue;
+    }
+    const fields: PackDocChange['fields'] = [];
+    if (prev.text !== next.text) fields.push('text');
+    if (prev.headings !== next.headings) fields.push('heading');
+    if (prev.namespace !== next.namespace) fields.push('namespace');
+    if (prev.metadata !== next.metadata) fields.push('metadata');
+    if (prev.boost !== next.boost) fields.push('boost');
+    if (prev.blocks !== next.blocks) fields.push('blocks');
+    if (fields.length) changed.push({ docId, fields });
+    else unchanged++;
+  }
+
+  return {
+    added,
+    removed,
+    changed,
+    unchanged,
+    blocksWithoutId: { a: before.withoutId, b: after.withoutId },
+  };
+}
+
+function snapshotDocs(pack: Pack): {
+  docs: Map<string, DocSnapshot>;
+  withoutId: number;
+} {
+  const parts = new Map<
+    string,
+    {
+      text: string[];
+      headings: string[];
+      namespaces: Set<string>;
+      metadata: DocMetadata | null;
+      boost: number;
+    }
+  >();
+  let withoutId = 0;
+  for (let bid = 0; bid < pack.blocks.length; bid++) {
+    const docId = pack.docIds?.[bid];
+    if (!docId) {
+      withoutId++;
+      continue;
+    }
+    let entry = parts.get(docId);
+    if (!entry) {
+      entry = {
+        text: [],
+        headings: [],
+        namespaces: new Set(),
+        metadata: pack.blockMetadata?.[bid] ?? null,
+        boost: pack.blockBoosts?.[bid] ?? 1,
+      };
+      parts.set(docId, entry);
+    }
+    entry.text.push(pack.blocks[bid] ?? '');
+    entry.headings.push(pack.headings?.[bid] ?? '');
+    entry.namespaces.add(pack.namespaces?.[bid] ?? '');
+  }
+
+  const docs = new Map<string, DocSnapshot>();
+  for (const [docId, entry] of parts) {
+    docs.set(docId, {
+      text: entry.text.join('\n'),
+      headings: entry.headings.join('\n'),
+      namespace: [...entry.namespaces].sort(compareStrings).join(','),
+      metadata: canonicalJson(entry.metadata),
+      boost: entry.boost,
+      blocks: entry.text.length,
+    });
+  }
+  return { docs, withoutId };
+}
+
+function canonicalJson(value: DocMetadata | null): string {
+  if (!value) return '';
+  const sorted: DocMetadata = {};
+  for (const key of Object.keys(value).sort(compareStrings)) {
+    sorted[key] = value[key];
+  }
+  return JSON.stringify(sorted);
+}
+
+function compareStrings(left: string, right: string): number {
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+}
@@ -0,0 +1,186 @@
+/*
+ * integrity.ts
+ *
+ * Per-section CRC32 checksums and detached Ed25519 signatures for v4 packs.
+ * Runtime-safe: CRC32 is pure JS, signatures use WebCrypto (`crypto.subtle`)
+ * which is available in Node 20+, modern browsers and workers.
+ *
+ * The integrity section lists one CRC32 per section-table entry (plus the
+ * meta JSON). The signature section, when present, is always the final 64
+ * bytes of the pack and signs every byte before it, section table included.
+ */
+
+import type { PackSectionEntry } from './pack.format.js';
+import { PACK_SECTION } from './pack.format.js';
+
+export type PackKey = CryptoKey | Uint8Array;
+
+export type PackIntegrity = {
+  version: 1;
+  algorithm: 'crc32';
+  meta: number;
+  sections: Array<{ type: number; crc32: number } | null>;
+};
+
+export const SIGNATURE_BYTES = 64;
+
+let crcTable: Uint32Array | undefined;
+
+export function crc32(bytes: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** Checksum every section that precedes the integrity section itself. */
+export function buildIntegrity(
+  metaBytes: Uint8Array,
+  sections: Array<{ type: number; bytes: Uint8Array }>
+): PackIntegrity {
+  return {
+    version: 1,
+    algorithm: 'crc32',
+    meta: crc32(metaBytes),
+    sections: sections.map((section) => ({
+      type: section.type,
+      crc32: crc32(section.bytes),
+    })),
+  };
+}
+
+/**
+ * Validate CRCs for a mounted v4 pack. Throws a descriptive error on the
+ * first mismatch so tampered or corrupted packs never mount silently.
+ * Sections for which `read` returns undefined (not loaded, or deliberately
+ * left unchecked by lazy mounts) are skipped.
+ */
+export function verifyIntegrity(
+  metaBytes: Uint8Array,
+  table: PackSectionEntry[],
+  integrity: unknown,
+  read: (entry: PackSectionEntry) => Uint8Array | undefined
+): void {
+  const parsed = integrity as Partial<PackIntegrity> | undefined;
+  if (
+    !parsed ||
+    parsed.version !== 1 ||
+    parsed.algorithm !== 'crc32' ||
+    !Array.isArray(parsed.sections)
+  ) {
+    throw new Error(
+      'Pack integrity check failed: unsupported integrity section.'
+    );
+  }
+
+  if (crc32(metaBytes) !== parsed.meta) {
+    throw new Error('Pack integrity check failed: meta checksum mismatch.');
+  }
+
+  parsed.sections.forEach((expected, i) => {
+    if (!expected) return;
+    const entry = table[i];
+    if (!entry || entry.type !== expected.type) {
+      throw new Error(
+        `Pack integrity check failed: section ${i} should have type ${expected.type}.`
+      );
+    }
+    const bytes = read(entry);
+    if (!bytes) return;
+    if (crc32(bytes) !== expected.crc32) {
+      throw new Error(
+        `Pack integrity check failed: checksum mismatch in section ${i} (type ${entry.type}).`
+      );
+    }
+  });
+}
+
+/** Sign `message` with an Ed25519 private key (CryptoKey or PKCS#8 bytes). */
+export async function signBytes(
+  message: Uint8Array,
+  privateKey: PackKey
+): Promise<Uint8Array> {
+  const subtle = getSubtle('buildPack(...): integrity.sign');
+  const key =
+    privateKey instanceof Uint8Array
+      ? await subtle.importKey(
+          'pkcs8',
+          privateKey as BufferSource,
+          { name: 'Ed25519' },
+          false,
+          ['sign']
+        )
+      : privateKey;
+  return new Uint8Array(
+    await subtle.sign('Ed25519', key, message as BufferSource)
+  );
+}
+
+/**
+ * Verify the detached signature of a v4 pack against an Ed25519 public key
+ * (CryptoKey or raw 32-byte key). Rejects unsigned, truncated and tampered
+ * packs.
+ */
+export async function verifyPackSignature(
+  buf: ArrayBuffer,
+  table: PackSectionEntry[],
+  publicKey: PackKey
+): Promise<void> {
+  const sig = table.find((entry) => entry.type === PACK_SECTION.signature);
+  if (!sig) {
+    throw new Error('Pack signature check failed: pack is not signed.');
+  }
+  if (
+    sig.length !== SIGNATURE_BYTES ||
+    sig.offset + sig.length !== buf.byteLength
+  ) {
+    throw new Error(
+      'Pack signature check failed: signature must be the final 64 bytes of the pack.'
+    );
+  }
+
+  const subtle = getSubtle('mountPack(...): verify');
+  const key =
+    publicKey instanceof Uint8Array
+      ? await subtle.importKey(
+          'raw',
+          publicKey as BufferSource,
+          { name: 'Ed25519' },
+          false,
+          ['verify']
+        )
+      : publicKey;
+  const ok = await subtle.verify(
+    'Ed25519',
+    key,
+    new Uint8Array(buf, sig.offset, sig.length),
+    new Uint8Array(buf, 0, sig.offset)
+  );
+  if (!ok) {
+    throw new Error(
+      'Pack signature check failed: signature does not match the pack contents.'
+    );
+  }
+}
+
+function getSubtle(context: string): SubtleCrypto {
+  const subtle = (globalThis as { crypto?: { subtle?: SubtleCrypto } }).crypto
+    ?.subtle;
+  if (!subtle) {
+    throw new Error(
+      `${context} requires WebCrypto (crypto.subtle) with Ed25519 support in this runtime.`
+    );
+  }
+  return subtle;
+}
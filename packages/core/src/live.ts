@@ -1,11 +1,24 @@
-import { buildPack, type BuildInputDoc, type BuildPackOptions } from './builder.js';
-import type { Pack } from './pack.runtime.js';
+import {
+  buildPack,
+  reuseBlocks,
+  validateDocBoost,
+  type BuildInputDoc,
+  type BuildPackOptions,
+  type StoredBlock,
+} from './builder.js';
+import type { Pack, PackMeta } from './pack.runtime.js';
+import type { DocMetadata } from './metadata.js';
+import { validateDocMetadata } from './metadata.js';
 import { mountPack } from './pack.runtime.js';
+import type { QueryCache } from './cache.js';
 import {
   query as queryPack,
+  queryBatch as queryBatchOf,
+  queryPage as queryPageOf,
   validateQueryOptions,
   type Hit,
   type QueryOptions,
+  type QueryPage,
 } from './query.js';
 
 export type LivePackOptions = {
@@ -13,6 +26,12 @@ export type LivePackOptions = {
     enabled?: boolean;
     maxEdgesPerDoc?: number;
   };
+  /**
+   * Integrity for `serialize()`. Defaults to the base pack's: checksums when
+   * it has them. Signing needs the key, so a signed base is re-signed only
+   * when `integrity.sign` is passed here.
+   */
+  integrity?: BuildPackOptions['integrity'];
 };
 
 type LiveDoc = BuildInputDoc & { id: string };
@@ -23,6 +42,10 @@ type BaseDocEntry = {
   text: string;
   heading?: string;
   namespace?: string;
+  metadata?: DocMetadata;
+  boost?: number;
+  /** The doc's blocks in the base pack, reused as-is while the doc is untouched. */
+  blocks: StoredBlock[];
 };
 
 type NormalizedLivePackOptions = {
@@ -30,12 +53,14 @@ type NormalizedLivePackOptions = {
     enabled: boolean;
     maxEdgesPerDoc?: number;
   };
+  integrity?: BuildPackOptions['integrity'];
 };
 
 export class LivePack {
   public readonly base: Readonly<Pack>;
 
   private readonly graph: NormalizedLivePackOptions['graph'];
+  private readonly integrity: NormalizedLivePackOptions['integrity'];
   private readonly baseEntries: BaseDocEntry[];
   private readonly baseDocsById: Map<string, BaseDocEntry>;
   private overlay = new Map<string, LiveDoc>();
@@ -43,10 +68,13 @@ export class LivePack {
   // Materialized merged view so BM25 sees one corpus-wide IDF.
   private merged: Pack;
   private mutationQueue: Promise<void> = Promise.resolve();
+  /** Query caches used with this pack, invalidated on every write. */
+  private readonly caches = new Set<QueryCache>();
 
   constructor(base: Pack, opts: LivePackOptions = {}) {
     this.base = base;
     this.graph = normalizeLiveGraphOptions(base, opts);
+    this.integrity = opts.integrity ?? baseIntegrity(base);
     this.baseEntries = extractBaseEntries(base);
     this.baseDocsById = indexBaseEntries(this.baseEntries);
     this.merged = base;
@@ -66,11 +94,11 @@ export class LivePack {
         nextOverlay,
         nextTombstones,
         this.graph,
-        this.base.meta.agents
+        this.base.meta
       );
       this.overlay = nextOverlay;
       this.tombstones = nextTombstones;
-      this.merged = nextMerged;
+      this.replaceMerged(nextMerged);
     });
   }
 
@@ -96,11 +124,11 @@ export class LivePack {
         nextOverlay,
         nextTombstones,
         this.graph,
-        this.base.meta.agents
+        this.base.meta
       );
       this.overlay = nextOverlay;
       this.tombstones = nextTombstones;
-      this.merged = nextMerged;
+      this.replaceMerged(nextMerged);
     });
   }
 
@@ -125,38 +153,47 @@ export class LivePack {
         nextOverlay,
         nextTombstones,
         this.graph,
-        this.base.meta.agents
+        this.base.meta
       );
       this.overlay = nextOverlay;
       this.tombstones = nextTombstones;
-      this.merged = nextMerged;
+      this.replaceMerged(nextMerged);
     });
   }
 
   public query(q: string, opts: QueryOptions = {}): Hit[] {
     validateLiveQueryOptions(opts);
+    if (opts.cache) this.caches.add(opts.cache);
     return queryPack(this.merged, q, sanitizeLiveQueryOptions(opts));
   }
 
+  /** `queryPage()` over the current snapshot; later pages reflect writes made in between. */
+  public queryPage(q: string, opts: QueryOptions = {}): QueryPage {
+    validateLiveQueryOptions(opts);
+    if (opts.cache) this.caches.add(opts.cache);
+    return queryPageOf(this.merged, q, sanitizeLiveQueryOptions(opts));
+  }
+
+  /** `queryBatch()` over the current snapshot. */
+  public queryBatch(queries: readonly string[], opts: QueryOptions = {}): Hit[][] {
+    validateLiveQueryOptions(opts);
+    if (opts.cache) this.caches.add(opts.cache);
+    return queryBatchOf(this.merged, queries, sanitizeLiveQueryOptions(opts));
+  }
+
   public async serialize(): Promise<Uint8Array> {
     await this.mutationQueue;
     const docs = this.collectMergedDocs();
-    const buildOpts: Parameters<typeof buildPack>[1] = this.graph.enabled
-      ? {
-          graph: {
-            enabled: true,
-            ...(this.graph.maxEdgesPerDoc !== undefined
-            ? { maxEdgesPerDoc: this.graph.maxEdgesPerDoc }
-            : {}),
-          },
-          ...(this.base.meta.agents ? { agents: this.base.meta.agents } : {}),
-        }
-      : {
-          graph: { enabled: false },
-          ...(this.base.meta.agents ? { agents: this.base.meta.agents } : {}),
-        };
-
-    return await buildPack(docs, buildOpts);
+    return await buildPack(docs, {
+      ...createBuildPackOptions(this.graph, this.base.meta),
+      ...(this.integrity ? { integrity: this.integrity } : {}),
+    });
+  }
+
+  /** Swap in a rebuilt pack and drop cached results for the old one. */
+  private replaceMerged(next: Pack): void {
+    for (const cache of this.caches) cache.invalidate(this.merged);
+    this.merged = next;
   }
 
   private async enqueueMutation(task: () => Promise<void>): Promise<this> {
@@ -200,6 +237,9 @@ type LiveDocumentPatch = {
   text?: string;
   heading?: string;
   namespace?: string;
+  /** Replaces the doc's metadata as a whole. */
+  metadata?: DocMetadata;
+  boost?: number;
 };
 
 function normalizeLiveGraphOptions(
@@ -223,16 +263,161 @@ function normalizeLiveGraphOptions(
   };
 }
 
+/** Checksums when the base pack has them; v3 and older packs have none. */
+function baseIntegrity(base: Pack): BuildPackOptions['integrity'] {
+  if ((base.meta.version ?? 1) < 4) return undefined;
+  const checksums = base.sections?.some(
+    (section) => section.name === 'integrity'
+  );
+  return { checksums: checksums ?? true };
+}
+
 function extractBaseEntries(base: Pack): BaseDocEntry[] {
+  if (base.blockDocs && base.blockChunks) return extractChunkedEntries(base);
   return base.blocks.map((text, index) => ({
     index,
     text,
     heading: base.headings?.[index] ?? undefined,
     namespace: base.namespaces?.[index] ?? undefined,
+    metadata: base.blockMetadata?.[index] ?? undefined,
+    boost: base.blockBoosts?.[index] ?? undefined,
     id: normalizeBaseDocId(base.docIds?.[index]),
+    blocks: [storedBlock(base, index)],
   }));
 }
 
+function storedBlock(base: Pack, bid: number): StoredBlock {
+  const heading = base.headings?.[bid];
+  const breadcrumb = base.blockBreadcrumbs?.[bid];
+  const namespace = base.namespaces?.[bid];
+  return {
+    text: base.blocks[bid] ?? '',
+    ...(heading != null ? { heading } : {}),
+    ...(breadcrumb?.length ? { breadcrumb } : {}),
+    ...(namespace != null ? { namespace } : {}),
+  };
+}
+
+/**
+ * Chunked packs (and structured builds with separated code) store a doc as
+ * several blocks. Rebuilds reuse those blocks while the doc is untouched;
+ * its text is put back together from them in chunk order for when an update
+ * re-chunks it with the pack's own options. Blocks hold extracted text, not
+ * the raw markdown, so the rebuilt text restores what chunking relies on:
+ * overlapping token windows are joined once, sections become paragraphs,
+ * section headings become markdown headings and separated code goes back
+ * into fences.
+ */
+function extractChunkedEntries(base: Pack): BaseDocEntry[] {
+  const byDoc = new Map<number, number[]>();
+  for (let bid = 0; bid < base.blocks.length; bid++) {
+    const doc = base.blockDocs?.[bid] ?? bid;
+    const blocks = byDoc.get(doc);
+    if (blocks) blocks.push(bid);
+    else byDoc.set(doc, [bid]);
+  }
+
+  const chunking = base.meta.chunking;
+  const codeNamespace =
+    base.meta.markdown?.code === 'separate'
+      ? base.meta.markdown.codeNamespace
+      : undefined;
+  const entries: BaseDocEntry[] = [];
+  for (const [doc, blocks] of [...byDoc].sort(([a], [b]) => a - b)) {
+    blocks.sort(
+      (a, b) => (base.blockChunks?.[a] ?? 0) - (base.blockChunks?.[b] ?? 0)
+    );
+    const first = blocks[0];
+    const isCode = (bid: number) =>
+      codeNamespace !== undefined && base.namespaces?.[bid] === codeNamespace;
+    const textBlock = blocks.find((bid) => !isCode(bid)) ?? first;
+    // Heading chunking replaces the doc heading with section headings, which
+    // also start their section's text.
+    const firstHeading = base.headings?.[first] ?? undefined;
+    const docHeading =
+      base.blockBreadcrumbs?.[first]?.[0] ??
+      (chunking?.strategy === 'heading' &&
+      firstHeading &&
+      startsWithWords(base.blocks[first] ?? '', firstHeading)
+        ? undefined
+        : firstHeading);
+
+    let text = '';
+    let previous: number | undefined;
+    for (const bid of blocks) {
+      const piece = base.blocks[bid] ?? '';
+      if (isCode(bid)) {
+        text += `${text ? '\n\n' : ''}\`\`\`\n${piece}\n\`\`\``;
+      } else if (
+        previous !== undefined &&
+        continuesWindow(base.blocks[previous] ?? '', piece, chunking?.overlap)
+      ) {
+        text += ` ${dropWords(piece, chunking?.overlap ?? 0)}`;
+      } else {
+        const heading = base.headings?.[bid];
+        const sectionHeading =
+          chunking?.strategy === 'heading' &&
+          heading &&
+          heading !== base.headings?.[previous ?? -1] &&
+          startsWithWords(piece, heading);
+        const body = sectionHeading
+          ? `${'#'.repeat(headingLevel(base, bid, docHeading))} ${heading}\n${piece.slice(heading.length).trimStart()}`
+          : piece;
+        text += `${text ? '\n\n' : ''}${body}`;
+      }
+      if (!isCode(bid)) previous = bid;
+    }
+
+    entries.push({
+      index: doc,
+      text,
+      heading: docHeading,
+      namespace: base.namespaces?.[textBlock] ?? undefined,
+      metadata: base.blockMetadata?.[first] ?? undefined,
+      boost: base.blockBoosts?.[first] ?? undefined,
+      id: normalizeBaseDocId(base.docIds?.[first]),
+      blocks: blocks.map((bid) => storedBlock(base, bid)),
+    });
+  }
+  return entries;
+}
+
+/** True when `next` starts with the last `overlap` words of `prev` (one token window after another). */
+function continuesWindow(
+  prev: string,
+  next: string,
+  overlap: number | undefined
+): boolean {
+  if (!overlap) return false;
+  const tail = prev.split(/\s+/).filter(Boolean).slice(-overlap);
+  const head = next.split(/\s+/).filter(Boolean).slice(0, overlap);
+  return tail.length === overlap && tail.join(' ') === head.join(' ');
+}
+
+function dropWords(text: string, count: number): string {
+  const words = [...text.matchAll(/\S+/g)];
+  if (words.length <= count) return '';
+  return text.slice(words[count].index);
+}
+
+function startsWithWords(text: string, prefix: string): boolean {
+  return (
+    text.startsWith(prefix) &&
+    (text.length === prefix.length || /\s/.test(text[prefix.length]))
+  );
+}
+
+/** Markdown heading level of a section: its depth in the breadcrumb when known. */
+function headingLevel(
+  base: Pack,
+  bid: number,
+  docHeading: string | undefined
+): number {
+  const depth = base.blockBreadcrumbs?.[bid]?.length;
+  if (!depth) return 1;
+  return Math.min(6, Math.max(1, depth - (docHeading ? 1 : 0)));
+}
+
 function indexBaseEntries(entries: BaseDocEntry[]): Map<string, BaseDocEntry> {
   const index = new Map<string, BaseDocEntry>();
   for (const entry of entries) {
@@ -262,12 +447,19 @@ function normalizeLiveDocument(doc: LiveDoc): LiveDoc {
   const text = normalizeLiveText(doc.text, `LivePack document "${id}"`);
   const heading = validateOptionalString(doc.heading, 'heading', id);
   const namespace = validateOptionalString(doc.namespace, 'namespace', id);
+  const metadata = validateDocMetadata(
+    doc.metadata,
+    `LivePack document "${id}"`
+  );
+  const boost = validateDocBoost(doc.boost, `LivePack document "${id}"`);
 
   return {
     id,
     text,
     ...(heading !== undefined ? { heading } : {}),
     ...(namespace !== undefined ? { namespace } : {}),
+    ...(metadata !== undefined ? { metadata: { ...metadata } } : {}),
+    ...(boost !== undefined ? { boost } : {}),
   };
 }
 
@@ -291,6 +483,18 @@ function normalizeLivePatch(patch: LiveDocumentPatch): LiveDocumentPatch {
   if (patch.namespace !== undefined) {
     out.namespace = validateOptionalString(patch.namespace, 'namespace', id);
   }
+  if (patch.metadata !== undefined) {
+    out.metadata = validateDocMetadata(
+      patch.metadata,
+      `LivePack.updateDocument("${id}")`
+    );
+  }
+  if (patch.boost !== undefined) {
+    out.boost = validateDocBoost(
+      patch.boost,
+      `LivePack.updateDocument("${id}")`
+    );
+  }
   return out;
 }
 
@@ -300,11 +504,15 @@ function mergeLiveDoc(current: LiveDoc, patch: LiveDocumentPatch): LiveDoc {
     text: current.text,
     ...(current.heading !== undefined ? { heading: current.heading } : {}),
     ...(current.namespace !== undefined ? { namespace: current.namespace } : {}),
+    ...(current.metadata !== undefined ? { metadata: current.metadata } : {}),
+    ...(current.boost !== undefined ? { boost: current.boost } : {}),
   };
 
   if (patch.text !== undefined) next.text = patch.text;
   if (patch.heading !== undefined) next.heading = patch.heading;
   if (patch.namespace !== undefined) next.namespace = patch.namespace;
+  if (patch.metadata !== undefined) next.metadata = patch.metadata;
+  if (patch.boost !== undefined) next.boost = patch.boost;
 
   return cloneLiveDoc(next);
 }
@@ -315,6 +523,8 @@ function cloneLiveDoc(doc: LiveDoc): LiveDoc {
     text: doc.text,
     ...(doc.heading !== undefined ? { heading: doc.heading } : {}),
     ...(doc.namespace !== undefined ? { namespace: doc.namespace } : {}),
+    ...(doc.metadata !== undefined ? { metadata: { ...doc.metadata } } : {}),
+    ...(doc.boost !== undefined ? { boost: doc.boost } : {}),
   };
 }
 
@@ -324,6 +534,8 @@ function baseEntryToDoc(entry: BaseDocEntry): BuildInputDoc {
     text: entry.text,
     ...(entry.heading !== undefined ? { heading: entry.heading } : {}),
     ...(entry.namespace !== undefined ? { namespace: entry.namespace } : {}),
+    ...(entry.metadata !== undefined ? { metadata: entry.metadata } : {}),
+    ...(entry.boost !== undefined ? { boost: entry.boost } : {}),
   };
 }
 
@@ -353,10 +565,10 @@ async function buildMergedPack(
   overlay: Map<string, LiveDoc>,
   tombstones: Set<string>,
   graph: NormalizedLivePackOptions['graph'],
-  agents?: BuildPackOptions['agents']
+  meta: PackMeta
 ): Promise<Pack> {
   const docs = collectMergedDocsFromState(baseEntries, overlay, tombstones);
-  const bytes = await buildPack(docs, createBuildPackOptions(graph, agents));
+  const bytes = await buildPack(docs, createBuildPackOptions(graph, meta));
   return await mountPack({ src: bytes });
 }
 
@@ -371,13 +583,15 @@ function collectMergedDocsFromState(
   const named = new Map<string, BuildInputDoc>();
   const anonymous: BuildInputDoc[] = [];
 
+  // Untouched base docs keep their stored blocks.
   for (const entry of baseEntries) {
+    const doc = reuseBlocks(baseEntryToDoc(entry), entry.blocks);
     if (entry.id === undefined) {
-      anonymous.push(baseEntryToDoc(entry));
+      anonymous.push(doc);
       continue;
     }
     if (hidden.has(entry.id)) continue;
-    named.set(entry.id, baseEntryToDoc(entry));
+    named.set(entry.id, doc);
   }
 
   for (const [id, doc] of overlay) {
@@ -391,10 +605,18 @@ function collectMergedDocsFromState(
   return [...sortedNamed, ...anonymous];
 }
 
+/** Build options that reproduce the base pack: format version, agents, analyzer, chunking and markdown mode. */
 function createBuildPackOptions(
   graph: NormalizedLivePackOptions['graph'],
-  agents?: BuildPackOptions['agents']
+  meta: PackMeta
 ): BuildPackOptions {
+  const shared: BuildPackOptions = {
+    ...(meta.version === 4 ? { packVersion: 4 as const } : {}),
+    ...(meta.agents ? { agents: meta.agents } : {}),
+    ...(meta.analyzer ? { analyzer: meta.analyzer } : {}),
+    ...(meta.chunking ? { chunking: { ...meta.chunking } } : {}),
+    ...(meta.markdown ? { markdown: { ...meta.markdown } } : {}),
+  };
   return graph.enabled
     ? {
         graph: {
@@ -403,11 +625,11 @@ function createBuildPackOptions(
             ? { maxEdgesPerDoc: graph.maxEdgesPerDoc }
             : {}),
         },
-        ...(agents ? { agents } : {}),
+        ...shared,
       }
     : {
         graph: { enabled: false },
-        ...(agents ? { agents } : {}),
+        ...shared,
       };
 }
 
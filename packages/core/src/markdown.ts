@@ -0,0 +1,212 @@
+/*
+ * markdown.ts
+ *
+ * Markdown to block text. The default `strip` mode is the original lossy
+ * flattening (code removed, everything on one line). The `structured` mode
+ * keeps fenced code, paragraph boundaries (blank lines) and one line per list
+ * item or table row. No dependencies; line-based like chunking.ts, which also
+ * tracks the heading path used for block breadcrumbs.
+ */
+
+export type MarkdownOptions = {
+  /** 'strip' (default) flattens to one line and drops code; 'structured' keeps structure. */
+  mode?: 'strip' | 'structured';
+  /**
+   * Structured mode only. 'inline' (default) keeps fenced code in the block
+   * text; 'separate' emits every fenced code block as its own block in
+   * `codeNamespace`.
+   */
+  code?: 'inline' | 'separate';
+  /** Namespace for separated code blocks (default 'code'). */
+  codeNamespace?: string;
+};
+
+export type ResolvedMarkdownOptions =
+  | { mode: 'strip' }
+  | { mode: 'structured'; code: 'inline' | 'separate'; codeNamespace: string };
+
+export type CodeBlock = { lang?: string; text: string };
+
+export type ExtractedMarkdown = {
+  /** Paragraphs separated by a blank line; list items and table rows one per line. */
+  text: string;
+  /** Fenced code blocks pulled out of `text` (code: 'separate' only). */
+  code: CodeBlock[];
+};
+
+const FENCE_OPEN_RE = /^\s{0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING_LINE_RE = /^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+const LIST_ITEM_RE = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER_RE = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const RULE_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+
+export function validateMarkdownOptions(opts?: MarkdownOptions): void {
+  if (opts === undefined) return;
+  if (!opts || typeof opts !== 'object') {
+    throw new Error(
+      'buildPack(...): markdown must be an object when provided.'
+    );
+  }
+  if (
+    opts.mode !== undefined &&
+    opts.mode !== 'strip' &&
+    opts.mode !== 'structured'
+  ) {
+    throw new Error(
+      'buildPack(...): markdown.mode must be "strip" or "structured".'
+    );
+  }
+  if (
+    opts.code !== undefined &&
+    opts.code !== 'inline' &&
+    opts.code !== 'separate'
+  ) {
+    throw new Error(
+      'buildPack(...): markdown.code must be "inline" or "separate".'
+    );
+  }
+  if (
+    opts.codeNamespace !== undefined &&
+    (typeof opts.codeNamespace !== 'string' || !opts.codeNamespace.trim())
+  ) {
+    throw new Error(
+      'buildPack(...): markdown.codeNamespace must be a non-empty string.'
+    );
+  }
+  if (
+    (opts.mode ?? 'strip') === 'strip' &&
+    (opts.code !== undefined || opts.codeNamespace !== undefined)
+  ) {
+    throw new Error(
+      'buildPack(...): markdown.code and markdown.codeNamespace require markdown.mode "structured".'
+    );
+  }
+}
+
+export function resolveMarkdownOptions(
+  opts?: MarkdownOptions
+): ResolvedMarkdownOptions {
+  if ((opts?.mode ?? 'strip') === 'strip') return { mode: 'strip' };
+  return {
+    mode: 'structured',
+    code: opts?.code ?? 'inline',
+    codeNamespace: opts?.codeNamespace ?? 'code',
+  };
+}
+
+/** Strip Markdown syntax with lightweight regexes (no deps). */
+export function stripMd(md: string): string {
+  let text = md.replace(/```[\s\S]*?```/g, ' ');
+  text = text.replace(/`[^`]*`/g, ' ');
+  text = text.replace(/[\*_~]+/g, ' ');
+  text = text.replace(/^#+\s*/gm, '');
+  text = text.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1');
+  text = text.replace(/[\[\]()]/g, ' ');
+  text = text.replace(/\s+/g, ' ').trim();
+  return text;
+}
+
+/**
+ * Structured extraction. Prose lines of one paragraph are joined with a
+ * space; headings, list items and table rows keep their own line; fenced
+ * code is kept verbatim as its own paragraph or returned in `code`.
+ */
+export function extractMarkdown(
+  md: string,
+  opts: { code: 'inline' | 'separate' }
+): ExtractedMarkdown {
+  const paragraphs: string[] = [];
+  const code: CodeBlock[] = [];
+  let lines: string[] = [];
+  let prose = '';
+
+  const endLine = () => {
+    if (prose) lines.push(prose);
+    prose = '';
+  };
+  const endParagraph = () => {
+    endLine();
+    if (lines.length) paragraphs.push(lines.join('\n'));
+    lines = [];
+  };
+
+  const source = md.split(/\r?\n/);
+  for (let i = 0; i < source.length; i++) {
+    const line = source[i];
+    const fence = line.match(FENCE_OPEN_RE);
+    if (fence) {
+      const marker = fence[1];
+      const body: string[] = [];
+      i++;
+      while (i < source.length && !source[i].trim().startsWith(marker)) {
+        body.push(source[i]);
+        i++;
+      }
+      endParagraph();
+      const text = body.join('\n').replace(/^\n+|\s+$/g, '');
+      if (!text) continue;
+      if (opts.code === 'separate') {
+        code.push(fence[2] ? { lang: fence[2], text } : { text });
+      } else {
+        paragraphs.push(text);
+      }
+      continue;
+    }
+
+    if (!line.trim() || RULE_RE.test(line)) {
+      endParagraph();
+      continue;
+    }
+    const heading = line.match(HEADING_LINE_RE);
+    if (heading) {
+      endParagraph();
+      paragraphs.push(stripInline(heading[2]));
+      continue;
+    }
+    if (TABLE_DIVIDER_RE.test(line) && line.includes('-')) continue;
+
+    const content = line.replace(/^\s*(>\s?)+/, '');
+    const item = content.match(LIST_ITEM_RE);
+    if (item) {
+      endLine();
+      prose = stripInline(item[1]);
+      continue;
+    }
+    if (content.trim().startsWith('|')) {
+      endLine();
+      const cells = content
+        .trim()
+        .replace(/^\||\|$/g, '')
+        .split('|')
+        .map((cell) => stripInline(cell))
+        .filter(Boolean);
+      if (cells.length) lines.push(cells.join(' | '));
+      continue;
+    }
+    const text = stripInline(content);
+    if (text) prose = prose ? `${prose} ${text}` : text;
+  }
+  endParagraph();
+
+  return { text: paragraphs.join('\n\n'), code };
+}
+
+/** Inline markdown → text: code spans kept verbatim, links/images to their text. */
+export function stripInline(s: string): string {
+  return s
+    .split(/(`+[^`]*`+)/)
+    .map((part, i) => {
+      if (i % 2 === 1) return part.replace(/^`+\s?|\s?`+$/g, '');
+      return part
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+        .replace(/<(https?:\/\/[^>\s]+)>/g, '$1')
+        .replace(/<\/?[A-Za-z][^>]*>/g, ' ')
+        .replace(/(\*\*|__|~~)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+        .replace(/(^|[^\w*])[*_](?=\S)(.+?)(?<=\S)[*_](?!\w)/g, '$1$2');
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
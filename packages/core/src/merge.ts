@@ -0,0 +1,352 @@
+/*
+ * merge.ts
+ *
+ * Combine mounted packs into one pack without re-reading source files.
+ * Lexicons are unioned and term ids remapped, block ids and doc ordinals are
+ * shifted by the size of the packs before them, claim graphs and agent
+ * registries are unioned, and avgBlockLen is recomputed over all blocks.
+ */
+
+import type { AgentDefinitionV1, AgentRegistry } from './agent.js';
+import { validateAgentRegistry } from './agent.js';
+import type { BuildPackOptions, PackParts } from './builder.js';
+import {
+  encodeSemanticSection,
+  validatePackVersion,
+  writePack,
+} from './builder.js';
+import type { ClaimEdge, ClaimGraph, ClaimNode } from './graph/claim_graph.js';
+import { computeEdgeId, finalizeGraph } from './graph/claim_graph.js';
+import type { Pack, PackMeta } from './pack.runtime.js';
+import { forEachPosting } from './postings.js';
+import { getAnalyzer } from './analyzer.js';
+import { countBodyTerms, isFieldTerm } from './fields.js';
+
+export type MergePacksOptions = {
+  packVersion?: 3 | 4;
+  integrity?: BuildPackOptions['integrity'];
+  /** Union claim graphs (default true). */
+  graph?: { enabled?: boolean };
+  /**
+   * Concatenate semantic vectors. By default they are kept when every pack
+   * carries vectors for the same model and dropped otherwise; `enabled: true`
+   * throws instead of dropping them, `enabled: false` always drops them.
+   */
+  semantic?: { enabled?: boolean };
+  /**
+   * What to do when two packs define the same agent id differently:
+   * throw (default), keep the first definition, or keep the last.
+   */
+  agents?: { onConflict?: 'error' | 'first' | 'last' };
+};
+
+export async function mergePacks(
+  packs: Pack[],
+  opts: MergePacksOptions = {}
+): Promise<Uint8Array> {
+  if (!Array.isArray(packs) || packs.length === 0) {
+    throw new Error('mergePacks(...): expected a non-empty array of packs.');
+  }
+  const packVersion = validatePackVersion('mergePacks(...)', opts);
+  const onConflict = validateAgentConflict(opts);
+  const chunking = mergeChunkingMeta(packs);
+  const markdown = mergeMarkdownMeta(packs);
+  const analyzerId = mergeAnalyzerMeta(packs);
+  const fields = mergeFieldsMeta(packs);
+  const analyzer = getAnalyzer(analyzerId, 'mergePacks(...)');
+  const chunkRefs =
+    Boolean(chunking) || packs.some((pack) => pack.blockDocs !== undefined);
+
+  const lexicon = new Map<string, number>();
+  const lists: number[][] = [];
+  const blocks: unknown[] = [];
+  let totalTokens = 0;
+  let blockOffset = 0;
+  let docOffset = 0;
+  const docOffsets: number[] = [];
+
+  packs.forEach((pack) => {
+    docOffsets.push(docOffset);
+
+    for (const [term, tid] of pack.lexicon) {
+      if (!fields && isFieldTerm(term)) continue;
+      let newTid = lexicon.get(term);
+      if (newTid === undefined) {
+        newTid = lexicon.size + 1;
+        lexicon.set(term, newTid);
+        lists[newTid] = [];
+      }
+      const list = lists[newTid];
+      forEachPosting(pack, tid, (bid, positions) => {
+        list.push(blockOffset + bid + 1);
+        for (const pos of positions) list.push(pos + 1);
+        list.push(0);
+      });
+    }
+
+    for (let bid = 0; bid < pack.blocks.length; bid++) {
+      const text = pack.blocks[bid] ?? '';
+      const len = pack.blockTokenLens?.[bid] || analyzer.analyze(text).length;
+      const metadata = pack.blockMetadata?.[bid];
+      const breadcrumb = pack.blockBreadcrumbs?.[bid];
+      const boost = pack.blockBoosts?.[bid] ?? 1;
+      totalTokens += len;
+      blocks.push({
+        text,
+        heading: pack.headings?.[bid] ?? null,
+        docId: pack.docIds?.[bid] ?? null,
+        namespace: pack.namespaces?.[bid] ?? null,
+        len,
+        ...(chunkRefs
+          ? {
+              doc: docOffset + (pack.blockDocs?.[bid] ?? bid),
+              chunk: pack.blockChunks?.[bid] ?? 0,
+            }
+          : {}),
+        ...(metadata ? { metadata } : {}),
+        ...(breadcrumb?.length ? { breadcrumb } : {}),
+        ...(boost !== 1 ? { boost } : {}),
+      });
+    }
+
+    blockOffset += pack.blocks.length;
+    docOffset += pack.meta?.stats?.docs ?? pack.blocks.length;
+  });
+
+  const postings: number[] = [];
+  for (let tid = 1; tid < lists.length; tid++) {
+    postings.push(tid);
+    for (const value of lists[tid]) postings.push(value);
+    postings.push(0);
+  }
+
+  const agents = mergeAgents(packs, onConflict);
+  const claimGraph =
+    (opts.graph?.enabled ?? true) ? mergeClaimGraphs(packs, docOffsets) : null;
+
+  const meta: PackMeta = {
+    version: packVersion,
+    stats: {
+      docs: docOffset,
+      blocks: blocks.length,
+      terms: countBodyTerms(lexicon.keys()),
+      avgBlockLen: blocks.length ? totalTokens / blocks.length : 1,
+    },
+    ...(chunking ? { chunking } : {}),
+    ...(markdown ? { markdown } : {}),
+    ...(analyzerId ? { analyzer: analyzerId } : {}),
+    ...(fields ? { fields } : {}),
+    ...(agents ? { agents } : {}),
+    ...(claimGraph
+      ? {
+          claimGraph: {
+            version: 1 as const,
+            nodes: claimGraph.nodes.length,
+            edges: claimGraph.edges.length,
+          },
+        }
+      : {}),
+  };
+
+  const parts: PackParts = {
+    meta,
+    lexicon: [...lexicon],
+    postings: Uint32Array.from(postings),
+    blocks,
+    semantic: mergeSemantic(packs, opts.semantic?.enabled),
+    claimGraph,
+  };
+  return await writePack(parts, { packVersion, integrity: opts.integrity });
+}
+
+/**
+ * Chunked and unchunked packs mix freely (an unchunked doc is a single
+ * chunk), but chunked packs must agree on their chunking options.
+ */
+function mergeChunkingMeta(packs: Pack[]): PackMeta['chunking'] {
+  let chunking: PackMeta['chunking'];
+  packs.forEach((pack, i) => {
+    const next = pack.meta?.chunking;
+    if (!next) return;
+    if (!chunking) {
+      chunking = next;
+      return;
+    }
+    if (JSON.stringify(chunking) !== JSON.stringify(next)) {
+      throw new Error(
+        `mergePacks(...): pack ${i} was built with different chunking options (${JSON.stringify(next)} vs ${JSON.stringify(chunking)}).`
+      );
+    }
+  });
+  return chunking;
+}
+
+/**
+ * Keep the structured-markdown meta only when every pack shares it; it
+ * describes how text was extracted, so a mixed merge has no single answer.
+ */
+function mergeMarkdownMeta(packs: Pack[]): PackMeta['markdown'] {
+  const first = packs[0].meta?.markdown;
+  if (!first) return undefined;
+  const same = packs.every(
+    (pack) => JSON.stringify(pack.meta?.markdown) === JSON.stringify(first)
+  );
+  return same ? first : undefined;
+}
+
+/** Term lists from different analyzers cannot share one lexicon. */
+function mergeAnalyzerMeta(packs: Pack[]): string | undefined {
+  const first = packs[0].meta?.analyzer;
+  packs.forEach((pack, i) => {
+    const id = pack.meta?.analyzer;
+    if (id !== first) {
+      throw new Error(
+        `mergePacks(...): pack ${i} was built with analyzer "${id ?? 'standard'}" but pack 0 uses "${first ?? 'standard'}"; rebuild them with the same analyzer.`
+      );
+    }
+  });
+  return first;
+}
+
+/**
+ * Field terms are kept only when every pack indexed the same fields; a mixed
+ * merge drops them so no block is scored by fields while others are not.
+ */
+function mergeFieldsMeta(packs: Pack[]): PackMeta['fields'] {
+  const first = packs[0].meta?.fields;
+  if (!first?.length) return undefined;
+  const same = packs.every(
+    (pack) => JSON.stringify(pack.meta?.fields) === JSON.stringify(first)
+  );
+  return same ? first : undefined;
+}
+
+function validateAgentConflict(
+  opts: MergePacksOptions
+): 'error' | 'first' | 'last' {
+  const onConflict = opts.agents?.onConflict ?? 'error';
+  if (
+    onConflict !== 'error' &&
+    onConflict !== 'first' &&
+    onConflict !== 'last'
+  ) {
+    throw new Error(
+      'mergePacks(...): agents.onConflict must be "error", "first" or "last".'
+    );
+  }
+  return onConflict;
+}
+
+function mergeAgents(
+  packs: Pack[],
+  onConflict: 'error' | 'first' | 'last'
+): AgentRegistry | undefined {
+  const byId = new Map<string, { agent: AgentDefinitionV1; pack: number }>();
+  let any = false;
+
+  packs.forEach((pack, i) => {
+    for (const agent of pack.meta?.agents?.agents ?? []) {
+      any = true;
+      const existing = byId.get(agent.id);
+      if (!existing || onConflict === 'last') {
+        byId.set(agent.id, { agent, pack: i });
+        continue;
+      }
+      if (onConflict === 'first') continue;
+      if (JSON.stringify(existing.agent) !== JSON.stringify(agent)) {
+        throw new Error(
+          `mergePacks(...): agent id "${agent.id}" is defined differently in packs ${existing.pack} and ${i}.`
+        );
+      }
+    }
+  });
+
+  if (!any) return undefined;
+  const registry: AgentRegistry = {
+    version: 1,
+    agents: [...byId.values()].map((entry) => entry.agent),
+  };
+  validateAgentRegistry(registry);
+  return registry;
+}
+
+/**
+ * Union claim graphs. Node ids are label hashes and stay stable; edge
+ * evidence (doc ordinals) is shifted per pack, so edge ids are recomputed.
+ */
+export function mergeClaimGraphs(
+  packs: Pack[],
+  docOffsets: number[]
+): ClaimGraph | null {
+  const nodes = new Map<string, ClaimNode>();
+  const edges = new Map<string, ClaimEdge>();
+  let any = false;
+
+  packs.forEach((pack, i) => {
+    const graph = pack.claimGraph;
+    if (!graph) return;
+    any = true;
+    for (const node of graph.nodes) {
+      if (!nodes.has(node.id)) nodes.set(node.id, node);
+    }
+    for (const edge of graph.edges) {
+      const evidence = edge.evidence?.map((doc) => doc + docOffsets[i]);
+      const id = computeEdgeId(edge.from, edge.p, edge.to, evidence);
+      if (!edges.has(id)) edges.set(id, { ...edge, id, evidence });
+    }
+  });
+
+  if (!any) return null;
+  return finalizeGraph({
+    version: 1,
+    nodes: [...nodes.values()],
+    edges: [...edges.values()],
+  });
+}
+
+function mergeSemantic(
+  packs: Pack[],
+  enabled: boolean | undefined
+): PackParts['semantic'] {
+  if (enabled === false) return undefined;
+  const mismatch = semanticMismatch(packs);
+  if (mismatch) {
+    if (enabled) throw new Error(`mergePacks(...): ${mismatch}`);
+    return undefined;
+  }
+  const first = packs[0].semantic as NonNullable<Pack['semantic']>;
+
+  const vecs = new Int8Array(
+    packs.reduce((sum, pack) => sum + (pack.semantic?.vecs.length ?? 0), 0)
+  );
+  const scales = new Uint16Array(
+    packs.reduce((sum, pack) => sum + pack.blocks.length, 0)
+  );
+  let vecOffset = 0;
+  let scaleOffset = 0;
+  for (const pack of packs) {
+    const { vecs: packVecs, scales: packScales } = pack.semantic ?? {};
+    if (!packVecs || !packScales) continue;
+    vecs.set(packVecs, vecOffset);
+    scales.set(packScales, scaleOffset);
+    vecOffset += packVecs.length;
+    scaleOffset += packScales.length;
+  }
+  return encodeSemanticSection(first.modelId, first.dims, vecs, scales);
+}
+
+/** Why the packs' vectors cannot be concatenated, or undefined when they can. */
+function semanticMismatch(packs: Pack[]): string | undefined {
+  const first = packs[0].semantic;
+  for (let i = 0; i < packs.length; i++) {
+    const sem = packs[i].semantic;
+    if (!sem || !first) return `pack ${i} has no semantic vectors.`;
+    if (sem.modelId !== first.modelId || sem.dims !== first.dims) {
+      return `pack ${i} semantic model ${sem.modelId} (${sem.dims} dims) does not match ${first.modelId} (${first.dims} dims).`;
+    }
+    if (!sem.scales || sem.scales.length !== packs[i].blocks.length) {
+      return `pack ${i} semantic section must carry one scale per block.`;
+    }
+  }
+  return undefined;
+}
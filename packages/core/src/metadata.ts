@@ -0,0 +1,199 @@
+/*
+ * metadata.ts
+ *
+ * Structured per-document metadata (product version, language, author,
+ * updatedAt, tags, ...). Values are persisted with every block of the doc,
+ * returned on hits and filterable at query time with equality, range and
+ * in-set conditions.
+ */
+
+export type MetadataScalar = string | number | boolean;
+export type MetadataValue = MetadataScalar | MetadataScalar[] | null;
+export type DocMetadata = Record<string, MetadataValue>;
+
+export type MetadataCondition =
+  | MetadataScalar
+  | {
+      eq?: MetadataScalar;
+      ne?: MetadataScalar;
+      in?: MetadataScalar[];
+      gt?: string | number;
+      gte?: string | number;
+      lt?: string | number;
+      lte?: string | number;
+      exists?: boolean;
+    };
+
+/** Field name → condition. Every condition must match (AND). */
+export type MetadataFilter = Record<string, MetadataCondition>;
+
+const CONDITION_KEYS = new Set([
+  'eq',
+  'ne',
+  'in',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'exists',
+]);
+const RANGE_KEYS = ['gt', 'gte', 'lt', 'lte'] as const;
+
+function isScalar(value: unknown): value is MetadataScalar {
+  return (
+    typeof value === 'string' ||
+    typeof value === 'boolean' ||
+    (typeof value === 'number' && Number.isFinite(value))
+  );
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Validate build-time metadata. `context` prefixes error messages. */
+export function validateDocMetadata(
+  metadata: unknown,
+  context: string
+): DocMetadata | undefined {
+  if (metadata === undefined) return undefined;
+  if (!isPlainObject(metadata)) {
+    throw new Error(`${context}: "metadata" must be an object when provided.`);
+  }
+  for (const [key, value] of Object.entries(metadata)) {
+    const valid =
+      value === null ||
+      isScalar(value) ||
+      (Array.isArray(value) && value.every(isScalar));
+    if (!valid) {
+      throw new Error(
+        `${context}: "metadata.${key}" must be a string, finite number, boolean, null or an array of those.`
+      );
+    }
+  }
+  return metadata as DocMetadata;
+}
+
+export function validateMetadataFilter(filter: unknown): void {
+  if (filter === undefined) return;
+  if (!isPlainObject(filter)) {
+    throw new Error('query(...): metadata must be an object when provided.');
+  }
+  for (const [key, condition] of Object.entries(filter)) {
+    if (isScalar(condition)) continue;
+    if (!isPlainObject(condition)) {
+      throw new Error(
+        `query(...): metadata.${key} must be a string, number, boolean or a condition object.`
+      );
+    }
+    const ops = Object.keys(condition);
+    if (!ops.length) {
+      throw new Error(
+        `query(...): metadata.${key} must specify at least one condition.`
+      );
+    }
+    for (const op of ops) {
+      if (!CONDITION_KEYS.has(op)) {
+        throw new Error(
+          `query(...): metadata.${key}.${op} is not a supported condition (use eq, ne, in, gt, gte, lt, lte or exists).`
+        );
+      }
+    }
+    for (const op of ['eq', 'ne'] as const) {
+      if (condition[op] !== undefined && !isScalar(condition[op])) {
+        throw new Error(
+          `query(...): metadata.${key}.${op} must be a string, number or boolean.`
+        );
+      }
+    }
+    if (
+      condition.in !== undefined &&
+      (!Array.isArray(condition.in) || !condition.in.every(isScalar))
+    ) {
+      throw new Error(
+        `query(...): metadata.${key}.in must be an array of strings, numbers or booleans.`
+      );
+    }
+    for (const op of RANGE_KEYS) {
+      const bound = condition[op];
+      if (
+        bound !== undefined &&
+        typeof bound !== 'string' &&
+        !(typeof bound === 'number' && Number.isFinite(bound))
+      ) {
+        throw new Error(
+          `query(...): metadata.${key}.${op} must be a string or finite number.`
+        );
+      }
+    }
+    if (
+      condition.exists !== undefined &&
+      typeof condition.exists !== 'boolean'
+    ) {
+      throw new Error(`query(...): metadata.${key}.exists must be a boolean.`);
+    }
+  }
+}
+
+/**
+ * True when `metadata` satisfies every field condition. Array-valued fields
+ * (e.g. tags) match when any element satisfies the condition; `ne` requires
+ * that no element equals the value. Range bounds only compare values of the
+ * same type, so ISO-8601 date strings and numeric timestamps both work.
+ */
+export function matchesMetadataFilter(
+  metadata: DocMetadata | null | undefined,
+  filter: MetadataFilter
+): boolean {
+  for (const [key, condition] of Object.entries(filter)) {
+    const raw = metadata?.[key];
+    const values: MetadataScalar[] =
+      raw === undefined || raw === null ? [] : Array.isArray(raw) ? raw : [raw];
+
+    if (isScalar(condition)) {
+      if (!values.includes(condition)) return false;
+      continue;
+    }
+    if (
+      condition.exists !== undefined &&
+      condition.exists !== values.length > 0
+    ) {
+      return false;
+    }
+    if (condition.ne !== undefined && values.includes(condition.ne)) {
+      return false;
+    }
+
+    const needsValue =
+      condition.eq !== undefined ||
+      condition.in !== undefined ||
+      RANGE_KEYS.some((op) => condition[op] !== undefined);
+    if (!needsValue) continue;
+
+    const ok = values.some(
+      (value) =>
+        (condition.eq === undefined || value === condition.eq) &&
+        (condition.in === undefined || condition.in.includes(value)) &&
+        inRange(value, condition)
+    );
+    if (!ok) return false;
+  }
+  return true;
+}
+
+function inRange(
+  value: MetadataScalar,
+  condition: Exclude<MetadataCondition, MetadataScalar>
+): boolean {
+  for (const op of RANGE_KEYS) {
+    const bound = condition[op];
+    if (bound === undefined) continue;
+    if (typeof value !== typeof bound) return false;
+    const cmp = value < bound ? -1 : value > bound ? 1 : 0;
+    if (op === 'gt' && !(cmp > 0)) return false;
+    if (op === 'gte' && !(cmp >= 0)) return false;
+    if (op === 'lt' && !(cmp < 0)) return false;
+    if (op === 'lte' && !(cmp <= 0)) return false;
+  }
+  return true;
+}
@@ -1,2 +1,2 @@
-export { mountPack, hasSemantic } from './pack.node.js';
+export { mountPack, hasSemantic, verifyPack } from './pack.node.js';
 export type { MountOptions, PackMeta, Pack } from './pack.node.js';
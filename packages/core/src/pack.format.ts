@@ -0,0 +1,337 @@
+/*
+ * pack.format.ts
+ *
+ * Pack v4 container primitives: the section table and the delta + varint
+ * postings codec. Runtime-safe (no Node stdlib imports).
+ *
+ * v4 layout:
+ *
+ *     [metaLen:u32][meta JSON]
+ *     [sectionCount:u32]
+ *     [type:u32][offset:u32][length:u32] × sectionCount
+ *     [section payloads...]
+ *
+ * Offsets are absolute byte offsets from the start of the pack. Readers skip
+ * section types they do not know, so new sections never break old runtimes.
+ */
+
+import type { TermIndex } from './postings.js';
+import { getTextEncoder } from './utils/utf8.js';
+
+export const PACK_SECTION = {
+  lexicon: 1,
+  postings: 2,
+  blocks: 3,
+  semanticJson: 4,
+  semanticBlob: 5,
+  claimGraph: 6,
+  integrity: 7,
+  signature: 8,
+  blockOffsets: 9,
+} as const;
+
+export type PackSectionType = (typeof PACK_SECTION)[keyof typeof PACK_SECTION];
+
+export type PackSectionEntry = { type: number; offset: number; length: number };
+
+/** Readable name of a section type; unknown types read as `section<N>`. */
+export function packSectionName(type: number): string {
+  for (const [name, id] of Object.entries(PACK_SECTION)) {
+    if (id === type) return name;
+  }
+  return `section${type}`;
+}
+
+const SECTION_ENTRY_BYTES = 12;
+
+/** Serialize meta + sections into a v4 pack. Sections keep the given order. */
+export function writeSectionedPack(
+  metaBytes: Uint8Array,
+  sections: Array<{ type: number; bytes: Uint8Array }>
+): Uint8Array {
+  const headerLength =
+    4 + metaBytes.length + 4 + sections.length * SECTION_ENTRY_BYTES;
+  const totalLength = sections.reduce(
+    (sum, section) => sum + section.bytes.length,
+    headerLength
+  );
+
+  const out = new Uint8Array(totalLength);
+  const dv = new DataView(out.buffer);
+  let offset = 0;
+
+  dv.setUint32(offset, metaBytes.length, true);
+  offset += 4;
+  out.set(metaBytes, offset);
+  offset += metaBytes.length;
+
+  dv.setUint32(offset, sections.length, true);
+  offset += 4;
+
+  let payloadOffset = headerLength;
+  for (const section of sections) {
+    dv.setUint32(offset, section.type, true);
+    dv.setUint32(offset + 4, payloadOffset, true);
+    dv.setUint32(offset + 8, section.bytes.length, true);
+    offset += SECTION_ENTRY_BYTES;
+    out.set(section.bytes, payloadOffset);
+    payloadOffset += section.bytes.length;
+  }
+
+  return out;
+}
+
+/**
+ * Read the section table that follows the meta JSON. `offset` points at the
+ * section count. Throws when the table or any section runs past `byteLength`.
+ */
+export function readSectionTable(
+  dv: DataView,
+  offset: number,
+  byteLength: number
+): PackSectionEntry[] {
+  if (offset + 4 > dv.byteLength) {
+    throw new Error('Invalid pack: truncated section table.');
+  }
+  const count = dv.getUint32(offset, true);
+  offset += 4;
+  if (offset + count * SECTION_ENTRY_BYTES > dv.byteLength) {
+    throw new Error('Invalid pack: truncated section table.');
+  }
+
+  const entries: PackSectionEntry[] = [];
+  for (let i = 0; i < count; i++) {
+    const entry = {
+      type: dv.getUint32(offset, true),
+      offset: dv.getUint32(offset + 4, true),
+      length: dv.getUint32(offset + 8, true),
+    };
+    offset += SECTION_ENTRY_BYTES;
+    if (entry.offset + entry.length > byteLength) {
+      throw new Error(
+        `Invalid pack: section ${entry.type} exceeds pack length (${entry.offset + entry.length} > ${byteLength}).`
+      );
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Encode blocks as one JSON array (byte-identical to `JSON.stringify(items)`)
+ * plus a block offset table of `items.length + 1` u32 start offsets. Block i
+ * spans `[starts[i], starts[i + 1] - 1)`: the byte before each next start is
+ * the `,` separator or the closing `]`. Lazy mounts use the table to decode
+ * single blocks without parsing the whole array.
+ */
+export function encodeBlocksV4(items: unknown[]): {
+  blocks: Uint8Array;
+  offsets: Uint8Array;
+} {
+  const enc = getTextEncoder();
+  const parts = items.map((item) => enc.encode(JSON.stringify(item)));
+  const total = parts.reduce((sum, part) => sum + part.length + 1, 1);
+  const blocks = new Uint8Array(Math.max(total, 2));
+  const offsets = new Uint8Array((items.length + 1) * 4);
+  const dv = new DataView(offsets.buffer);
+
+  blocks[0] = 0x5b; // [
+  let offset = 1;
+  parts.forEach((part, i) => {
+    dv.setUint32(i * 4, offset, true);
+    blocks.set(part, offset);
+    offset += part.length;
+    blocks[offset++] = i === parts.length - 1 ? 0x5d : 0x2c; // ] or ,
+  });
+  if (!parts.length) blocks[offset++] = 0x5d;
+  dv.setUint32(items.length * 4, offset, true);
+  return { blocks, offsets };
+}
+
+/**
+ * Encode flat postings (see indexer.ts) as delta + varint:
+ *
+ *     [termCount]
+ *     ([termId][blockCount] ([blockDelta][posCount] [posDelta]...)...)...
+ *
+ * Block ids are delta-encoded against the previous block of the same term,
+ * positions against the previous position in the same block. All values are
+ * unsigned LEB128 varints.
+ */
+export function encodePostingsV4(postings: Uint32Array): Uint8Array {
+  const out: number[] = [];
+  const terms: Array<{
+    tid: number;
+    blocks: Array<{ bid: number; positions: number[] }>;
+  }> = [];
+
+  let i = 0;
+  while (i < postings.length) {
+    const tid = postings[i++];
+    if (tid === 0) continue;
+    const blocks: Array<{ bid: number; positions: number[] }> = [];
+    let encodedBid = postings[i++];
+    while (encodedBid !== undefined && encodedBid !== 0) {
+      const positions: number[] = [];
+      let pos = postings[i++];
+      while (pos !== undefined && pos !== 0) {
+        positions.push(pos - 1);
+        pos = postings[i++];
+      }
+      blocks.push({ bid: encodedBid - 1, positions });
+      encodedBid = postings[i++];
+    }
+    terms.push({ tid, blocks });
+  }
+
+  writeVarint(out, terms.length);
+  for (const term of terms) {
+    writeVarint(out, term.tid);
+    writeVarint(out, term.blocks.length);
+    let prevBid = 0;
+    for (const block of term.blocks) {
+      writeVarint(out, block.bid - prevBid);
+      prevBid = block.bid;
+      writeVarint(out, block.positions.length);
+      let prevPos = 0;
+      for (const pos of block.positions) {
+        writeVarint(out, pos - prevPos);
+        prevPos = pos;
+      }
+    }
+  }
+
+  return Uint8Array.from(out);
+}
+
+/**
+ * Decode v4 postings back into the flat, one-based in-memory layout. The
+ * per-term offset/df table falls out of the decode, so it is returned too.
+ */
+export function decodePostingsV4(bytes: Uint8Array): {
+  postings: Uint32Array;
+  termIndex: TermIndex;
+} {
+  const cursor = { offset: 0 };
+  const flat: number[] = [];
+  const entries: number[] = [];
+  let maxTid = 0;
+
+  const termCount = readVarint(bytes, cursor);
+  for (let t = 0; t < termCount; t++) {
+    const tid = readVarint(bytes, cursor);
+    flat.push(tid);
+    const blockCount = readVarint(bytes, cursor);
+    entries.push(tid, flat.length, blockCount);
+    if (tid > maxTid) maxTid = tid;
+    let bid = 0;
+    for (let b = 0; b < blockCount; b++) {
+      bid += readVarint(bytes, cursor);
+      flat.push(bid + 1);
+      const posCount = readVarint(bytes, cursor);
+      let pos = 0;
+      for (let p = 0; p < posCount; p++) {
+        pos += readVarint(bytes, cursor);
+        flat.push(pos + 1);
+      }
+      flat.push(0);
+    }
+    flat.push(0);
+  }
+
+  const offsets = new Uint32Array(maxTid + 1);
+  const dfs = new Uint32Array(maxTid + 1);
+  for (let e = 0; e < entries.length; e += 3) {
+    offsets[entries[e]] = entries[e + 1];
+    dfs[entries[e]] = entries[e + 2];
+  }
+
+  return { postings: Uint32Array.from(flat), termIndex: { offsets, dfs } };
+}
+
+/**
+ * Term table over encoded v4 postings, built in one pass without
+ * materializing the flat layout. Offsets are byte offsets of each term's
+ * first block entry (never 0: the term count comes first); read a term's
+ * list with `forEachPostingV4`. Lazy mounts use this instead of decoding.
+ */
+export function indexPostingsV4(bytes: Uint8Array): TermIndex {
+  const cursor = { offset: 0 };
+  const entries: number[] = [];
+  let maxTid = 0;
+
+  const termCount = readVarint(bytes, cursor);
+  for (let t = 0; t < termCount; t++) {
+    const tid = readVarint(bytes, cursor);
+    const blockCount = readVarint(bytes, cursor);
+    entries.push(tid, cursor.offset, blockCount);
+    if (tid > maxTid) maxTid = tid;
+    for (let b = 0; b < blockCount; b++) {
+      readVarint(bytes, cursor);
+      const posCount = readVarint(bytes, cursor);
+      for (let p = 0; p < posCount; p++) readVarint(bytes, cursor);
+    }
+  }
+
+  const offsets = new Uint32Array(maxTid + 1);
+  const dfs = new Uint32Array(maxTid + 1);
+  for (let e = 0; e < entries.length; e += 3) {
+    offsets[entries[e]] = entries[e + 1];
+    dfs[entries[e]] = entries[e + 2];
+  }
+  return { offsets, dfs };
+}
+
+/**
+ * Visit the `blockCount` (blockId, positions) pairs of one term whose list
+ * starts at byte `offset` of encoded v4 postings (see `indexPostingsV4`).
+ */
+export function forEachPostingV4(
+  bytes: Uint8Array,
+  offset: number,
+  blockCount: number,
+  visit: (blockId: number, positions: number[]) => void
+): void {
+  const cursor = { offset };
+  let bid = 0;
+  for (let b = 0; b < blockCount; b++) {
+    bid += readVarint(bytes, cursor);
+    const posCount = readVarint(bytes, cursor);
+    const positions: number[] = new Array(posCount);
+    let pos = 0;
+    for (let p = 0; p < posCount; p++) {
+      pos += readVarint(bytes, cursor);
+      positions[p] = pos;
+    }
+    visit(bid, positions);
+  }
+}
+
+export function writeVarint(out: number[], value: number): void {
+  let v = value >>> 0;
+  while (v >= 0x80) {
+    out.push((v & 0x7f) | 0x80);
+    v >>>= 7;
+  }
+  out.push(v);
+}
+
+export function readVarint(
+  bytes: Uint8Array,
+  cursor: { offset: number }
+): number {
+  let result = 0;
+  let shift = 0;
+  while (true) {
+    if (cursor.offset >= bytes.length) {
+      throw new Error('Invalid pack: truncated varint in postings section.');
+    }
+    const byte = bytes[cursor.offset++];
+    result += (byte & 0x7f) * 2 ** shift;
+    if ((byte & 0x80) === 0) return result;
+    shift += 7;
+    if (shift > 28) {
+      throw new Error('Invalid pack: varint overflow in postings section.');
+    }
+  }
+}
@@ -1,11 +1,25 @@
-import { mountPackFromBuffer, toArrayBuffer } from './pack.runtime.js';
+import {
+  mountPackFromBuffer,
+  mountPackFromUrlRanges,
+  toArrayBuffer,
+  verifyPack,
+} from './pack.runtime.js';
 import type { MountOptions, Pack } from './pack.runtime.js';
-export { hasSemantic } from './pack.runtime.js';
+export { hasSemantic, verifyPack } from './pack.runtime.js';
 export type { MountOptions, PackMeta, Pack } from './pack.runtime.js';
 
 export async function mountPack(opts: MountOptions): Promise<Pack> {
+  if (
+    opts.lazy &&
+    !opts.verify &&
+    typeof opts.src === 'string' &&
+    !isLikelyLocalPath(opts.src)
+  ) {
+    return mountPackFromUrlRanges(opts.src);
+  }
   const buf = await resolveToBuffer(opts.src);
-  return mountPackFromBuffer(buf);
+  if (opts.verify) await verifyPack(buf, opts.verify);
+  return mountPackFromBuffer(buf, { lazy: opts.lazy });
 }
 
 async function resolveToBuffer(src: MountOptions['src']): Promise<ArrayBuffer> {
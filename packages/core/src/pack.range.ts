@@ -0,0 +1,283 @@
+/*
+ * pack.range.ts
+ *
+ * Fetch a v4 pack over HTTP with range requests: one request for the meta +
+ * section table, then one per section needed to answer a query (lexicon,
+ * postings, offsets and the small JSON sections). Block records and the
+ * semantic vectors are fetched later, only as queries read them, through
+ * `fetchOnDemand`. Servers that ignore `Range` (200 instead of 206), and
+ * packs older than v4, fall back to the full body. Runtime-safe (uses global
+ * `fetch` only).
+ */
+
+import type { PackSectionEntry } from './pack.format.js';
+import {
+  PACK_SECTION,
+  packSectionName,
+  readSectionTable,
+} from './pack.format.js';
+import { getTextDecoder } from './utils/utf8.js';
+
+/** Bytes requested up front; large enough for most meta JSON + tables. */
+const HEADER_PROBE_BYTES = 64 * 1024;
+
+/**
+ * Sections fetched at mount. Blocks and the semantic blob are range-fetched
+ * on demand (see `RemoteSection`); the signature is only needed by `verify`.
+ */
+const MOUNTED_SECTIONS = new Set<number>([
+  PACK_SECTION.lexicon,
+  PACK_SECTION.postings,
+  PACK_SECTION.blockOffsets,
+  PACK_SECTION.semanticJson,
+  PACK_SECTION.claimGraph,
+  PACK_SECTION.integrity,
+]);
+
+/** Pending ranges closer than this share one request. */
+const RANGE_MERGE_GAP_BYTES = 16 * 1024;
+
+export type RangedPack =
+  | { kind: 'full'; buf: ArrayBuffer }
+  | {
+      kind: 'sections';
+      metaBytes: Uint8Array;
+      table: PackSectionEntry[];
+      sections: Map<PackSectionEntry, Uint8Array>;
+      /** Sections left on the server, read piecewise on demand. */
+      remote: Map<PackSectionEntry, RemoteSection>;
+    };
+
+/** Sections with unfetched reads in the current `fetchOnDemand` round. */
+let collecting: Set<RemoteSection> | undefined;
+
+/**
+ * One pack section left on the server. `read` returns bytes fetched by an
+ * earlier `fetchOnDemand` round; inside a round a missing range is queued
+ * and `undefined` returned, outside one it throws.
+ */
+export class RemoteSection {
+  private readonly fetched = new Map<string, Uint8Array>();
+  private readonly pending = new Map<string, [number, number]>();
+
+  constructor(
+    private readonly url: string,
+    private readonly entry: PackSectionEntry
+  ) {}
+
+  /** Bytes `start..end` (end exclusive) of the section. */
+  public read(start: number, end: number): Uint8Array | undefined {
+    if (start === end) return new Uint8Array(0);
+    const key = `${start}:${end}`;
+    const bytes = this.fetched.get(key);
+    if (bytes) return bytes;
+    if (!collecting) {
+      throw new Error(
+        `mountPack(...): ${packSectionName(this.entry.type)} bytes ${start}..${end} of ${this.url} are not fetched yet; wrap reads of range-mounted packs in fetchOnDemand(...).`
+      );
+    }
+    this.pending.set(key, [start, end]);
+    collecting.add(this);
+    return undefined;
+  }
+
+  /** Fetch every queued range, merging neighbours into shared requests. */
+  public async fetchPending(): Promise<void> {
+    const ranges = [...this.pending.values()].sort((a, b) => a[0] - b[0]);
+    this.pending.clear();
+    const groups: Array<{ start: number; end: number; ranges: number[][] }> =
+      [];
+    for (const range of ranges) {
+      const last = groups[groups.length - 1];
+      if (last && range[0] - last.end <= RANGE_MERGE_GAP_BYTES) {
+        last.end = Math.max(last.end, range[1]);
+        last.ranges.push(range);
+      } else {
+        groups.push({ start: range[0], end: range[1], ranges: [range] });
+      }
+    }
+    await Promise.all(
+      groups.map(async (group) => {
+        if (group.end > this.entry.length) {
+          throw new Error(
+            `Invalid pack: ${packSectionName(this.entry.type)} read ${group.start}..${group.end} exceeds the section (${this.entry.length} bytes).`
+          );
+        }
+        const bytes = await fetchBytes(
+          this.url,
+          this.entry.offset + group.start,
+          group.end - group.start
+        );
+        for (const [start, end] of group.ranges) {
+          this.fetched.set(
+            `${start}:${end}`,
+            bytes.subarray(start - group.start, end - group.start)
+          );
+        }
+      })
+    );
+  }
+}
+
+/**
+ * Run `run` (a query, `queryPage`, `createPackSet`, ...) against packs
+ * mounted lazily from a URL, fetching the block records and vectors it
+ * reads first. `run` must be synchronous: it is re-run after each round of
+ * range requests, with unfetched records read as empty placeholders, until a
+ * run completes without missing reads; that run's result is returned.
+ * Packs mounted from bytes need no fetching, so `run` then executes once.
+ */
+export async function fetchOnDemand<T>(run: () => T): Promise<T> {
+  while (true) {
+    const missing = new Set<RemoteSection>();
+    collecting = missing;
+    let result: T | undefined;
+    let error: unknown;
+    let failed = false;
+    try {
+      result = run();
+    } catch (err) {
+      failed = true;
+      error = err;
+    } finally {
+      collecting = undefined;
+    }
+    if (!missing.size) {
+      if (failed) throw error;
+      return result as T;
+    }
+    await Promise.all([...missing].map((section) => section.fetchPending()));
+  }
+}
+
+/**
+ * True while a `fetchOnDemand` run has read unfetched placeholders, so its
+ * results must not be kept (the query cache checks this).
+ */
+export function hasUnfetchedReads(): boolean {
+  return Boolean(collecting?.size);
+}
+
+export async function fetchPackRanges(url: string): Promise<RangedPack> {
+  const probe = await fetchRange(url, 0, HEADER_PROBE_BYTES - 1);
+  if (
+    !probe.partial ||
+    (probe.total !== undefined && probe.buf.byteLength >= probe.total)
+  ) {
+    return { kind: 'full', buf: probe.buf };
+  }
+
+  let header = new Uint8Array(probe.buf);
+  const ensureHeader = async (length: number) => {
+    if (header.length >= length) return;
+    const res = await fetchRange(url, 0, length - 1);
+    if (!res.partial) return res.buf;
+    header = new Uint8Array(res.buf);
+    if (header.length < length) {
+      throw new Error('Invalid pack: truncated meta header.');
+    }
+  };
+
+  if (header.length < 4) {
+    throw new Error('Invalid pack: truncated meta header.');
+  }
+  const metaLen = readU32(header, 0);
+  const full = await ensureHeader(4 + metaLen + 4);
+  if (full) return { kind: 'full', buf: full };
+
+  const metaBytes = header.slice(4, 4 + metaLen);
+  const meta = JSON.parse(getTextDecoder().decode(metaBytes)) as {
+    version?: number;
+  };
+  if ((meta.version ?? 1) < 4) {
+    return { kind: 'full', buf: await fetchFull(url) };
+  }
+
+  const count = readU32(header, 4 + metaLen);
+  const fullTable = await ensureHeader(4 + metaLen + 4 + count * 12);
+  if (fullTable) return { kind: 'full', buf: fullTable };
+
+  const table = readSectionTable(
+    new DataView(header.buffer, header.byteOffset, header.byteLength),
+    4 + metaLen,
+    probe.total ?? Number.MAX_SAFE_INTEGER
+  );
+
+  const wanted = table.filter((entry) => MOUNTED_SECTIONS.has(entry.type));
+  const payloads = await Promise.all(
+    wanted.map((entry) => fetchBytes(url, entry.offset, entry.length))
+  );
+
+  const sections = new Map<PackSectionEntry, Uint8Array>();
+  wanted.forEach((entry, i) => sections.set(entry, payloads[i]));
+  const remote = new Map<PackSectionEntry, RemoteSection>();
+  for (const entry of table) {
+    if (
+      entry.type === PACK_SECTION.blocks ||
+      entry.type === PACK_SECTION.semanticBlob
+    ) {
+      remote.set(entry, new RemoteSection(url, entry));
+    }
+  }
+  return { kind: 'sections', metaBytes, table, sections, remote };
+}
+
+/** `length` bytes at `offset`, sliced from the full body if `Range` is ignored. */
+async function fetchBytes(
+  url: string,
+  offset: number,
+  length: number
+): Promise<Uint8Array> {
+  if (!length) return new Uint8Array(0);
+  const res = await fetchRange(url, offset, offset + length - 1);
+  const bytes = res.partial
+    ? new Uint8Array(res.buf)
+    : new Uint8Array(
+        res.buf,
+        Math.min(offset, res.buf.byteLength),
+        Math.max(0, Math.min(length, res.buf.byteLength - offset))
+      );
+  if (bytes.length !== length) {
+    throw new Error(
+      `Invalid pack: range ${offset}..${offset + length} exceeds pack length (${offset + bytes.length}).`
+    );
+  }
+  return bytes;
+}
+
+async function fetchRange(
+  url: string,
+  start: number,
+  end: number
+): Promise<{ buf: ArrayBuffer; partial: boolean; total?: number }> {
+  const res = await fetch(url, { headers: { Range: `bytes=${start}-${end}` } });
+  if (!res.ok) {
+    throw new Error(
+      `mountPack(...): failed to fetch ${url} (HTTP ${res.status}).`
+    );
+  }
+  const partial = res.status === 206;
+  const total = /\/(\d+)\s*$/.exec(res.headers.get('content-range') ?? '');
+  return {
+    buf: await res.arrayBuffer(),
+    partial,
+    total: total ? Number(total[1]) : undefined,
+  };
+}
+
+async function fetchFull(url: string): Promise<ArrayBuffer> {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(
+      `mountPack(...): failed to fetch ${url} (HTTP ${res.status}).`
+    );
+  }
+  return await res.arrayBuffer();
+}
+
+function readU32(bytes: Uint8Array, offset: number): number {
+  if (offset + 4 > bytes.length) {
+    throw new Error('Invalid pack: truncated meta header.');
+  }
+  return new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset, true);
+}
@@ -10,25 +10,87 @@ import type { AgentRegistry } from './agent.js';
 import { validateAgentRegistry } from './agent.js';
 import type { ClaimGraph } from './graph/claim_graph.js';
 import { validateClaimGraph } from './graph/claim_graph.js';
+import type { ChunkingStrategy } from './chunking.js';
+import type { DocMetadata } from './metadata.js';
+import type { PackSectionEntry } from './pack.format.js';
+import type { TermIndex } from './postings.js';
+import type { PackKey } from './integrity.js';
+import { verifyIntegrity, verifyPackSignature } from './integrity.js';
+import {
+  PACK_SECTION,
+  decodePostingsV4,
+  packSectionName,
+  readSectionTable,
+} from './pack.format.js';
+import { registerEncodedPostings } from './postings.js';
+import type { RemoteSection } from './pack.range.js';
+import { fetchOnDemand, fetchPackRanges } from './pack.range.js';
+import type { IndexedField } from './fields.js';
+import { sortLexicon } from './wildcard.js';
 
-export type MountOptions = { src: string | ArrayBufferLike | Uint8Array };
+export type MountOptions = {
+  src: string | ArrayBufferLike | Uint8Array;
+  /** Require a valid Ed25519 signature (v4 packs) before mounting. */
+  verify?: { publicKey: PackKey };
+  /**
+   * Decode block records and postings on first access instead of at mount
+   * (v4 packs). URL sources are fetched with HTTP range requests, and block
+   * records and vectors only as queries read them: run queries against such
+   * packs through `fetchOnDemand(...)`.
+   */
+  lazy?: boolean;
+};
 
 export type PackMeta = {
   version: number;
   stats: { docs: number; blocks: number; terms: number; avgBlockLen?: number };
   agents?: AgentRegistry;
   claimGraph?: { version: 1; nodes: number; edges: number };
+  chunking?: {
+    strategy: ChunkingStrategy;
+    maxTokens?: number;
+    overlap?: number;
+  };
+  /** Analyzer id used at build time; absent means 'standard'. */
+  analyzer?: string;
+  /** Fields indexed as field terms besides body text (see fields.ts). */
+  fields?: IndexedField[];
+  /** Present for packs built with `markdown: { mode: 'structured' }`. */
+  markdown?: {
+    mode: 'structured';
+    code: 'inline' | 'separate';
+    codeNamespace: string;
+  };
 };
 
+/** On-disk byte size of one pack section, as seen at mount. */
+export type PackSectionSize = { name: string; bytes: number };
+
 export type Pack = {
   meta: PackMeta;
+  /** Section sizes in file order, starting with the meta JSON. */
+  sections?: PackSectionSize[];
   lexicon: Map<string, number>;
+  /** Lexicon terms in code-unit order (built at eager mounts, else on first wildcard) for prefix/wildcard lookups. */
+  sortedTerms?: string[];
   postings: Uint32Array;
+  /** Per-term offsets/dfs; eager v4 mounts carry it, other packs build it on first lookup. */
+  termIndex?: TermIndex;
   blocks: string[];
   headings?: (string | null)[];
   docIds?: (string | null)[];
   namespaces?: (string | null)[];
   blockTokenLens?: number[];
+  /** Parent doc ordinal per block (chunked packs and separated code blocks). */
+  blockDocs?: number[];
+  /** Chunk ordinal within the parent doc per block (same packs as blockDocs). */
+  blockChunks?: number[];
+  /** Doc metadata per block, null for blocks built without metadata. */
+  blockMetadata?: (DocMetadata | null)[];
+  /** Heading path per block (structured markdown builds), null when absent. */
+  blockBreadcrumbs?: (string[] | null)[];
+  /** Static ranking prior per block from the doc `boost`, 1 when none was set. */
+  blockBoosts?: number[];
   semantic?: {
     version: 1;
     modelId: string;
@@ -48,23 +110,100 @@ export function hasSemantic(pack: Pack): boolean {
 }
 
 export async function mountPack(opts: MountOptions): Promise<Pack> {
+  if (opts.lazy && !opts.verify && typeof opts.src === 'string') {
+    return mountPackFromUrlRanges(opts.src);
+  }
   const buf = await resolveToBuffer(opts.src);
-  return mountPackFromBuffer(buf);
+  if (opts.verify) await verifyPack(buf, opts.verify);
+  return mountPackFromBuffer(buf, { lazy: opts.lazy });
+}
+
+/**
+ * Lazily mount a remote pack, fetching only the meta, section table, the
+ * sections a query needs up front and the first block record. Other block
+ * records and the semantic vectors are range-fetched by `fetchOnDemand`.
+ * Falls back to a full download when the server does not honour range
+ * requests or the pack predates v4.
+ */
+export async function mountPackFromUrlRanges(url: string): Promise<Pack> {
+  const ranged = await fetchPackRanges(url);
+  if (ranged.kind === 'full') {
+    return mountPackFromBuffer(ranged.buf, { lazy: true });
+  }
+  const meta: PackMeta = JSON.parse(getTextDecoder().decode(ranged.metaBytes));
+  if (meta.agents) {
+    validateAgentRegistry(meta.agents);
+  }
+  const read = (entry: PackSectionEntry) => ranged.sections.get(entry);
+  verifySectionIntegrity(ranged.metaBytes, ranged.table, read, true);
+  // lazyBlockFields reads record 0 at mount to tell chunked packs apart.
+  const blocks = ranged.table.find((e) => e.type === PACK_SECTION.blocks);
+  const offsets = ranged.table.find(
+    (e) => e.type === PACK_SECTION.blockOffsets
+  );
+  const offsetBytes = offsets && read(offsets);
+  const remoteBlocks = blocks && ranged.remote.get(blocks);
+  if (remoteBlocks && offsetBytes && offsetBytes.length >= 8) {
+    const dv = new DataView(offsetBytes.buffer, offsetBytes.byteOffset, 8);
+    await fetchOnDemand(() =>
+      remoteBlocks.read(dv.getUint32(0, true), dv.getUint32(4, true) - 1)
+    );
+  }
+  return mountSectionedPack(
+    { meta, metaBytes: ranged.metaBytes },
+    ranged.table,
+    read,
+    true,
+    (entry) => ranged.remote.get(entry)
+  );
 }
 
-export function mountPackFromBuffer(buf: ArrayBuffer): Pack {
+/**
+ * Verify a signed v4 pack without mounting it. Checksums are validated too,
+ * so truncated and tampered packs are rejected with a descriptive error.
+ */
+export async function verifyPack(
+  src: ArrayBufferLike | Uint8Array,
+  opts: { publicKey: PackKey }
+): Promise<void> {
+  const buf = toArrayBuffer(src);
+  const header = readPackHeader(buf);
+  if ((header.meta.version ?? 1) < 4 || !header.table) {
+    throw new Error(
+      `Pack signature check failed: pack is not signed (pack version ${header.meta.version}).`
+    );
+  }
+  await verifyPackSignature(buf, header.table, opts.publicKey);
+  verifySectionIntegrity(
+    header.metaBytes,
+    header.table,
+    (entry) => new Uint8Array(buf, entry.offset, entry.length),
+    false
+  );
+}
+
+export function mountPackFromBuffer(
+  buf: ArrayBuffer,
+  opts: { lazy?: boolean } = {}
+): Pack {
   const dv = new DataView(buf);
   const dec = getTextDecoder();
-  let offset = 0;
-
-  const metaLen = dv.getUint32(offset, true);
-  offset += 4;
-  const metaJson = dec.decode(new Uint8Array(buf, offset, metaLen));
-  offset += metaLen;
-  const meta: PackMeta = JSON.parse(metaJson);
+  const header = readPackHeader(buf);
+  const { meta } = header;
   if (meta.agents) {
     validateAgentRegistry(meta.agents);
   }
+  if (header.table) {
+    const read = (entry: PackSectionEntry) =>
+      new Uint8Array(buf, entry.offset, entry.length);
+    const lazy = Boolean(opts.lazy);
+    verifySectionIntegrity(header.metaBytes, header.table, read, lazy);
+    return mountSectionedPack(header, header.table, read, lazy);
+  }
+  let offset = header.bodyOffset;
+  const sections: PackSectionSize[] = [
+    { name: 'meta', bytes: header.metaBytes.length },
+  ];
 
   const lexLen = dv.getUint32(offset, true);
   offset += 4;
@@ -73,8 +212,10 @@ export function mountPackFromBuffer(buf: ArrayBuffer): Pack {
   const lexEntries: Array<[string, number]> = JSON.parse(lexJson);
   const lexicon = new Map<string, number>(lexEntries);
 
+  sections.push({ name: 'lexicon', bytes: lexLen });
   const postCount = dv.getUint32(offset, true);
   offset += 4;
+  sections.push({ name: 'postings', bytes: postCount * 4 });
   const postings = new Uint32Array(postCount);
   for (let i = 0; i < postCount; i++) {
     postings[i] = dv.getUint32(offset, true);
@@ -85,38 +226,8 @@ export function mountPackFromBuffer(buf: ArrayBuffer): Pack {
   offset += 4;
   const blocksJson = dec.decode(new Uint8Array(buf, offset, blocksLen));
   offset += blocksLen;
-  const parsed = JSON.parse(blocksJson);
-
-  let blocks: string[] = [];
-  let headings: (string | null)[] | undefined;
-  let docIds: (string | null)[] | undefined;
-  let namespaces: (string | null)[] | undefined;
-  let blockTokenLens: number[] | undefined;
-
-  if (Array.isArray(parsed) && parsed.length && typeof parsed[0] === 'string') {
-    blocks = parsed as string[];
-  } else if (Array.isArray(parsed)) {
-    blocks = [];
-    headings = [];
-    docIds = [];
-    namespaces = [];
-    blockTokenLens = [];
-    for (const it of parsed) {
-      if (it && typeof it === 'object') {
-        blocks.push(String(it.text ?? ''));
-        headings.push(it.heading ?? null);
-        docIds.push(it.docId ?? null);
-        namespaces.push(it.namespace ?? null);
-        blockTokenLens.push(typeof it.len === 'number' ? it.len : 0);
-      } else {
-        blocks.push(String(it ?? ''));
-        headings.push(null);
-        docIds.push(null);
-        namespaces.push(null);
-        blockTokenLens.push(0);
-      }
-    }
-  }
+  sections.push({ name: 'blocks', bytes: blocksLen });
+  const blockFields = parseBlocksPayload(JSON.parse(blocksJson));
 
   let semantic: Pack['semantic'];
   let claimGraph: ClaimGraph | undefined;
@@ -155,12 +266,17 @@ export function mountPackFromBuffer(buf: ArrayBuffer): Pack {
       const semBlob = new Uint8Array(buf, offset, semBlobLen);
       offset += semBlobLen;
       semantic = parseSemanticSection(parsed, semBlob);
+      sections.push(
+        { name: 'semanticJson', bytes: jsonLen },
+        { name: 'semanticBlob', bytes: semBlobLen }
+      );
       continue;
     }
 
     const graph = validateClaimGraph(parsed);
     if (!claimGraph && graph) {
       claimGraph = graph;
+      sections.push({ name: 'claimGraph', bytes: jsonLen });
       continue;
     }
 
@@ -170,18 +286,359 @@ export function mountPackFromBuffer(buf: ArrayBuffer): Pack {
 
   return {
     meta,
+    sections,
     lexicon,
+    sortedTerms: sortLexicon(lexicon),
     postings,
-    blocks,
-    headings,
-    docIds,
-    namespaces,
-    blockTokenLens,
+    ...blockFields,
     semantic,
     claimGraph,
   };
 }
 
+/**
+ * Mount a v4 pack. Sections are located through the section table rather
+ * than by sequential probing, and unknown section types are skipped. Lazy
+ * mounts keep the blocks and postings sections as bytes and decode records
+ * and posting lists on access; `remote` supplies the sections a range mount
+ * left on the server.
+ */
+function mountSectionedPack(
+  { meta, metaBytes }: { meta: PackMeta; metaBytes: Uint8Array },
+  table: PackSectionEntry[],
+  read: (entry: PackSectionEntry) => Uint8Array | undefined,
+  lazy: boolean,
+  remote: (entry: PackSectionEntry) => RemoteSection | undefined = () =>
+    undefined
+): Pack {
+  const dec = getTextDecoder();
+  const sections = new Map<number, PackSectionEntry>();
+  for (const entry of table) {
+    if (!sections.has(entry.type)) sections.set(entry.type, entry);
+  }
+
+  const bytesOf = (type: number): Uint8Array | undefined => {
+    const entry = sections.get(type);
+    return entry ? read(entry) : undefined;
+  };
+  const remoteOf = (type: number): RemoteSection | undefined => {
+    const entry = sections.get(type);
+    return entry ? remote(entry) : undefined;
+  };
+  const jsonOf = (type: number): unknown => {
+    const bytes = bytesOf(type);
+    return bytes ? JSON.parse(dec.decode(bytes)) : undefined;
+  };
+
+  const lexBytes = bytesOf(PACK_SECTION.lexicon);
+  const postingsBytes = bytesOf(PACK_SECTION.postings);
+  const blocksBytes = bytesOf(PACK_SECTION.blocks);
+  const remoteBlocks = remoteOf(PACK_SECTION.blocks);
+  if (!lexBytes || !postingsBytes || !(blocksBytes || remoteBlocks)) {
+    throw new Error(
+      'Invalid pack: v4 packs require lexicon, postings and blocks sections.'
+    );
+  }
+
+  const lexEntries = jsonOf(PACK_SECTION.lexicon) as Array<[string, number]>;
+  const lexicon = new Map<string, number>(lexEntries);
+  const semJson = jsonOf(PACK_SECTION.semanticJson);
+  const semBlob = bytesOf(PACK_SECTION.semanticBlob);
+  const remoteSemBlob = remoteOf(PACK_SECTION.semanticBlob);
+  const graphJson = jsonOf(PACK_SECTION.claimGraph);
+  const blockOffsets = bytesOf(PACK_SECTION.blockOffsets);
+
+  let postings: Uint32Array;
+  let termIndex: TermIndex | undefined;
+  if (lazy) {
+    // Posting lists are decoded per term on lookup (see postings.ts).
+    postings = new Uint32Array(0);
+    registerEncodedPostings(postings, postingsBytes);
+  } else {
+    ({ postings, termIndex } = decodePostingsV4(postingsBytes));
+  }
+
+  let blockFields: BlockFields;
+  if (blocksBytes && !(lazy && blockOffsets)) {
+    blockFields = parseBlocksPayload(JSON.parse(dec.decode(blocksBytes)));
+  } else if (blockOffsets) {
+    blockFields = lazyBlockFields(
+      (start, end) =>
+        blocksBytes
+          ? blocksBytes.subarray(start, end)
+          : remoteBlocks?.read(start, end),
+      sections.get(PACK_SECTION.blocks)?.length ?? 0,
+      blockOffsets
+    );
+  } else {
+    throw new Error(
+      'Invalid pack: range mounts require a block offsets section.'
+    );
+  }
+
+  let semantic: Pack['semantic'];
+  if (looksLikeSemanticJson(semJson)) {
+    if (semBlob) semantic = parseSemanticSection(semJson, semBlob);
+    else if (remoteSemBlob) {
+      semantic = remoteSemanticSection(
+        semJson,
+        remoteSemBlob,
+        sections.get(PACK_SECTION.semanticBlob)?.length ?? 0
+      );
+    }
+  }
+
+  return {
+    meta,
+    sections: [
+      { name: 'meta', bytes: metaBytes.length },
+      ...table.map((entry) => ({
+        name: packSectionName(entry.type),
+        bytes: entry.length,
+      })),
+    ],
+    lexicon,
+    sortedTerms: lazy ? undefined : sortLexicon(lexicon),
+    postings,
+    termIndex,
+    ...blockFields,
+    semantic,
+    claimGraph: validateClaimGraph(graphJson) ?? undefined,
+  };
+}
+
+type PackHeader = {
+  meta: PackMeta;
+  metaBytes: Uint8Array;
+  /** Section table for v4+ packs. */
+  table?: PackSectionEntry[];
+  /** First byte after the meta JSON (v1–v3 sequential sections start here). */
+  bodyOffset: number;
+};
+
+function readPackHeader(buf: ArrayBuffer): PackHeader {
+  const dv = new DataView(buf);
+  if (buf.byteLength < 4) {
+    throw new Error('Invalid pack: truncated meta header.');
+  }
+  const metaLen = dv.getUint32(0, true);
+  if (4 + metaLen > buf.byteLength) {
+    throw new Error('Invalid pack: truncated meta header.');
+  }
+  const metaBytes = new Uint8Array(buf, 4, metaLen);
+  const meta: PackMeta = JSON.parse(getTextDecoder().decode(metaBytes));
+  const bodyOffset = 4 + metaLen;
+  const table =
+    (meta.version ?? 1) >= 4
+      ? readSectionTable(dv, bodyOffset, buf.byteLength)
+      : undefined;
+  return { meta, metaBytes, table, bodyOffset };
+}
+
+/**
+ * Check the integrity section when present. Lazy mounts skip the bulk
+ * sections (blocks and vectors) so mount time does not scale with pack size;
+ * mount eagerly or verify the signature for full coverage.
+ */
+function verifySectionIntegrity(
+  metaBytes: Uint8Array,
+  table: PackSectionEntry[],
+  read: (entry: PackSectionEntry) => Uint8Array | undefined,
+  lazy: boolean
+): void {
+  const entry = table.find((e) => e.type === PACK_SECTION.integrity);
+  const bytes = entry ? read(entry) : undefined;
+  if (!bytes) return;
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(getTextDecoder().decode(bytes));
+  } catch {
+    throw new Error(
+      'Pack integrity check failed: integrity section is not valid JSON.'
+    );
+  }
+  verifyIntegrity(metaBytes, table, parsed, (e) =>
+    lazy && LAZY_UNCHECKED_SECTIONS.has(e.type) ? undefined : read(e)
+  );
+}
+
+const LAZY_UNCHECKED_SECTIONS = new Set<number>([
+  PACK_SECTION.blocks,
+  PACK_SECTION.semanticBlob,
+]);
+
+type BlockFields = Pick<
+  Pack,
+  | 'blocks'
+  | 'headings'
+  | 'docIds'
+  | 'namespaces'
+  | 'blockTokenLens'
+  | 'blockDocs'
+  | 'blockChunks'
+  | 'blockMetadata'
+  | 'blockBreadcrumbs'
+  | 'blockBoosts'
+>;
+
+type BlockRecord = {
+  text: string;
+  heading: string | null;
+  docId: string | null;
+  namespace: string | null;
+  len: number;
+  doc: number;
+  chunk: number;
+  metadata: DocMetadata | null;
+  breadcrumb: string[] | null;
+  boost: number;
+};
+
+function toBlockRecord(it: any, index: number): BlockRecord {
+  if (it && typeof it === 'object') {
+    return {
+      text: String(it.text ?? ''),
+      heading: it.heading ?? null,
+      docId: it.docId ?? null,
+      namespace: it.namespace ?? null,
+      len: typeof it.len === 'number' ? it.len : 0,
+      doc: typeof it.doc === 'number' ? it.doc : index,
+      chunk: typeof it.chunk === 'number' ? it.chunk : 0,
+      metadata:
+        it.metadata && typeof it.metadata === 'object' ? it.metadata : null,
+      breadcrumb: Array.isArray(it.breadcrumb) ? it.breadcrumb : null,
+      boost: Number.isFinite(it.boost) && it.boost > 0 ? it.boost : 1,
+    };
+  }
+  return {
+    text: String(it ?? ''),
+    heading: null,
+    docId: null,
+    namespace: null,
+    len: 0,
+    doc: index,
+    chunk: 0,
+    metadata: null,
+    breadcrumb: null,
+    boost: 1,
+  };
+}
+
+function parseBlocksPayload(parsed: unknown): BlockFields {
+  if (!Array.isArray(parsed)) return { blocks: [] };
+  if (parsed.length && typeof parsed[0] === 'string') {
+    return { blocks: parsed as string[] };
+  }
+
+  const records = parsed.map(toBlockRecord);
+  const chunked = parsed.some(
+    (it) => it && typeof it === 'object' && typeof it.chunk === 'number'
+  );
+
+  return {
+    blocks: records.map((r) => r.text),
+    headings: records.map((r) => r.heading),
+    docIds: records.map((r) => r.docId),
+    namespaces: records.map((r) => r.namespace),
+    blockTokenLens: records.map((r) => r.len),
+    blockDocs: chunked ? records.map((r) => r.doc) : undefined,
+    blockChunks: chunked ? records.map((r) => r.chunk) : undefined,
+    blockMetadata: records.map((r) => r.metadata),
+    blockBreadcrumbs: records.map((r) => r.breadcrumb),
+    blockBoosts: records.map((r) => r.boost),
+  };
+}
+
+/**
+ * Expose the blocks section through array views that JSON-decode a single
+ * block record (located via the block offset table) on first access. Each
+ * record is decoded at most once and shared by every per-block field.
+ * `readRecord` returns `undefined` for a record a range mount has not fetched
+ * yet; the views then read an empty placeholder (see `fetchOnDemand`).
+ */
+function lazyBlockFields(
+  readRecord: (start: number, end: number) => Uint8Array | undefined,
+  blocksLength: number,
+  offsetBytes: Uint8Array
+): BlockFields {
+  const dv = new DataView(
+    offsetBytes.buffer,
+    offsetBytes.byteOffset,
+    offsetBytes.byteLength
+  );
+  const count = Math.max(0, offsetBytes.byteLength / 4 - 1);
+  if (!Number.isInteger(count)) {
+    throw new Error('Invalid pack: malformed block offset table.');
+  }
+  const dec = getTextDecoder();
+  const records: (BlockRecord | undefined)[] = new Array(count);
+
+  const rawAt = (i: number): unknown => {
+    const start = dv.getUint32(i * 4, true);
+    const end = dv.getUint32((i + 1) * 4, true) - 1;
+    if (start > end || end > blocksLength) {
+      throw new Error(
+        `Invalid pack: block ${i} offset is out of range (${start}..${end}).`
+      );
+    }
+    const bytes = readRecord(start, end);
+    return bytes ? JSON.parse(dec.decode(bytes)) : undefined;
+  };
+  const recordAt = (i: number): BlockRecord => {
+    let record = records[i];
+    if (!record) {
+      const raw = rawAt(i);
+      if (raw === undefined) return toBlockRecord(null, i);
+      record = toBlockRecord(raw, i);
+      records[i] = record;
+    }
+    return record;
+  };
+
+  // Builders write doc/chunk refs on every block or on none, so the first
+  // record tells whether the pack has them.
+  const first = count > 0 ? rawAt(0) : undefined;
+  if (count > 0 && first === undefined) {
+    throw new Error('mountPack(...): the first block record was not fetched.');
+  }
+  const chunked =
+    Boolean(first) &&
+    typeof first === 'object' &&
+    typeof (first as { chunk?: unknown }).chunk === 'number';
+  if (count > 0) records[0] = toBlockRecord(first, 0);
+
+  const view = <K extends keyof BlockRecord>(field: K): BlockRecord[K][] =>
+    new Proxy(new Array<BlockRecord[K]>(count).fill(undefined as never), {
+      get(target, prop, receiver) {
+        if (typeof prop === 'string') {
+          const i = Number(prop);
+          if (
+            Number.isInteger(i) &&
+            i >= 0 &&
+            i < count &&
+            String(i) === prop
+          ) {
+            return recordAt(i)[field];
+          }
+        }
+        return Reflect.get(target, prop, receiver);
+      },
+    });
+
+  return {
+    blocks: view('text'),
+    headings: view('heading'),
+    docIds: view('docId'),
+    namespaces: view('namespace'),
+    blockTokenLens: view('len'),
+    blockDocs: chunked ? view('doc') : undefined,
+    blockChunks: chunked ? view('chunk') : undefined,
+    blockMetadata: view('metadata'),
+    blockBreadcrumbs: view('breadcrumb'),
+    blockBoosts: view('boost'),
+  };
+}
+
 function looksLikeSemanticJson(parsed: unknown): boolean {
   if (!parsed || typeof parsed !== 'object') return false;
   const sem = parsed as {
@@ -197,6 +654,39 @@ function looksLikeSemanticJson(parsed: unknown): boolean {
   );
 }
 
+/**
+ * Semantic section of a range mount: the JSON header is read at mount and
+ * the vectors blob is fetched as a whole the first time `vecs` or `scales` is
+ * read. Until then both read as empty (see `fetchOnDemand`).
+ */
+function remoteSemanticSection(
+  sem: any,
+  blob: RemoteSection,
+  blobLength: number
+): Pack['semantic'] {
+  let loaded: Pack['semantic'];
+  const load = () => {
+    if (!loaded) {
+      const bytes = blob.read(0, blobLength);
+      if (bytes) loaded = parseSemanticSection(sem, bytes);
+    }
+    return loaded;
+  };
+  return {
+    version: 1,
+    modelId: String(sem?.modelId ?? ''),
+    dims: Number(sem?.dims ?? 0),
+    encoding: 'int8_l2norm',
+    perVectorScale: Boolean(sem?.perVectorScale),
+    get vecs() {
+      return load()?.vecs ?? new Int8Array(0);
+    },
+    get scales() {
+      return load()?.scales;
+    },
+  };
+}
+
 function parseSemanticSection(sem: any, blob: Uint8Array): Pack['semantic'] {
   const vectors = sem?.blocks?.vectors;
   const scales = sem?.blocks?.scales;
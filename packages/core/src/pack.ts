@@ -1,2 +1,2 @@
-export { mountPack, hasSemantic } from './pack.runtime.js';
+export { mountPack, hasSemantic, verifyPack } from './pack.runtime.js';
 export type { MountOptions, PackMeta, Pack } from './pack.runtime.js';
@@ -0,0 +1,332 @@
+/*
+ * packset.ts
+ *
+ * Query several mounted packs as one corpus without merging them. The set
+ * exposes a read-only federated view: a global lexicon whose term ids route
+ * to each member's postings, document frequencies summed across members, and
+ * block fields concatenated in member order. `query()` runs once over that
+ * view, so IDF, avgBlockLen, filters, expansion and diversification are
+ * corpus-wide, and each hit is mapped back to its member pack.
+ */
+
+import { getAnalyzer } from './analyzer.js';
+import { countBodyTerms } from './fields.js';
+import type { ClaimGraph } from './graph/claim_graph.js';
+import { mergeClaimGraphs } from './merge.js';
+import type { Pack, PackMeta } from './pack.runtime.js';
+import { hasSemantic } from './pack.runtime.js';
+import type { FederatedPostings, TermIndex } from './postings.js';
+import { registerFederatedPostings, termDocFreq } from './postings.js';
+import type { Hit, QueryOptions, QueryPage } from './query.js';
+import { query as queryPack, queryBatch, queryPage } from './query.js';
+
+/** A mounted pack, optionally named so hits can report which pack they came from. */
+export type PackSetMember = Pack | { id: string; pack: Pack };
+
+type ResolvedMember = {
+  index: number;
+  id?: string;
+  pack: Pack;
+  blockOffset: number;
+};
+
+export class PackSet {
+  public readonly packs: readonly Pack[];
+  /** Federated read-only view over every member; see the module comment. */
+  public readonly view: Pack;
+  private readonly members: ResolvedMember[];
+
+  constructor(members: PackSetMember[]) {
+    if (!Array.isArray(members) || members.length === 0) {
+      throw new Error(
+        'createPackSet(...): expected a non-empty array of packs.'
+      );
+    }
+    const seenIds = new Set<string>();
+    let blockOffset = 0;
+    this.members = members.map((member, index) => {
+      const resolved = resolveMember(member, index);
+      if (resolved.id !== undefined) {
+        if (seenIds.has(resolved.id)) {
+          throw new Error(
+            `createPackSet(...): duplicate pack id "${resolved.id}".`
+          );
+        }
+        seenIds.add(resolved.id);
+      }
+      const entry = { ...resolved, blockOffset };
+      blockOffset += resolved.pack.blocks.length;
+      return entry;
+    });
+    this.packs = this.members.map((member) => member.pack);
+    this.view = createFederatedView(this.members);
+  }
+
+  /**
+   * Query every member as one corpus. Hits carry the member's block id and
+   * chunk ref plus `hit.pack` ({ index, id }). Semantic rerank uses the
+   * members' embedded vectors when all of them share one model; per-pack
+   * sidecars are not supported.
+   */
+  public query(q: string, opts: QueryOptions = {}): Hit[] {
+    if (opts.semantic?.sidecar || opts.semantic?.sidecarPath) {
+      throw new Error(
+        'PackSet.query(...): semantic sidecars are per pack and are not supported; embed vectors in the packs instead.'
+      );
+    }
+    return queryPack(this.view, q, opts).map((hit) => this.toMemberHit(hit));
+  }
+
+  /** `queryPage()` over the set; see `query()` for the hit shape. */
+  public queryPage(q: string, opts: QueryOptions = {}): QueryPage {
+    if (opts.semantic?.sidecar || opts.semantic?.sidecarPath) {
+      throw new Error(
+        'PackSet.queryPage(...): semantic sidecars are per pack and are not supported; embed vectors in the packs instead.'
+      );
+    }
+    const page = queryPage(this.view, q, opts);
+    return { ...page, hits: page.hits.map((hit) => this.toMemberHit(hit)) };
+  }
+
+  /** `queryBatch()` over the set; see `query()` for the hit shape. */
+  public queryBatch(
+    queries: readonly string[],
+    opts: QueryOptions = {}
+  ): Hit[][] {
+    if (opts.semantic?.sidecar || opts.semantic?.sidecarPath) {
+      throw new Error(
+        'PackSet.queryBatch(...): semantic sidecars are per pack and are not supported; embed vectors in the packs instead.'
+      );
+    }
+    return queryBatch(this.view, queries, opts).map((hits) =>
+      hits.map((hit) => this.toMemberHit(hit))
+    );
+  }
+
+  private toMemberHit(hit: Hit): Hit {
+    const member = this.memberForBlock(hit.blockId);
+    const blockId = hit.blockId - member.blockOffset;
+    const doc = member.pack.blockDocs?.[blockId];
+    const index = member.pack.blockChunks?.[blockId];
+    const { chunk: _chunk, ...rest } = hit;
+    return {
+      ...rest,
+      blockId,
+      ...(doc !== undefined && index !== undefined
+        ? { chunk: { doc, index } }
+        : {}),
+      pack: {
+        index: member.index,
+        ...(member.id !== undefined ? { id: member.id } : {}),
+      },
+    };
+  }
+
+  private memberForBlock(blockId: number): ResolvedMember {
+    let lo = 0;
+    let hi = this.members.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this.members[mid].blockOffset <= blockId) lo = mid;
+      else hi = mid - 1;
+    }
+    return this.members[lo];
+  }
+}
+
+export function createPackSet(members: PackSetMember[]): PackSet {
+  return new PackSet(members);
+}
+
+function resolveMember(
+  member: PackSetMember,
+  index: number
+): { index: number; id?: string; pack: Pack } {
+  const named = member && !('lexicon' in member) ? member : undefined;
+  const pack = named ? named.pack : (member as Pack);
+  if (named && (typeof named.id !== 'string' || !named.id.trim())) {
+    throw new Error(
+      `createPackSet(...): pack ${index} id must be a non-empty string.`
+    );
+  }
+  if (!pack || !(pack.lexicon instanceof Map)) {
+    throw new Error(
+      `createPackSet(...): pack ${index} is not a mounted pack (use mountPack first).`
+    );
+  }
+  return named ? { index, id: named.id, pack } : { index, pack };
+}
+
+/**
+ * Field terms are only scored when every member indexed the same fields;
+ * otherwise the view omits `meta.fields` and falls back to heading overlap.
+ */
+function federatedFields(members: ResolvedMember[]): Pick<PackMeta, 'fields'> {
+  const first = members[0].pack.meta?.fields;
+  if (!first?.length) return {};
+  const same = members.every(
+    ({ pack }) => JSON.stringify(pack.meta?.fields) === JSON.stringify(first)
+  );
+  return same ? { fields: first } : {};
+}
+
+function createFederatedView(members: ResolvedMember[]): Pack {
+  const analyzer = members[0].pack.meta?.analyzer;
+  for (const { pack, index } of members) {
+    if (pack.meta?.analyzer !== analyzer) {
+      throw new Error(
+        `createPackSet(...): pack ${index} was built with analyzer "${pack.meta?.analyzer ?? 'standard'}" but pack 0 uses "${analyzer ?? 'standard'}"; query them separately or rebuild with the same analyzer.`
+      );
+    }
+  }
+
+  const lexicon = new Map<string, number>();
+  for (const { pack } of members) {
+    for (const term of pack.lexicon.keys()) {
+      if (!lexicon.has(term)) lexicon.set(term, lexicon.size + 1);
+    }
+  }
+
+  const federated: FederatedPostings = [];
+  const dfs = new Uint32Array(lexicon.size + 1);
+  for (const { pack, blockOffset } of members) {
+    const localTids = new Uint32Array(lexicon.size + 1);
+    for (const [term, tid] of pack.lexicon) {
+      const gid = lexicon.get(term) as number;
+      localTids[gid] = tid;
+      dfs[gid] += termDocFreq(pack, tid);
+    }
+    federated.push({ pack, blockOffset, localTids });
+  }
+  const postings = new Uint32Array(0);
+  registerFederatedPostings(postings, federated);
+  const termIndex: TermIndex = { offsets: new Uint32Array(0), dfs };
+
+  let blocks = 0;
+  let docs = 0;
+  let totalLen = 0;
+  for (const { pack } of members) {
+    blocks += pack.blocks.length;
+    docs += pack.meta?.stats?.docs ?? pack.blocks.length;
+    totalLen += pack.blocks.length * averageBlockLen(pack);
+  }
+  const meta: PackMeta = {
+    version: Math.min(...members.map(({ pack }) => pack.meta?.version ?? 1)),
+    stats: {
+      docs,
+      blocks,
+      terms: countBodyTerms(lexicon.keys()),
+      avgBlockLen: blocks ? totalLen / blocks : 1,
+    },
+    ...(analyzer ? { analyzer } : {}),
+    ...federatedFields(members),
+  };
+
+  const concat = <T>(field: (pack: Pack) => ArrayLike<T> | undefined) =>
+    concatView(members, field);
+
+  return {
+    meta,
+    lexicon,
+    postings,
+    termIndex,
+    blocks: concat((pack) => pack.blocks),
+    headings: concat((pack) => pack.headings),
+    docIds: concat((pack) => pack.docIds),
+    namespaces: concat((pack) => pack.namespaces),
+    blockTokenLens: concat((pack) => pack.blockTokenLens),
+    blockMetadata: concat((pack) => pack.blockMetadata),
+    blockBreadcrumbs: concat((pack) => pack.blockBreadcrumbs),
+    blockBoosts: concat((pack) => pack.blockBoosts),
+    semantic: concatSemantic(members),
+    claimGraph: unionClaimGraphs(members),
+  };
+}
+
+function averageBlockLen(pack: Pack): number {
+  const stored = pack.meta?.stats?.avgBlockLen;
+  if (stored !== undefined) return stored;
+  if (!pack.blocks.length) return 1;
+  const analyzer = getAnalyzer(pack.meta?.analyzer, 'createPackSet(...)');
+  let total = 0;
+  for (let bid = 0; bid < pack.blocks.length; bid++) {
+    total +=
+      pack.blockTokenLens?.[bid] ??
+      analyzer.analyze(pack.blocks[bid] ?? '').length;
+  }
+  return total / pack.blocks.length;
+}
+
+/**
+ * Array view over one block field of every member. Reads go straight to the
+ * member array, so lazily mounted members stay lazy.
+ */
+function concatView<T>(
+  members: ResolvedMember[],
+  field: (pack: Pack) => ArrayLike<T> | undefined
+): T[] {
+  const last = members[members.length - 1];
+  const count = last.blockOffset + last.pack.blocks.length;
+  const at = (i: number): T | undefined => {
+    let m = members.length - 1;
+    while (m > 0 && members[m].blockOffset > i) m--;
+    return field(members[m].pack)?.[i - members[m].blockOffset];
+  };
+  return new Proxy(new Array<T>(count).fill(undefined as never), {
+    get(target, prop, receiver) {
+      if (typeof prop === 'string') {
+        const i = Number(prop);
+        if (Number.isInteger(i) && i >= 0 && i < count && String(i) === prop) {
+          return at(i);
+        }
+      }
+      return Reflect.get(target, prop, receiver);
+    },
+  });
+}
+
+function concatSemantic(members: ResolvedMember[]): Pack['semantic'] {
+  const first = members[0].pack.semantic;
+  if (!first) return undefined;
+  const compatible = members.every(
+    ({ pack }) =>
+      hasSemantic(pack) &&
+      pack.semantic?.modelId === first.modelId &&
+      pack.semantic?.dims === first.dims &&
+      pack.semantic?.scales?.length === pack.blocks.length
+  );
+  if (!compatible) return undefined;
+
+  let vecLength = 0;
+  let scaleLength = 0;
+  for (const { pack } of members) {
+    vecLength += pack.semantic?.vecs.length ?? 0;
+    scaleLength += pack.semantic?.scales?.length ?? 0;
+  }
+  const vecs = new Int8Array(vecLength);
+  const scales = new Uint16Array(scaleLength);
+  let vecOffset = 0;
+  for (const { pack, blockOffset } of members) {
+    const sem = pack.semantic as NonNullable<Pack['semantic']>;
+    vecs.set(sem.vecs, vecOffset);
+    scales.set(sem.scales as Uint16Array, blockOffset);
+    vecOffset += sem.vecs.length;
+  }
+  return { ...first, vecs, scales };
+}
+
+function unionClaimGraphs(members: ResolvedMember[]): ClaimGraph | undefined {
+  if (!members.some(({ pack }) => pack.claimGraph)) return undefined;
+  const docOffsets: number[] = [];
+  let docOffset = 0;
+  for (const { pack } of members) {
+    docOffsets.push(docOffset);
+    docOffset += pack.meta?.stats?.docs ?? pack.blocks.length;
+  }
+  return (
+    mergeClaimGraphs(
+      members.map(({ pack }) => pack),
+      docOffsets
+    ) ?? undefined
+  );
+}
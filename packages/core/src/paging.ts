@@ -0,0 +1,98 @@
+/*
+ * paging.ts
+ *
+ * Cursors for `queryPage()`. A cursor is the offset of the next page plus a
+ * hash of the query string and the options that shape the ranking, so it can
+ * only continue the query it came from. Cursors are opaque to callers but
+ * plain strings, safe to put in a URL.
+ */
+
+const CURSOR_VERSION = 'c1';
+
+/**
+ * `q` and `opts` as one string with keys sorted, so option order does not
+ * matter. `omit` names top-level options left out (paging inputs, for
+ * instance). Functions are skipped, dates become ISO strings and semantic
+ * sidecars are reduced to their identity. Also the query cache key (cache.ts).
+ */
+export function canonicalQuery(
+  q: string,
+  opts: object,
+  omit: readonly string[] = []
+): string {
+  const entries = Object.entries(opts).filter(([key]) => !omit.includes(key));
+  return JSON.stringify([q, canonical(Object.fromEntries(entries))]);
+}
+
+/** Short hash of `canonicalQuery(q, opts, omit)`, as bound into cursors. */
+export function queryKey(
+  q: string,
+  opts: object,
+  omit: readonly string[] = []
+): string {
+  return fnv1a(canonicalQuery(q, opts, omit));
+}
+
+export function encodeCursor(offset: number, key: string): string {
+  return `${CURSOR_VERSION}.${offset.toString(36)}.${key}`;
+}
+
+/** Offset encoded in `cursor`; throws when it was issued for another query. */
+export function decodeCursor(cursor: string, key: string): number {
+  const [version, offset, cursorKey, ...rest] = cursor.split('.');
+  const value = parseInt(offset ?? '', 36);
+  if (
+    version !== CURSOR_VERSION ||
+    rest.length ||
+    !/^[0-9a-z]+$/.test(offset ?? '') ||
+    !Number.isSafeInteger(value)
+  ) {
+    throw new Error('query(...): cursor is not a valid query cursor.');
+  }
+  if (cursorKey !== key) {
+    throw new Error(
+      'query(...): cursor was issued for a different query or options.'
+    );
+  }
+  return value;
+}
+
+function canonical(value: unknown): unknown {
+  if (ArrayBuffer.isView(value)) {
+    return Array.from(value as unknown as ArrayLike<number>);
+  }
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value instanceof Date) return value.toISOString();
+  if (!value || typeof value !== 'object') return value;
+  if (isSidecar(value)) {
+    return {
+      packFingerprint: value.packFingerprint,
+      modelId: value.modelId,
+      createdAt: value.createdAt,
+    };
+  }
+  const out: Record<string, unknown> = {};
+  for (const key of Object.keys(value).sort()) {
+    const item = (value as Record<string, unknown>)[key];
+    if (item === undefined || typeof item === 'function') continue;
+    out[key] = canonical(item);
+  }
+  return out;
+}
+
+function isSidecar(value: object): value is {
+  packFingerprint: string;
+  modelId: string;
+  createdAt: string;
+} {
+  return 'packFingerprint' in value && 'blocks' in value;
+}
+
+function fnv1a(input: string): string {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
@@ -0,0 +1,172 @@
+/*
+ * phrase.ts
+ *
+ * Phrase and proximity matching (`"rollout token"`, `"deploy gateway"~3`)
+ * from the token positions stored in the postings. A phrase is analyzed like
+ * any query text, so stopword gaps, stems and synonyms line up with the
+ * index, and a block matches when its positions for the phrase terms are in
+ * order with at most `slop` positions of displacement. Block text is never
+ * re-tokenized.
+ */
+
+import type { Analyzer } from './analyzer.js';
+import type { Pack } from './pack.runtime.js';
+import { forEachPosting } from './postings.js';
+import type { PostingsReader } from './postings.js';
+import type { Token } from './tokenize.js';
+
+export type CompiledPhrase = {
+  /** Analyzed terms, in order. */
+  terms: string[];
+  /** Term ids; `undefined` for terms missing from the lexicon (nothing matches). */
+  tids: Array<number | undefined>;
+  /** Position of each term relative to the first, stopword gaps included. */
+  offsets: number[];
+  slop: number;
+};
+
+export type PhraseMatcher = {
+  /** True when block `bid` contains the phrase. */
+  matches(phrase: CompiledPhrase, bid: number): boolean;
+  /** Every block containing the phrase, ascending. */
+  blocks(phrase: CompiledPhrase): number[];
+};
+
+/**
+ * Analyze `text` into a phrase. `lookup` maps a term to its lexicon key, so
+ * field phrases can resolve against field terms. Returns `undefined` when
+ * nothing is left after analysis (a phrase of stopwords only).
+ */
+export function compilePhrase(
+  pack: Pick<Pack, 'lexicon'>,
+  analyzer: Analyzer,
+  text: string,
+  slop = 0,
+  lookup: (term: string) => string = (term) => term
+): CompiledPhrase | undefined {
+  const tokens = analyzer.analyze(text);
+  if (!tokens.length) return undefined;
+  return {
+    terms: tokens.map((t) => t.term),
+    tids: tokens.map((t) => pack.lexicon.get(lookup(t.term))),
+    offsets: tokens.map((t) => t.pos - tokens[0].pos),
+    slop,
+  };
+}
+
+/**
+ * Phrase matcher over one pack's postings. Posting lists are read once per
+ * term and kept for the matcher's lifetime (one query, or one `queryBatch()`).
+ */
+export function createPhraseMatcher(
+  pack: Pick<Pack, 'postings' | 'termIndex' | 'meta'>,
+  read: PostingsReader = (tid, visit) => forEachPosting(pack, tid, visit)
+): PhraseMatcher {
+  const positionsByTid = new Map<number, Map<number, number[]>>();
+  const positionsOf = (tid: number): Map<number, number[]> => {
+    let byBlock = positionsByTid.get(tid);
+    if (!byBlock) {
+      const map = new Map<number, number[]>();
+      read(tid, (bid, positions) => map.set(bid, positions));
+      positionsByTid.set(tid, map);
+      byBlock = map;
+    }
+    return byBlock;
+  };
+  const blockPositions = (
+    phrase: CompiledPhrase,
+    bid: number
+  ): number[][] | undefined => {
+    const lists: number[][] = [];
+    for (const tid of phrase.tids) {
+      const positions =
+        tid === undefined ? undefined : positionsOf(tid).get(bid);
+      if (!positions) return undefined;
+      lists.push(positions);
+    }
+    return lists;
+  };
+
+  const matches = (phrase: CompiledPhrase, bid: number): boolean => {
+    const lists = blockPositions(phrase, bid);
+    return !!lists && matchPositions(lists, phrase.offsets, phrase.slop);
+  };
+
+  return {
+    matches,
+    blocks(phrase) {
+      if (phrase.tids.some((tid) => tid === undefined)) return [];
+      // Walk the rarest term's blocks; the others are looked up per block.
+      const rarest = phrase.tids
+        .map((tid) => positionsOf(tid as number))
+        .reduce((a, b) => (b.size < a.size ? b : a));
+      return [...rarest.keys()]
+        .filter((bid) => matches(phrase, bid))
+        .sort((a, b) => a - b);
+    },
+  };
+}
+
+/** Match against the analyzed tokens of a short text not in the postings (a heading). */
+export function tokensContainPhrase(
+  tokens: Token[],
+  phrase: CompiledPhrase
+): boolean {
+  const lists = phrase.terms.map((term) =>
+    tokens.filter((t) => t.term === term).map((t) => t.pos)
+  );
+  return (
+    lists.every((list) => list.length > 0) &&
+    matchPositions(lists, phrase.offsets, phrase.slop)
+  );
+}
+
+/**
+ * In-order match of sorted position lists. Each step between consecutive
+ * terms costs its distance from the expected step; the total must stay
+ * within `slop`. Keeps the cheapest cost of reaching each position of each
+ * term, so the work is linear in the list lengths whatever the slop.
+ */
+function matchPositions(
+  lists: number[][],
+  offsets: number[],
+  slop: number
+): boolean {
+  // No match costs more than the span of the block plus the phrase itself.
+  const last = lists.length - 1;
+  const span = lists.reduce(
+    (max, list) => Math.max(max, list[list.length - 1] ?? 0),
+    0
+  );
+  const limit = Math.min(slop, span + offsets[last]);
+
+  let prev = lists[0];
+  let costs: number[] = prev.map(() => 0);
+  for (let i = 1; i <= last; i++) {
+    const expected = offsets[i] - offsets[i - 1];
+    // Positions at or before `q - gap` cost `cost - p + q - expected`, so a
+    // running minimum of `cost - p` covers them; the few positions after
+    // are scanned one by one.
+    const gap = Math.max(expected, 1);
+    const next: number[] = [];
+    let j = 0;
+    let bestBefore = Infinity;
+    let reachable = false;
+    for (const q of lists[i]) {
+      while (j < prev.length && prev[j] <= q - gap) {
+        bestBefore = Math.min(bestBefore, costs[j] - prev[j]);
+        j++;
+      }
+      let cost = bestBefore + q - expected;
+      for (let k = j; k < prev.length && prev[k] < q; k++) {
+        cost = Math.min(cost, costs[k] + Math.abs(q - prev[k] - expected));
+      }
+      next.push(cost <= limit ? cost : Infinity);
+      if (cost <= limit) reachable = true;
+    }
+    if (!reachable) return false;
+    prev = lists[i];
+    costs = next;
+  }
+  return costs.some((cost) => cost <= limit);
+}
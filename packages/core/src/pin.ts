@@ -0,0 +1,61 @@
+/*
+ * pin.ts
+ *
+ * Curated results for known queries. A pin rule names a query and a doc id;
+ * when the query matches, the doc is placed above the ranked hits whether or
+ * not it matched lexically. Queries match after normalization (case, accents,
+ * punctuation and whitespace are ignored), not by relevance.
+ */
+
+import { normalize } from './tokenize.js';
+
+export type PinRule = {
+  /** Query the rule applies to, compared after normalization. */
+  query: string;
+  /** `id` of the doc to place first. */
+  docId: string;
+};
+
+export function validatePinRules(pin: unknown): void {
+  if (pin === undefined) return;
+  if (!Array.isArray(pin)) {
+    throw new Error(
+      'query(...): pin must be an array of { query, docId } rules.'
+    );
+  }
+  pin.forEach((rule, i) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(
+        `query(...): pin[${i}] must be a { query, docId } object.`
+      );
+    }
+    const { query, docId } = rule as Partial<PinRule>;
+    if (typeof query !== 'string' || !normalizePinQuery(query)) {
+      throw new Error(
+        `query(...): pin[${i}].query must be a non-empty string.`
+      );
+    }
+    if (typeof docId !== 'string' || !docId) {
+      throw new Error(
+        `query(...): pin[${i}].docId must be a non-empty string.`
+      );
+    }
+  });
+}
+
+/** Doc ids pinned for `q`, in rule order and without repeats. */
+export function pinnedDocIds(
+  rules: readonly PinRule[] | undefined,
+  q: string
+): string[] {
+  if (!rules?.length) return [];
+  const key = normalizePinQuery(q);
+  const ids = rules
+    .filter((rule) => normalizePinQuery(rule.query) === key)
+    .map((rule) => rule.docId);
+  return [...new Set(ids)];
+}
+
+function normalizePinQuery(q: string): string {
+  return normalize(q).split(/\s+/).filter(Boolean).join(' ');
+}
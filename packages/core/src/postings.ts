@@ -0,0 +1,180 @@
+/*
+ * postings.ts
+ *
+ * Random access into the flat postings array (see indexer.ts). A per-term
+ * offset + document-frequency table is built once per pack so a query only
+ * touches the posting lists of its own terms instead of walking the whole
+ * array on every call.
+ */
+
+import type { Pack } from './pack.runtime.js';
+import { forEachPostingV4, indexPostingsV4 } from './pack.format.js';
+
+export type TermIndex = {
+  /** offsets[termId] = index of the term's first block entry, 0 when absent. */
+  offsets: Uint32Array;
+  /** dfs[termId] = number of blocks containing the term. */
+  dfs: Uint32Array;
+};
+
+const termIndexCache = new WeakMap<Uint32Array, TermIndex>();
+
+/**
+ * A federated view (see packset.ts) has no postings of its own: each global
+ * term id maps to a local term id per member pack, and member block ids are
+ * shifted by the number of blocks in the members before it.
+ */
+export type FederatedPostings = Array<{
+  pack: Pick<Pack, 'postings' | 'termIndex' | 'meta'>;
+  blockOffset: number;
+  /** localTids[globalTermId] = member term id, 0 when absent. */
+  localTids: Uint32Array;
+}>;
+
+const federatedPostings = new WeakMap<Uint32Array, FederatedPostings>();
+const encodedPostings = new WeakMap<Uint32Array, Uint8Array>();
+
+/** Route posting lookups for `postings` (a view's placeholder) to its members. */
+export function registerFederatedPostings(
+  postings: Uint32Array,
+  members: FederatedPostings
+): void {
+  federatedPostings.set(postings, members);
+}
+
+/**
+ * Serve posting lookups for `postings` (a lazy mount's placeholder) from the
+ * encoded v4 section, decoding only the lists a query reads.
+ */
+export function registerEncodedPostings(
+  postings: Uint32Array,
+  bytes: Uint8Array
+): void {
+  encodedPostings.set(postings, bytes);
+}
+
+/** Build the term table with a single pass over flat postings. */
+export function buildTermIndex(postings: Uint32Array): TermIndex {
+  const entries: number[] = [];
+  let maxTid = 0;
+  let i = 0;
+  while (i < postings.length) {
+    const tid = postings[i++];
+    if (tid === 0) continue;
+    const start = i;
+    let df = 0;
+    while (i < postings.length && postings[i] !== 0) {
+      df++;
+      i++;
+      while (i < postings.length && postings[i] !== 0) i++;
+      i++;
+    }
+    i++;
+    entries.push(tid, start, df);
+    if (tid > maxTid) maxTid = tid;
+  }
+
+  const offsets = new Uint32Array(maxTid + 1);
+  const dfs = new Uint32Array(maxTid + 1);
+  for (let e = 0; e < entries.length; e += 3) {
+    offsets[entries[e]] = entries[e + 1];
+    dfs[entries[e]] = entries[e + 2];
+  }
+  return { offsets, dfs };
+}
+
+/** Return the pack's term table, building and caching it on first use. */
+export function getTermIndex(
+  pack: Pick<Pack, 'postings' | 'termIndex'>
+): TermIndex {
+  if (pack.termIndex) return pack.termIndex;
+  let index = termIndexCache.get(pack.postings);
+  if (!index) {
+    const encoded = encodedPostings.get(pack.postings);
+    index = encoded ? indexPostingsV4(encoded) : buildTermIndex(pack.postings);
+    termIndexCache.set(pack.postings, index);
+  }
+  return index;
+}
+
+export function termDocFreq(
+  pack: Pick<Pack, 'postings' | 'termIndex'>,
+  tid: number
+): number {
+  return getTermIndex(pack).dfs[tid] ?? 0;
+}
+
+/**
+ * Visit every (blockId, positions) pair of one term. Block ids are decoded
+ * per pack version (v3+ stores bid + 1); positions are zero-based.
+ */
+export function forEachPosting(
+  pack: Pick<Pack, 'postings' | 'termIndex' | 'meta'>,
+  tid: number,
+  visit: (blockId: number, positions: number[]) => void
+): void {
+  const members = federatedPostings.get(pack.postings);
+  if (members) {
+    for (const member of members) {
+      const local = member.localTids[tid];
+      if (!local) continue;
+      forEachPosting(member.pack, local, (bid, positions) =>
+        visit(member.blockOffset + bid, positions)
+      );
+    }
+    return;
+  }
+
+  const index = getTermIndex(pack);
+  const start = index.offsets[tid];
+  if (!start) return;
+
+  const encoded = encodedPostings.get(pack.postings);
+  if (encoded) {
+    forEachPostingV4(encoded, start, index.dfs[tid], visit);
+    return;
+  }
+
+  const p = pack.postings;
+  const usesOffsetBlockIds = (pack.meta?.version ?? 1) >= 3;
+  let i = start;
+  let encodedBid = p[i++];
+  while (encodedBid !== undefined && encodedBid !== 0) {
+    const positions: number[] = [];
+    let pos = p[i++];
+    while (pos !== undefined && pos !== 0) {
+      positions.push(pos - 1);
+      pos = p[i++];
+    }
+    visit(usesOffsetBlockIds ? encodedBid - 1 : encodedBid, positions);
+    encodedBid = p[i++];
+  }
+}
+
+/** Visits the (blockId, positions) pairs of one term, like `forEachPosting`. */
+export type PostingsReader = (
+  tid: number,
+  visit: (blockId: number, positions: number[]) => void
+) => void;
+
+/**
+ * `forEachPosting` for one pack that decodes each posting list once and
+ * replays it on later reads. `queryBatch()` shares one across its queries.
+ */
+export function createPostingsReader(
+  pack: Pick<Pack, 'postings' | 'termIndex' | 'meta'>
+): PostingsReader {
+  const lists = new Map<number, Array<[number, number[]]>>();
+  return (tid, visit) => {
+    let list = lists.get(tid);
+    if (!list) {
+      const decoded: Array<[number, number[]]> = [];
+      forEachPosting(pack, tid, (bid, positions) =>
+        decoded.push([bid, positions])
+      );
+      lists.set(tid, decoded);
+      list = decoded;
+    }
+    for (const [bid, positions] of list) visit(bid, positions);
+  };
+}
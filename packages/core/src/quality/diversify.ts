@@ -8,6 +8,14 @@ export type DiversifyOptions = {
   lambda?: number;      // trade-off relevance vs novelty
   simThreshold?: number; // near-duplicate cutoff
   sim?: (a: HitLike, b: HitLike) => number;
+  /** Called for each kept hit: its rank by score, max similarity to kept hits, and MMR score (null on fallback). */
+  onKeep?: (hit: HitLike, decision: { rank: number; maxSimilarity: number; score: number | null }) => void;
+  /**
+   * Paging: `more()` returns the next batch of candidates (empty when none are left).
+   * A batch joins the pool before every `size` kept hits after the first, and whenever
+   * no candidate is left, so the first n kept hits never depend on how many follow.
+   */
+  page?: { size: number; more: () => HitLike[] };
 };
 
 export function diversifyAndDedupe(
@@ -16,33 +24,68 @@ export function diversifyAndDedupe(
 ): HitLike[] {
   const { k, lambda = 0.8, simThreshold = 0.92, sim = (a, b) => jaccard5(a.text, b.text) } = opts;
   const pool = [...hits].sort((a, b) => b.score - a.score);
+  const rankOf = new Map(pool.map((h, i) => [h, i]));
   const kept: HitLike[] = [];
+  const addBatch = (): boolean => {
+    const batch = opts.page?.more() ?? [];
+    for (const h of [...batch].sort((a, b) => b.score - a.score)) {
+      rankOf.set(h, rankOf.size);
+      pool.push(h);
+    }
+    return batch.length > 0;
+  };
+  let batchedAt = 0;
+  // Highest similarity of each candidate to the kept hits so far; only hits
+  // kept since the last look are compared, not every kept hit every round.
+  const simToKept = new Map<HitLike, { max: number; compared: number }>();
+  const maxSimToKept = (h: HitLike): number => {
+    let state = simToKept.get(h);
+    if (!state) {
+      state = { max: 0, compared: 0 };
+      simToKept.set(h, state);
+    }
+    // early out: a near-duplicate stays one
+    while (state.compared < kept.length && state.max < simThreshold) {
+      const v = sim(h, kept[state.compared++]);
+      if (v > state.max) state.max = v;
+    }
+    return state.max;
+  };
 
-  while (pool.length && kept.length < k) {
+  while (kept.length < k) {
+    if (opts.page && kept.length > 0 && kept.length % opts.page.size === 0 && batchedAt < kept.length) {
+      batchedAt = kept.length;
+      addBatch();
+    }
+    if (!pool.length && !addBatch()) break;
     // compute MMR for current pool against kept
     let bestIdx = 0;
     let bestMMR = -Infinity;
+    let bestSim = 0;
     for (let i = 0; i < pool.length; i++) {
       const h = pool[i];
-      let maxSim = 0;
-      for (const s of kept) {
-        const v = sim(h, s);
-        if (v > maxSim) maxSim = v;
-        if (v >= simThreshold) { maxSim = v; break; } // early out
-      }
+      const maxSim = maxSimToKept(h);
       // skip near-duplicates
       if (maxSim >= simThreshold) continue;
       const mmr = lambda * h.score - (1 - lambda) * maxSim;
       if (mmr > bestMMR) {
         bestMMR = mmr;
         bestIdx = i;
+        bestSim = maxSim;
       }
     }
     // if everything was a near-duplicate, just take the next best by score
     const pick = pool.splice(bestMMR === -Infinity ? 0 : bestIdx, 1)[0];
     if (!pick) break;
     // final dedupe check before push
-    if (!kept.some((x) => sim(x, pick) >= simThreshold)) kept.push(pick);
+    if (!kept.length || maxSimToKept(pick) < simThreshold) {
+      kept.push(pick);
+      opts.onKeep?.(pick, {
+        rank: rankOf.get(pick) ?? 0,
+        maxSimilarity: bestSim,
+        score: bestMMR === -Infinity ? null : bestMMR,
+      });
+    }
   }
 
   return kept;
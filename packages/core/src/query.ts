@@ -3,30 +3,112 @@
  *
  * Deterministic, embedding-free retrieval with:
  *  - REQUIRED phrase enforcement (quoted and requirePhrases)
+ *  - Boolean syntax: +must, -exclude, OR, (groups), ns:/source:/heading: filters
  *  - Proximity bonus based on min cover span
  *  - Optional heading overlap boost
  *  - KNS numeric-signature tie-breaker (tiny)
  *  - Near-duplicate suppression + MMR diversity
  */
 
-import { tokenize, parsePhrases, normalize } from "./tokenize.js";
+import { isCjkChar, normalize } from "./tokenize.js";
 import { rankBM25L } from "./rank.js";
+import type { FieldWeights, RankCandidate } from "./rank.js";
+import { INDEXED_FIELDS, fieldTerm, fieldTermText, hasIndexedField, isFieldTerm } from "./fields.js";
+import type { IndexedField } from "./fields.js";
+import type { ScoreExplanation, TermExplanation } from "./explain.js";
+import { extractSnippet, validateSnippetOptions } from "./snippet.js";
+import type { Snippet, SnippetOptions } from "./snippet.js";
+import { decodeCursor, encodeCursor, queryKey } from "./paging.js";
+import { QueryCache } from "./cache.js";
+import { compilePhrase, createPhraseMatcher, tokensContainPhrase } from "./phrase.js";
+import type { CompiledPhrase, PhraseMatcher } from "./phrase.js";
 import type { Pack } from "./pack.js";
 import { minCoverSpan, proximityMultiplier } from "./quality/proximity.js";
 import { diversifyAndDedupe } from "./quality/diversify.js";
+import { jaccardFromSets, ngramSet } from "./quality/similarity.js";
 import { knsSignature, knsDistance } from "./quality/signature.js";
 import { decodeScaleF16, quantizeEmbeddingInt8L2Norm } from "./semantic.js";
 import { expandQueryWithGraph } from "./graph/query_expand.js";
 import type { RetrievalEvidence, SemanticSidecar } from "./semantic/types.js";
 import { rerankCandidates } from "./semantic/rerank.js";
 import { parseSidecar } from "./semantic/sidecar.js";
+import { createPostingsReader, forEachPosting, termDocFreq } from "./postings.js";
+import type { PostingsReader } from "./postings.js";
+import { getAnalyzer } from "./analyzer.js";
+import type { Analyzer } from "./analyzer.js";
+import type { FuzzyCorrection, FuzzyOptions } from "./fuzzy.js";
+import { FUZZY_EDIT_WEIGHT, findFuzzyTerms, resolveFuzzyOptions, validateFuzzyOptions } from "./fuzzy.js";
+import { DEFAULT_MAX_WILDCARD_TERMS, expandCjkChar, expandWildcard, parseWildcard } from "./wildcard.js";
+import type { WildcardPattern } from "./wildcard.js";
+import { isBooleanQuery, parseQuery } from "./query_parse.js";
+import type { QueryAst, QueryClause, QueryField, QueryNode } from "./query_parse.js";
+import type { DocMetadata, MetadataFilter } from "./metadata.js";
+import { matchesMetadataFilter, validateMetadataFilter } from "./metadata.js";
+import type { FreshnessOptions, Timestamp } from "./freshness.js";
+import {
+  DEFAULT_FRESHNESS_FIELD,
+  blockUpdatedAt,
+  freshnessMultiplier,
+  parseTimestamp,
+  validateFreshnessOptions,
+  validateUpdatedAfter,
+} from "./freshness.js";
+import type { PinRule } from "./pin.js";
+import { pinnedDocIds, validatePinRules } from "./pin.js";
+
+/** Ranking knobs; every field defaults to the value `query()` always used. */
+export type RankingOptions = {
+  /** BM25 term-frequency saturation (default 1.5). */
+  k1?: number;
+  /** BM25 length normalization, 0..1 (default 0.75). */
+  b?: number;
+  /** Heading-overlap boost for packs without an indexed heading field (default 0.3). */
+  headingBoost?: number;
+  /** Boost for blocks containing a quoted phrase (default 0.6). */
+  phraseBoost?: number;
+  /** BM25F weights (defaults: body 1, heading 2, docId 1). */
+  fieldWeights?: FieldWeights;
+  /** Proximity bonus for tight matches, `1 + strength / (1 + span)` (default 0.15). */
+  proximityStrength?: number;
+  /** KNS numeric-signature tie-breaker boost (default 0.02). */
+  knsBoost?: number;
+  /** MMR diversity: relevance weight 0..1 (default 0.8) and near-duplicate similarity 0..1 (default 0.92). */
+  mmr?: { lambda?: number; simThreshold?: number };
+};
 
 export type QueryOptions = {
   topK?: number;
+  /** Skip this many hits of the ranking; pages of one `topK` never overlap or skip hits. */
+  offset?: number;
+  /** `nextCursor` from `queryPage()`; continues the same query and options. */
+  cursor?: string;
+  /** Serve repeated queries from this `createQueryCache()` LRU. */
+  cache?: QueryCache;
   minScore?: number;
   requirePhrases?: string[];
   namespace?: string | string[];
   source?: string | string[];
+  /** Doc metadata conditions: equality, `{ in }`, `{ gt, gte, lt, lte }`, `{ ne }`, `{ exists }`. */
+  metadata?: MetadataFilter;
+  /** Decay scores by doc age, read from a metadata timestamp field (`updatedAt` by default). */
+  freshness?: FreshnessOptions;
+  /** Only docs updated after this time, read from `freshness.field` (default `updatedAt`); undated docs are excluded. */
+  updatedAfter?: Timestamp;
+  /** Curated docs placed above the ranked hits when q matches a rule's query. */
+  pin?: PinRule[];
+  /** Expand query terms missing from the lexicon to nearby terms (typos); weighted below exact matches. */
+  fuzzy?: FuzzyOptions;
+  /** Treat the last query token as a prefix (search-as-you-type) unless q ends in whitespace. */
+  prefixLastToken?: boolean;
+  /** Cap on lexicon terms one `prefix*` / wildcard token expands to (default 50). */
+  maxWildcardTerms?: number;
+  /** Throw `QueryParseError` for malformed query syntax instead of reading it as words. */
+  strictSyntax?: boolean;
+  ranking?: RankingOptions;
+  /** Attach a scoring breakdown to each hit as `evidence.explain`. */
+  explain?: boolean;
+  /** Attach `hit.snippet`: the best window(s) around the query terms, with highlight offsets. */
+  snippet?: boolean | SnippetOptions;
   queryExpansion?: {
     enabled?: boolean;
     docs?: number;
@@ -67,6 +149,18 @@ export function validateQueryOptions(opts?: QueryOptions): void {
   if (opts.topK !== undefined && (!Number.isInteger(opts.topK) || opts.topK < 1)) {
     throw new Error("query(...): topK must be a positive integer.");
   }
+  if (opts.offset !== undefined && (!Number.isInteger(opts.offset) || opts.offset < 0)) {
+    throw new Error("query(...): offset must be an integer >= 0.");
+  }
+  if (opts.cursor !== undefined && typeof opts.cursor !== "string") {
+    throw new Error("query(...): cursor must be a string when provided.");
+  }
+  if (opts.cursor !== undefined && opts.offset !== undefined) {
+    throw new Error("query(...): pass either offset or cursor, not both.");
+  }
+  if (opts.cache !== undefined && !(opts.cache instanceof QueryCache)) {
+    throw new Error("query(...): cache must be a QueryCache from createQueryCache().");
+  }
   if (opts.minScore !== undefined && (!Number.isFinite(opts.minScore) || opts.minScore < 0)) {
     throw new Error("query(...): minScore must be a finite number >= 0.");
   }
@@ -75,6 +169,25 @@ export function validateQueryOptions(opts?: QueryOptions): void {
   }
   validateStringOrStringArrayOption("namespace", opts.namespace);
   validateStringOrStringArrayOption("source", opts.source);
+  validateMetadataFilter(opts.metadata);
+  validateFreshnessOptions(opts.freshness);
+  validateUpdatedAfter(opts.updatedAfter);
+  validatePinRules(opts.pin);
+  validateFuzzyOptions(opts.fuzzy);
+  if (opts.prefixLastToken !== undefined && typeof opts.prefixLastToken !== "boolean") {
+    throw new Error("query(...): prefixLastToken must be a boolean when provided.");
+  }
+  if (opts.maxWildcardTerms !== undefined && (!Number.isInteger(opts.maxWildcardTerms) || opts.maxWildcardTerms < 1)) {
+    throw new Error("query(...): maxWildcardTerms must be a positive integer.");
+  }
+  if (opts.strictSyntax !== undefined && typeof opts.strictSyntax !== "boolean") {
+    throw new Error("query(...): strictSyntax must be a boolean when provided.");
+  }
+  validateRankingOptions(opts.ranking);
+  if (opts.explain !== undefined && typeof opts.explain !== "boolean") {
+    throw new Error("query(...): explain must be a boolean when provided.");
+  }
+  validateSnippetOptions(opts.snippet);
   if (opts.queryExpansion) {
     const qe = opts.queryExpansion;
     if (qe.enabled !== undefined && typeof qe.enabled !== "boolean") {
@@ -107,6 +220,49 @@ export function validateQueryOptions(opts?: QueryOptions): void {
   validateSemanticQueryOptions(opts.semantic);
 }
 
+function validateRankingOptions(ranking?: RankingOptions): void {
+  if (ranking === undefined) return;
+  if (!ranking || typeof ranking !== "object") {
+    throw new Error("query(...): ranking must be an object when provided.");
+  }
+  if (ranking.k1 !== undefined && (!Number.isFinite(ranking.k1) || ranking.k1 <= 0)) {
+    throw new Error("query(...): ranking.k1 must be a finite number > 0.");
+  }
+  validateUnitInterval("ranking.b", ranking.b);
+  for (const key of ["headingBoost", "phraseBoost", "proximityStrength", "knsBoost"] as const) {
+    const value = ranking[key];
+    if (value !== undefined && (!Number.isFinite(value) || value < 0)) {
+      throw new Error(`query(...): ranking.${key} must be a finite number >= 0.`);
+    }
+  }
+  if (ranking.fieldWeights !== undefined) {
+    if (!ranking.fieldWeights || typeof ranking.fieldWeights !== "object") {
+      throw new Error("query(...): ranking.fieldWeights must be an object when provided.");
+    }
+    for (const [field, weight] of Object.entries(ranking.fieldWeights)) {
+      if (field !== "body" && field !== "heading" && field !== "docId") {
+        throw new Error(`query(...): ranking.fieldWeights.${field} is not a known field (body, heading, docId).`);
+      }
+      if (weight !== undefined && (!Number.isFinite(weight) || weight < 0)) {
+        throw new Error(`query(...): ranking.fieldWeights.${field} must be a finite number >= 0.`);
+      }
+    }
+  }
+  if (ranking.mmr !== undefined) {
+    if (!ranking.mmr || typeof ranking.mmr !== "object") {
+      throw new Error("query(...): ranking.mmr must be an object when provided.");
+    }
+    validateUnitInterval("ranking.mmr.lambda", ranking.mmr.lambda);
+    validateUnitInterval("ranking.mmr.simThreshold", ranking.mmr.simThreshold);
+  }
+}
+
+function validateUnitInterval(name: string, value?: number): void {
+  if (value !== undefined && (!Number.isFinite(value) || value < 0 || value > 1)) {
+    throw new Error(`query(...): ${name} must be a number between 0 and 1.`);
+  }
+}
+
 export function validateSemanticQueryOptions(options?: QueryOptions["semantic"]): void {
   if (!options) return;
   if (options.enabled !== undefined && typeof options.enabled !== "boolean") {
@@ -158,11 +314,136 @@ export type Hit = {
   text: string;
   source?: string;
   namespace?: string;
+  metadata?: DocMetadata;
+  /** Heading path of the block (packs built with structured markdown). */
+  breadcrumb?: string[];
+  /** Parent doc ordinal and chunk ordinal for packs built with `chunking`. */
+  chunk?: { doc: number; index: number };
+  /** Member pack of a `createPackSet()` query: position in the set and optional id. */
+  pack?: { index: number; id?: string };
   evidence?: RetrievalEvidence;
+  /** Best window(s) of `text` around the query terms (`query(..., { snippet })`). */
+  snippet?: Snippet;
+};
+
+export type QueryPage = {
+  hits: Hit[];
+  /** Position of `hits[0]` in the ranking. */
+  offset: number;
+  /** Pass as `cursor` with the same query and options for the next page; absent on the last page. */
+  nextCursor?: string;
 };
 
 export function query(pack: Pack, q: string, opts: QueryOptions = {}): Hit[] {
+  validateQueryOptions(opts);
+  const searchOpts = pinFreshnessNow(opts);
+  const run = () => searchHits(pack, q, searchOpts, resolveOffset(q, opts), 0);
+  const cache = cacheFor(opts);
+  return cache ? cache.resolve(pack, q, opts, "query", run) : run();
+}
+
+/**
+ * One page of `query()` results plus a cursor for the next one. Diversification
+ * considers candidates page by page, so page n is the same whether it is
+ * fetched by cursor, by `offset`, or as part of a larger `topK`-sized walk.
+ */
+export function queryPage(pack: Pack, q: string, opts: QueryOptions = {}): QueryPage {
   validateQueryOptions(opts);
+  const topK = opts.topK ?? 10;
+  const offset = resolveOffset(q, opts);
+  // One hit past the page tells whether there is a next one.
+  const searchOpts = pinFreshnessNow(opts);
+  const run = () => searchHits(pack, q, searchOpts, offset, 1);
+  const cache = cacheFor(opts);
+  const hits = cache ? cache.resolve(pack, q, opts, "page", run) : run();
+  const page = hits.slice(0, topK);
+  return {
+    hits: page,
+    offset,
+    ...(hits.length > topK ? { nextCursor: encodeCursor(offset + topK, pageKey(q, opts)) } : {}),
+  };
+}
+
+/**
+ * Run several queries with the same options against one pack. Each posting
+ * list is decoded once for the whole batch, so terms shared by many queries
+ * cost one scan; every query is still ranked on its own and returns exactly
+ * what `query()` would. An invalid query string throws for the whole batch.
+ */
+export function queryBatch(pack: Pack, queries: readonly string[], opts: QueryOptions = {}): Hit[][] {
+  if (!Array.isArray(queries) || queries.some((q) => typeof q !== "string")) {
+    throw new Error("queryBatch(...): queries must be an array of strings.");
+  }
+  validateQueryOptions(opts);
+  if (opts.cursor !== undefined) {
+    throw new Error("queryBatch(...): a cursor continues one query; use offset for batches.");
+  }
+  const scan = createScanState(pack);
+  const searchOpts = pinFreshnessNow(opts);
+  const cache = cacheFor(opts);
+  return queries.map((q) => {
+    const run = () => searchHits(pack, q, searchOpts, opts.offset ?? 0, 0, scan);
+    return cache ? cache.resolve(pack, q, opts, "query", run) : run();
+  });
+}
+
+/**
+ * `opts` with `freshness.now` fixed to the current time when freshness is on
+ * without one, so every hit of a call (or batch) is aged from the same instant.
+ * Cache keys and cursors keep using the caller's options.
+ */
+function pinFreshnessNow(opts: QueryOptions): QueryOptions {
+  if (!opts.freshness || opts.freshness.now !== undefined) return opts;
+  return { ...opts, freshness: { ...opts.freshness, now: Date.now() } };
+}
+
+/** Scores aged from the wall clock (freshness without `now`) go stale, so they bypass the cache. */
+function cacheFor(opts: QueryOptions): QueryCache | undefined {
+  return opts.freshness && opts.freshness.now === undefined ? undefined : opts.cache;
+}
+
+/**
+ * Per-pack work a query can reuse: decoded posting lists, phrase positions,
+ * the block n-gram sets MMR compares and, in a batch, their similarities.
+ * One per query, or shared by every query of a batch.
+ */
+type ScanState = {
+  read: PostingsReader;
+  phraseMatcher: PhraseMatcher;
+  ngrams: Map<number, Set<string>>;
+  /** Block-pair similarities keyed by `lo * blockCount + hi` (batches only). */
+  similarities?: Map<number, number>;
+};
+
+function createScanState(pack: Pack, shared = true): ScanState {
+  const read: PostingsReader = shared ? createPostingsReader(pack) : (tid, visit) => forEachPosting(pack, tid, visit);
+  return {
+    read,
+    phraseMatcher: createPhraseMatcher(pack, read),
+    ngrams: new Map(),
+    ...(shared ? { similarities: new Map() } : {}),
+  };
+}
+
+/** Cursors are bound to the query and every option except the paging ones and the cache. */
+function pageKey(q: string, opts: QueryOptions): string {
+  return queryKey(q, opts, ["offset", "cursor", "cache"]);
+}
+
+function resolveOffset(q: string, opts: QueryOptions): number {
+  if (opts.cursor !== undefined) return decodeCursor(opts.cursor, pageKey(q, opts));
+  return opts.offset ?? 0;
+}
+
+/** Hits from `offset` on: a page of `topK`, plus `lookahead` more when available. */
+function searchHits(
+  pack: Pack,
+  q: string,
+  opts: QueryOptions,
+  offset: number,
+  lookahead: number,
+  scan: ScanState = createScanState(pack, false)
+): Hit[] {
   const topK = opts.topK ?? 10;
   const minScore = Number.isFinite(opts.minScore) ? Math.max(0, opts.minScore as number) : 0;
   const expansionOpts = {
@@ -189,30 +470,69 @@ export function query(pack: Pack, q: string, opts: QueryOptions = {}): Hit[] {
     force: opts.semantic?.force ?? false,
   };
 
+  // --- Query language: words, "phrases", +must, -exclude, OR, (groups), field prefixes.
+  // Only the positive words and phrases are scored; wildcard words (`deploy*`) are
+  // resolved against the sorted lexicon, not analyzed.
+  const ast = parseQuery(q, { prefixLastToken: opts.prefixLastToken === true, strict: opts.strictSyntax === true });
+  const { words, patterns, fieldValues, requiredQuoted } = collectSearchTerms(ast);
+  const plainQuery = words.join(" ");
+
   const graphQuery =
     opts.graph?.expand === true
-      ? expandQueryWithGraph(pack, q, {
+      ? expandQueryWithGraph(pack, plainQuery, {
           maxExtraTerms: opts.graph?.maxExtraTerms,
           predicates: opts.graph?.predicates,
         })
-      : q;
-
-  // --- Query parsing
-  const normTokens = tokenize(graphQuery).map((t) => t.term);
-
-  // Normalize quoted phrases from q
-  const quotedRaw = parsePhrases(q);
-  const quoted = quotedRaw.map((seq) => seq.map((t) => normalize(t)).flatMap((s) => s.split(/\s+/)).filter(Boolean));
-
-  // Normalize requirePhrases the same way
+      : plainQuery;
+
+  // --- Query parsing (same analyzer the pack was built with)
+  const analyzer = getAnalyzer(pack.meta?.analyzer, "query(...)");
+  const normTokens = analyzer.analyze(graphQuery).map((t) => t.term);
+
+  // Required (top-level) quoted phrases from q and requirePhrases, matched on the
+  // positions stored in the postings. Phrases of stopwords only are dropped.
+  const { read: readPostings, phraseMatcher } = scan;
+  const quoted = requiredQuoted
+    .map(({ text, slop }) => compilePhrase(pack, analyzer, text, slop))
+    .filter((phrase): phrase is CompiledPhrase => phrase !== undefined);
   const extraReq = (opts.requirePhrases ?? [])
-    .map((s) => tokenize(s).map((t) => t.term))
-    .filter((arr) => arr.length > 0);
+    .map((text) => compilePhrase(pack, analyzer, text))
+    .filter((phrase): phrase is CompiledPhrase => phrase !== undefined);
 
-  const requiredPhrases: string[][] = [...quoted, ...extraReq];
+  const requiredPhrases: CompiledPhrase[] = [...quoted, ...extraReq];
 
   const namespaceFilter = normalizeNamespaceFilter(opts.namespace);
   const sourceFilter = normalizeSourceFilter(opts.source);
+  const metadataFilter = opts.metadata && Object.keys(opts.metadata).length > 0 ? opts.metadata : undefined;
+  const updatedField = opts.freshness?.field ?? DEFAULT_FRESHNESS_FIELD;
+  const updatedAfter = parseTimestamp(opts.updatedAfter);
+
+  // Namespace, source/docId and metadata filters are checked when a candidate is
+  // first created, so query-expansion scans cannot reintroduce filtered blocks.
+  // Pinned docs skip the query's own clauses but not these filters.
+  function passesDocFilters(bid: number): boolean {
+    if (namespaceFilter.size > 0) {
+      const ns = pack.namespaces?.[bid];
+      const normalizedNs = typeof ns === "string" ? normalize(ns) : "";
+      if (!normalizedNs || !namespaceFilter.has(normalizedNs)) return false;
+    }
+    if (sourceFilter.size > 0) {
+      const source = pack.docIds?.[bid];
+      const normalizedSource = typeof source === "string" ? normalize(source) : "";
+      if (!normalizedSource || !sourceFilter.has(normalizedSource)) return false;
+    }
+    if (metadataFilter && !matchesMetadataFilter(pack.blockMetadata?.[bid], metadataFilter)) {
+      return false;
+    }
+    if (updatedAfter !== undefined && !((blockUpdatedAt(pack.blockMetadata?.[bid], updatedField) ?? -Infinity) > updatedAfter)) {
+      return false;
+    }
+    return true;
+  }
+  function passesBlockFilters(bid: number): boolean {
+    return passesDocFilters(bid) && (!booleanMatch || booleanMatch(bid));
+  }
+  const pinnedDocs = pinnedDocIds(opts.pin, q);
 
   // --- Term ids for the free (unquoted) tokens in q
   const termIds = normTokens
@@ -222,128 +542,146 @@ export function query(pack: Pack, q: string, opts: QueryOptions = {}): Hit[] {
   // If there are no free tokens but there ARE required phrases, we'll fill candidates from phrases later.
   const termSet = new Set(termIds);
 
+  // --- Lexicon terms matched by wildcard / prefix tokens
+  const wildcardIds = new Set<number>();
+  const wildcardTerms: string[] = [];
+  for (const pattern of patterns) {
+    for (const term of expandWildcard(pack, pattern, opts.maxWildcardTerms ?? DEFAULT_MAX_WILDCARD_TERMS)) {
+      wildcardTerms.push(term);
+      const tid = pack.lexicon.get(term) as number;
+      if (!termSet.has(tid)) wildcardIds.add(tid);
+    }
+  }
+  // Lone CJK characters match the bigrams containing them, like a wildcard.
+  for (const token of new Set(normTokens)) {
+    for (const term of cjkCharTerms(pack, analyzer, token, opts.maxWildcardTerms)) {
+      wildcardTerms.push(term);
+      const tid = pack.lexicon.get(term) as number;
+      if (!termSet.has(tid)) wildcardIds.add(tid);
+    }
+  }
+
+  // --- Fuzzy corrections for free tokens the lexicon does not contain
+  const corrections = new Map<number, FuzzyCorrection>();
+  if (opts.fuzzy) {
+    const fuzzyOpts = resolveFuzzyOptions(opts.fuzzy);
+    for (const term of new Set(normTokens)) {
+      if (pack.lexicon.has(term)) continue;
+      for (const match of findFuzzyTerms(pack.lexicon, term, fuzzyOpts)) {
+        const tid = pack.lexicon.get(match.term) as number;
+        if (termSet.has(tid) || wildcardIds.has(tid) || corrections.has(tid)) continue;
+        corrections.set(tid, { from: term, to: match.term, edits: match.edits });
+      }
+    }
+  }
+
+  // --- Required / excluded clauses, OR groups and field prefixes
+  const booleanMatch = isBooleanQuery(ast)
+    ? compileBooleanQuery(pack, ast, analyzer, scan, corrections, opts.maxWildcardTerms ?? DEFAULT_MAX_WILDCARD_TERMS)
+    : undefined;
+
   // --- Candidate map
-  const candidates = new Map<
-    number,
-    { tf: Map<number, number>; pos: Map<number, number[]>; hasPhrase?: boolean; headingScore?: number }
-  >();
+  const candidates = new Map<number, RankCandidate & { pos: Map<number, number[]> }>();
 
-  // Query-time document frequency collection for BM25 IDF.
+  // Document frequencies for BM25 IDF, read from the pack's term table.
   const dfs = new Map<number, number>();
 
-  const usesOffsetBlockIds = (pack.meta?.version ?? 1) >= 3;
-
-  // Helper to harvest postings for a given set of termIds into candidates
+  // Helper to harvest postings for a given set of termIds into candidates.
+  // Only the posting lists of the requested terms are visited.
   function scanForTermIds(
     idWeights: Map<number, number>,
     cfg: { collectPositions?: boolean; createCandidates?: boolean } = { collectPositions: true, createCandidates: true }
   ) {
-    const p = pack.postings;
-    let i = 0;
-    while (i < p.length) {
-      const tid = p[i++];
-      if (tid === 0) continue;
-      const weight = idWeights.get(tid) ?? 0;
-      const relevant = weight > 0;
-      let termDf = 0;
-      let encodedBid = p[i++];
-      while (encodedBid !== 0) {
-        const bid = usesOffsetBlockIds ? encodedBid - 1 : encodedBid;
-        let pos = p[i++];
-        const positions: number[] = [];
-        while (pos !== 0) {
-          positions.push(pos - 1);
-          pos = p[i++];
+    for (const [tid, weight] of idWeights) {
+      if (!(weight > 0)) continue;
+      readPostings(tid, (bid, positions) => {
+        if (bid < 0) return;
+        let entry = candidates.get(bid);
+        if (!entry && cfg.createCandidates !== false && passesBlockFilters(bid)) {
+          entry = { tf: new Map(), pos: new Map() };
+          candidates.set(bid, entry);
         }
-        termDf++;
-        if (relevant && bid >= 0) {
-          let entry = candidates.get(bid);
-          if (!entry && cfg.createCandidates !== false) {
-            entry = { tf: new Map(), pos: new Map() };
-            candidates.set(bid, entry);
-          }
-          if (entry) {
-            const prevTf = entry.tf.get(tid) ?? 0;
-            entry.tf.set(tid, prevTf + positions.length * weight);
-            if (cfg.collectPositions !== false) {
-              entry.pos.set(tid, positions);
-            }
+        if (entry) {
+          const prevTf = entry.tf.get(tid) ?? 0;
+          entry.tf.set(tid, prevTf + positions.length * weight);
+          if (cfg.collectPositions !== false) {
+            entry.pos.set(tid, positions);
           }
         }
-        encodedBid = p[i++];
-      }
-      if (relevant) dfs.set(tid, termDf);
+      });
+      dfs.set(tid, termDocFreq(pack, tid));
     }
   }
 
-  // 1) Scan using tokens from q (if any)
-  if (termSet.size > 0) {
-    scanForTermIds(new Map(Array.from(termSet.values(), (tid) => [tid, 1])));
+  // 1) Scan using tokens from q (if any), wildcard expansions and fuzzy corrections
+  if (termSet.size > 0 || wildcardIds.size > 0 || corrections.size > 0) {
+    const weights = new Map(Array.from(termSet.values(), (tid) => [tid, 1]));
+    for (const tid of wildcardIds) weights.set(tid, 1);
+    for (const [tid, correction] of corrections) weights.set(tid, FUZZY_EDIT_WEIGHT ** correction.edits);
+    scanForTermIds(weights);
   }
 
-  // 2) Phrase-first rescue:
-  // If nothing matched the free tokens, but we do have required phrases,
-  // build a fallback term set from ALL tokens that appear in those phrases and scan again.
-  if (candidates.size === 0 && requiredPhrases.length > 0) {
-    const phraseTokenIds = new Set<number>();
-    for (const seq of requiredPhrases) {
-      for (const t of seq) {
-        const id = pack.lexicon.get(t);
-        if (id !== undefined) phraseTokenIds.add(id);
-      }
-    }
-    if (phraseTokenIds.size > 0) {
-      scanForTermIds(new Map(Array.from(phraseTokenIds.values(), (tid) => [tid, 1])));
-    }
-  }
-
-  // --- Namespace filtering
-  if (namespaceFilter.size > 0) {
-    for (const bid of [...candidates.keys()]) {
-      const ns = pack.namespaces?.[bid];
-      const normalizedNs = typeof ns === "string" ? normalize(ns) : "";
-      if (!normalizedNs || !namespaceFilter.has(normalizedNs)) {
-        candidates.delete(bid);
-      }
+  // 1b) Heading / doc-id field terms retrieve and score candidates on their own,
+  // for free tokens and for `heading:` / `source:` values (so field-only queries
+  // have candidates). Field frequencies are keyed by the body term id (or the
+  // field term id for terms that only occur in fields) so BM25F sums them per
+  // query term.
+  for (const field of INDEXED_FIELDS) {
+    if (!hasIndexedField(pack, field)) continue;
+    const valueTokens = fieldValues
+      .filter((value) => value.field === field)
+      .flatMap((value) => analyzer.analyze(value.text).map((t) => t.term));
+    for (const term of new Set([...normTokens, ...valueTokens])) {
+      const ftid = pack.lexicon.get(fieldTerm(field, term));
+      if (ftid === undefined) continue;
+      const key = pack.lexicon.get(term) ?? ftid;
+      readPostings(ftid, (bid, positions) => {
+        let entry = candidates.get(bid);
+        if (!entry && passesBlockFilters(bid)) {
+          entry = { tf: new Map(), pos: new Map() };
+          candidates.set(bid, entry);
+        }
+        if (!entry) return;
+        entry.fieldTf ??= new Map();
+        const tfs = entry.fieldTf.get(key) ?? {};
+        tfs[field] = (tfs[field] ?? 0) + positions.length;
+        entry.fieldTf.set(key, tfs);
+      });
+      if (!dfs.has(key)) dfs.set(key, termDocFreq(pack, key));
     }
   }
 
-  // --- Source/docId filtering
-  if (sourceFilter.size > 0) {
-    for (const bid of [...candidates.keys()]) {
-      const source = pack.docIds?.[bid];
-      const normalizedSource = typeof source === "string" ? normalize(source) : "";
-      if (!normalizedSource || !sourceFilter.has(normalizedSource)) {
-        candidates.delete(bid);
-      }
-    }
+  // 2) Phrase-only queries (requirePhrases with no free tokens): score the phrase
+  // terms, limited to the blocks that contain every required phrase.
+  if (candidates.size === 0 && requiredPhrases.length > 0) {
+    const [first, ...rest] = requiredPhrases;
+    const phraseBlocks = phraseMatcher
+      .blocks(first)
+      .filter((bid) => rest.every((phrase) => phraseMatcher.matches(phrase, bid)) && passesBlockFilters(bid));
+    for (const bid of phraseBlocks) candidates.set(bid, { tf: new Map(), pos: new Map() });
+    const phraseTids = new Set(requiredPhrases.flatMap((phrase) => phrase.tids as number[]));
+    scanForTermIds(new Map(Array.from(phraseTids, (tid) => [tid, 1])), { collectPositions: true, createCandidates: false });
   }
 
-  // --- Phrase enforcement (now that we have some candidates)
+  // --- Phrase enforcement from positions: no candidate text is re-tokenized
   if (requiredPhrases.length > 0) {
     for (const [bid, data] of [...candidates]) {
-      const text = pack.blocks[bid] || "";
-      const ok = requiredPhrases.every((seq) => containsPhrase(text, seq));
+      const ok = requiredPhrases.every((phrase) => phraseMatcher.matches(phrase, bid));
       if (!ok) candidates.delete(bid);
       else data.hasPhrase = true;
     }
-  } else if (quoted.length > 0) {
-    for (const [bid, data] of candidates) {
-      const text = pack.blocks[bid] || "";
-      data.hasPhrase = quoted.some((seq) => containsPhrase(text, seq));
-    }
   }
 
   // If still nothing, bail early
-  if (candidates.size === 0) return [];
+  if (candidates.size === 0 && pinnedDocs.length === 0) return [];
 
-  // --- Heading overlap
-  if (pack.headings?.length) {
+  // --- Heading overlap (packs built before headings were indexed as a field)
+  if (pack.headings?.length && !hasIndexedField(pack, "heading")) {
     const qset = new Set(normTokens);
     const qUniqueCount = new Set(normTokens).size || 1;
     for (const [bid, data] of candidates) {
       const h = pack.headings[bid] ?? "";
-      const hTerms = tokenize(h || "").map((t) => t.term);
+      const hTerms = analyzer.analyze(h || "").map((t) => t.term);
       const overlap = new Set(hTerms.filter((t) => qset.has(t))).size;
       data.headingScore = overlap / qUniqueCount;
     }
@@ -353,37 +691,102 @@ export function query(pack: Pack, q: string, opts: QueryOptions = {}): Hit[] {
   const avgLen =
     pack.meta?.stats?.avgBlockLen ??
     (pack.blocks.length
-      ? pack.blocks.reduce((s, b) => s + tokenize(b).length, 0) / pack.blocks.length
+      ? pack.blocks.reduce((s, b) => s + analyzer.analyze(b).length, 0) / pack.blocks.length
       : 1);
 
   const docCount = pack.meta?.stats?.blocks ?? pack.blocks.length;
 
-  let prelim = rankBM25L(candidates, avgLen, docCount, dfs, pack.blockTokenLens, {
-    proximityBonus: (cand) => proximityMultiplier(minCoverSpan(cand.pos)),
-  });
+  const ranking = opts.ranking ?? {};
+  const freshness = opts.freshness;
+  // Callers pin `freshness.now` for the whole call (pinFreshnessNow).
+  const freshnessNow = parseTimestamp(freshness?.now) ?? 0;
+  const rankOpts = {
+    k1: ranking.k1,
+    b: ranking.b,
+    headingBoost: ranking.headingBoost,
+    phraseBoost: ranking.phraseBoost,
+    fieldWeights: ranking.fieldWeights,
+    blockBoosts: pack.blockBoosts,
+    proximityBonus: (cand: RankCandidate) => proximityMultiplier(minCoverSpan(cand.pos), ranking.proximityStrength),
+    freshness: freshness ? (bid: number) => freshnessMultiplier(blockUpdatedAt(pack.blockMetadata?.[bid], updatedField), freshness, freshnessNow) : undefined,
+    explain: opts.explain === true,
+  };
+
+  let prelim = rankBM25L(candidates, avgLen, docCount, dfs, pack.blockTokenLens, rankOpts);
 
+  let expansionIds = new Set<number>();
   if (expansionOpts.enabled && prelim.length > 0) {
-    const expansionWeights = deriveExpansionTerms(pack, prelim, termSet, requiredPhrases, expansionOpts);
+    const expansionWeights = deriveExpansionTerms(pack, analyzer, prelim, new Set([...termSet, ...wildcardIds, ...corrections.keys()]), requiredPhrases, expansionOpts);
     if (expansionWeights.size > 0) {
+      expansionIds = new Set(expansionWeights.keys());
       scanForTermIds(expansionWeights, { collectPositions: false, createCandidates: true });
-      prelim = rankBM25L(candidates, avgLen, docCount, dfs, pack.blockTokenLens, {
-        proximityBonus: (cand) => proximityMultiplier(minCoverSpan(cand.pos)),
-      });
+      prelim = rankBM25L(candidates, avgLen, docCount, dfs, pack.blockTokenLens, rankOpts);
+    }
+  }
+
+  // --- Explain mode: name the terms behind each block's rank breakdown.
+  const rankExplanations = new Map(opts.explain ? prelim.map((item) => [item.blockId, item.explain]) : []);
+  let termNames: Map<number, string> | undefined;
+  const termName = (tid: number): string => {
+    if (!termNames) termNames = new Map(Array.from(pack.lexicon, ([term, id]) => [id, term]));
+    return termNames.get(tid) ?? "";
+  };
+  const termOrigin = (tid: number): TermExplanation["origin"] => {
+    if (termSet.has(tid) || isFieldTerm(termName(tid))) return "query";
+    if (wildcardIds.has(tid)) return "wildcard";
+    if (corrections.has(tid)) return "fuzzy";
+    if (expansionIds.has(tid)) return "expansion";
+    return "phrase";
+  };
+  let graphTerms: string[] | undefined;
+  function explainBlock(bid: number, knsBoost: number): ScoreExplanation | undefined {
+    const ranked = rankExplanations.get(bid);
+    if (!ranked) return undefined;
+    if (!graphTerms) {
+      const typed = new Set(analyzer.analyze(plainQuery).map((t) => t.term));
+      graphTerms = [...new Set(normTokens.filter((t) => !typed.has(t)))];
     }
+    const terms = ranked.terms.map(({ tid, ...rest }) => {
+      const name = termName(tid);
+      return { term: isFieldTerm(name) ? fieldTermText(name) : name, origin: termOrigin(tid), ...rest };
+    });
+    return {
+      terms,
+      length: ranked.length,
+      bm25: ranked.bm25,
+      proximity: { span: minCoverSpan(candidates.get(bid)?.pos), multiplier: ranked.proximity },
+      phraseBoost: ranked.phraseBoost,
+      headingBoost: ranked.headingBoost,
+      freshness: ranked.freshness,
+      boost: ranked.boost,
+      expansionTerms: terms.filter((t) => t.origin === "expansion").map((t) => t.term),
+      graphTerms,
+      knsBoost,
+      // Filled in by the MMR pass for the hits it keeps.
+      mmr: { rank: -1, maxSimilarity: 0, score: null },
+    };
   }
+  const explanations = new Map<number, ScoreExplanation>();
 
-  if (prelim.length === 0) return [];
+  if (prelim.length === 0 && pinnedDocs.length === 0) return [];
+
+  // --- Pinned docs: taken out of the ranking here and placed first below.
+  const pinned = resolvePinnedBlocks(pack, pinnedDocs, prelim, passesDocFilters);
+  if (pinned.length > 0) {
+    const pinnedIds = new Set(pinned.map((item) => item.blockId));
+    prelim = prelim.filter((item) => !pinnedIds.has(item.blockId));
+  }
 
   if (minScore > 0) {
     prelim = prelim.filter((item) => item.score >= minScore);
-    if (prelim.length === 0) return [];
+    if (prelim.length === 0 && pinned.length === 0) return [];
   }
 
   const confidence = lexConfidence(prelim);
   let semanticScores: Map<number, number> | undefined;
   let blendedScores: Map<number, number> | undefined;
   const originalLexicalScores = new Map(prelim.map((item) => [item.blockId, item.score]));
-  if (shouldRerankWithSemantic(pack, semanticOpts, confidence)) {
+  if (prelim.length > 0 && shouldRerankWithSemantic(pack, semanticOpts, confidence)) {
     const semanticResult = rerankLexicalHitsWithSemantic(pack, prelim, semanticOpts);
     prelim = semanticResult.hits;
     semanticScores = semanticResult.semanticScores;
@@ -394,29 +797,128 @@ export function query(pack: Pack, q: string, opts: QueryOptions = {}): Hit[] {
 
   // --- KNS tie-breaker + de-dup/MMR
   const qSig = knsSignature(normalize(q));
-  const pool = prelim.slice(0, topK * 5).map((r) => {
+  const toPoolHit = (r: { blockId: number; score: number }) => {
     const text = pack.blocks[r.blockId] || "";
-    const boost = 1 + 0.02 * (1 - knsDistance(qSig, knsSignature(text)));
+    const boost = 1 + (ranking.knsBoost ?? 0.02) * (1 - knsDistance(qSig, knsSignature(text)));
+    const explanation = opts.explain ? explainBlock(r.blockId, boost) : undefined;
+    if (explanation) explanations.set(r.blockId, explanation);
     return {
       blockId: r.blockId,
       score: r.score * boost,
       text,
       source: pack.docIds?.[r.blockId] ?? undefined,
       namespace: pack.namespaces?.[r.blockId] ?? undefined,
+      metadata: pack.blockMetadata?.[r.blockId] ?? undefined,
+      breadcrumb: pack.blockBreadcrumbs?.[r.blockId] ?? undefined,
+      chunk: resolveChunkRef(pack, r.blockId),
       evidence: {
         retrieval: retrievalMode,
         lexicalScore: originalLexicalScores.get(r.blockId) ?? r.score,
         semanticScore: semanticScores?.get(r.blockId),
         blendedScore: blendedScores?.get(r.blockId),
         modelId: semanticOpts.provider?.modelId ?? semanticOpts.sidecar?.modelId,
+        ...blockCorrections(candidates.get(r.blockId)?.tf, corrections),
+        ...(explanation ? { explain: explanation } : {}),
       },
     };
+  };
+
+  // Candidates join the MMR pool in batches of topK * 5, one per page, so a page
+  // never depends on how deep the caller pages.
+  const batchSize = topK * 5;
+  let batches = 1;
+  const ngramsOf = (hit: { blockId: number; text: string }) => {
+    let grams = scan.ngrams.get(hit.blockId);
+    if (!grams) {
+      grams = ngramSet(hit.text, 5);
+      scan.ngrams.set(hit.blockId, grams);
+    }
+    return grams;
+  };
+  const pinnedHits = pinned.map((item) => {
+    const hit = toPoolHit(item);
+    return { ...hit, evidence: { ...hit.evidence, pinned: true } };
   });
+  const rankedHits = diversifyAndDedupe(prelim.slice(0, batchSize).map(toPoolHit), {
+    k: Math.max(0, offset + topK + lookahead - pinnedHits.length),
+    sim: (a, b) => {
+      const key = Math.min(a.blockId, b.blockId) * pack.blocks.length + Math.max(a.blockId, b.blockId);
+      let value = scan.similarities?.get(key);
+      if (value === undefined) {
+        value = jaccardFromSets(ngramsOf(a), ngramsOf(b));
+        scan.similarities?.set(key, value);
+      }
+      return value;
+    },
+    lambda: ranking.mmr?.lambda,
+    simThreshold: ranking.mmr?.simThreshold,
+    onKeep: (hit, decision) => {
+      const explanation = explanations.get(hit.blockId);
+      if (explanation) explanation.mmr = decision;
+    },
+    page: {
+      size: topK,
+      more: () => {
+        const start = batches++ * batchSize;
+        return prelim.slice(start, start + batchSize).map(toPoolHit);
+      },
+    },
+  });
+  const finalHits = [...pinnedHits, ...rankedHits].slice(offset, offset + topK + lookahead) as Hit[];
 
-  const finalHits = diversifyAndDedupe(pool, { k: topK });
+  if (opts.snippet) {
+    const snippetOpts = typeof opts.snippet === "object" ? opts.snippet : {};
+    const highlightTerms = new Set([...normTokens, ...wildcardTerms, ...Array.from(corrections.values(), (c) => c.to)]);
+    for (const hit of finalHits.slice(0, topK)) hit.snippet = extractSnippet(hit.text, highlightTerms, analyzer, snippetOpts);
+  }
   return finalHits;
 }
 
+/**
+ * Blocks of the pinned docs, in rule order: the doc's best ranked block, or its
+ * first block passing the filters when the query did not retrieve it (score 0).
+ * Unknown doc ids are skipped.
+ */
+function resolvePinnedBlocks(
+  pack: Pack,
+  docIds: string[],
+  ranked: Array<{ blockId: number; score: number }>,
+  passesFilters: (bid: number) => boolean
+): Array<{ blockId: number; score: number }> {
+  const out: Array<{ blockId: number; score: number }> = [];
+  for (const docId of docIds) {
+    const best = ranked.find((item) => pack.docIds?.[item.blockId] === docId);
+    if (best) {
+      out.push(best);
+      continue;
+    }
+    for (let bid = 0; bid < pack.blocks.length; bid++) {
+      if (pack.docIds?.[bid] === docId && passesFilters(bid)) {
+        out.push({ blockId: bid, score: 0 });
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+/** Fuzzy corrections whose corrected term occurs in the block. */
+function blockCorrections(
+  tf: Map<number, number> | undefined,
+  corrections: Map<number, FuzzyCorrection>
+): { corrections?: FuzzyCorrection[] } {
+  if (!tf || corrections.size === 0) return {};
+  const used = [...corrections].filter(([tid]) => tf.has(tid)).map(([, correction]) => correction);
+  return used.length > 0 ? { corrections: used } : {};
+}
+
+function resolveChunkRef(pack: Pack, blockId: number): Hit["chunk"] {
+  const doc = pack.blockDocs?.[blockId];
+  const index = pack.blockChunks?.[blockId];
+  if (doc === undefined || index === undefined) return undefined;
+  return { doc, index };
+}
+
 export function lexConfidence(hits: Array<{ score: number }>): number {
   if (hits.length === 0) return 0;
   const top1 = Math.max(0, hits[0]?.score ?? 0);
@@ -596,17 +1098,17 @@ function clamp01(v: number): number {
 
 function deriveExpansionTerms(
   pack: Pack,
+  analyzer: Analyzer,
   prelim: Array<{ blockId: number; score: number }>,
   baseTermSet: Set<number>,
-  requiredPhrases: string[][],
+  requiredPhrases: CompiledPhrase[],
   opts: { docs: number; terms: number; weight: number; minTermLength: number }
 ): Map<number, number> {
   if (prelim.length === 0 || opts.weight <= 0) return new Map();
 
   const forbidden = new Set(baseTermSet);
-  for (const seq of requiredPhrases) {
-    for (const term of seq) {
-      const tid = pack.lexicon.get(term);
+  for (const phrase of requiredPhrases) {
+    for (const tid of phrase.tids) {
       if (tid !== undefined) forbidden.add(tid);
     }
   }
@@ -621,7 +1123,7 @@ function deriveExpansionTerms(
     const docWeight = Math.max(item.score / bestScore, 0.2);
     const localTfs = new Map<number, number>();
 
-    for (const tok of tokenize(text)) {
+    for (const tok of analyzer.analyze(text)) {
       if (tok.term.length < opts.minTermLength) continue;
       const tid = pack.lexicon.get(tok.term);
       if (tid === undefined || forbidden.has(tid)) continue;
@@ -640,18 +1142,175 @@ function deriveExpansionTerms(
   return new Map(selected.map(([tid, score]) => [tid, opts.weight * Math.max(0.5, Math.min(1.5, score))]));
 }
 
-/** Ordered phrase check using the SAME tokenizer/normalizer path as the index. */
-function containsPhrase(text: string, seq: string[]): boolean {
-  if (seq.length === 0) return false;
-  const seqNorm = tokenize(seq.join(" ")).map((t) => t.term);
-  const toks = tokenize(text).map((t) => t.term);
-  outer: for (let i = 0; i <= toks.length - seqNorm.length; i++) {
-    for (let j = 0; j < seqNorm.length; j++) {
-      if (toks[i + j] !== seqNorm[j]) continue outer;
+/** Indexed field searched by a `heading:` / `source:` prefix; `ns:` only filters. */
+const QUERY_FIELD_INDEX: Partial<Record<QueryField, IndexedField>> = { heading: "heading", source: "docId" };
+
+/**
+ * Positive search terms of a parsed query (everything outside `-` clauses),
+ * plus the top-level required phrases that keep the quoted-phrase enforcement
+ * plain queries always had. Field prefix values are kept apart: they only
+ * search the indexed field they name.
+ */
+function collectSearchTerms(ast: QueryAst): {
+  words: string[];
+  patterns: WildcardPattern[];
+  fieldValues: Array<{ field: IndexedField; text: string }>;
+  requiredQuoted: Array<{ text: string; slop: number }>;
+} {
+  const words: string[] = [];
+  const patterns: WildcardPattern[] = [];
+  const fieldValues: Array<{ field: IndexedField; text: string }> = [];
+  const visit = (node: QueryNode): void => {
+    if (node.type === "term") {
+      if (!node.text.includes("*")) words.push(node.text);
+      else {
+        const pattern = parseWildcard(node.text);
+        if (pattern) patterns.push(pattern);
+      }
+    } else if (node.type === "phrase") words.push(node.text);
+    else if (node.type === "field") {
+      const field = QUERY_FIELD_INDEX[node.field];
+      if (field) fieldValues.push({ field, text: node.value });
+    } else if (node.type === "group") node.clauses.forEach((c) => c.occur !== "mustNot" && visit(c.node));
+    else if (node.type === "or") node.nodes.forEach(visit);
+  };
+  ast.clauses.forEach((c) => c.occur !== "mustNot" && visit(c.node));
+  const requiredQuoted = ast.clauses.flatMap(({ occur, node }) =>
+    occur === "must" && node.type === "phrase" ? [{ text: node.text, slop: node.slop ?? 0 }] : []
+  );
+  return { words, patterns, fieldValues, requiredQuoted };
+}
+
+/**
+ * Indexed terms a query token that is one CJK character matches: with
+ * multilingual segmentation, CJK runs are indexed as bigrams only.
+ */
+function cjkCharTerms(pack: Pack, analyzer: Analyzer, token: string, maxWildcardTerms?: number): string[] {
+  if (analyzer.segmentation !== "multilingual" || !isCjkChar(token)) return [];
+  return expandCjkChar(pack, token, maxWildcardTerms ?? DEFAULT_MAX_WILDCARD_TERMS);
+}
+
+/**
+ * Block predicate for a boolean query. Words must have every analyzed token
+ * in the block (exactly, through one of its fuzzy corrections or, for a lone
+ * CJK character, through a bigram containing it); wildcard
+ * words need any expansion. Top-level `must` phrases are left to the
+ * required-phrase pass, and top-level `should` clauses only rank.
+ */
+function compileBooleanQuery(
+  pack: Pack,
+  ast: QueryAst,
+  analyzer: Analyzer,
+  { read: readPostings, phraseMatcher }: ScanState,
+  corrections: Map<number, FuzzyCorrection>,
+  maxWildcardTerms: number
+): (bid: number) => boolean {
+  const blocksByTid = new Map<number, Set<number>>();
+  const hasTid = (bid: number, tid: number): boolean => {
+    let blocks = blocksByTid.get(tid);
+    if (!blocks) {
+      blocks = new Set();
+      const set = blocks;
+      readPostings(tid, (b) => set.add(b));
+      blocksByTid.set(tid, blocks);
     }
-    return true;
+    return blocks.has(bid);
+  };
+  const correctedFrom = new Map<string, number[]>();
+  for (const [tid, correction] of corrections) {
+    correctedFrom.set(correction.from, [...(correctedFrom.get(correction.from) ?? []), tid]);
   }
-  return false;
+
+  // Each word resolves to one tid list per token; a block needs one tid from every list.
+  const termTids = new Map<string, number[][]>();
+  const resolveTerm = (text: string): number[][] => {
+    let lists = termTids.get(text);
+    if (lists) return lists;
+    if (text.includes("*")) {
+      const pattern = parseWildcard(text);
+      const tids = pattern ? expandWildcard(pack, pattern, maxWildcardTerms).map((term) => pack.lexicon.get(term) as number) : [];
+      lists = [tids];
+    } else {
+      lists = analyzer.analyze(text).map((tok) => {
+        const tid = pack.lexicon.get(tok.term);
+        const cjkTids = cjkCharTerms(pack, analyzer, tok.term, maxWildcardTerms).map((term) => pack.lexicon.get(term) as number);
+        return [...new Set([...(tid !== undefined ? [tid] : []), ...(correctedFrom.get(tok.term) ?? []), ...cjkTids])];
+      });
+    }
+    termTids.set(text, lists);
+    return lists;
+  };
+
+  // Phrases compile once per query; a phrase of stopwords only matches nothing.
+  const phrases = new Map<string, CompiledPhrase | undefined>();
+  const resolvePhrase = (text: string, slop: number, field?: IndexedField): CompiledPhrase | undefined => {
+    const key = `${field ?? ""}\u0000${slop}\u0000${text}`;
+    if (!phrases.has(key)) {
+      const lookup = field ? (term: string) => fieldTerm(field, term) : undefined;
+      phrases.set(key, compilePhrase(pack, analyzer, text, slop, lookup));
+    }
+    return phrases.get(key);
+  };
+  const indexedHeadings = hasIndexedField(pack, "heading");
+
+  const headingTerms = new Map<number, Set<string>>();
+  const matchField = (bid: number, node: Extract<QueryNode, { type: "field" }>): boolean => {
+    if (node.field === "namespace" || node.field === "source") {
+      const value = node.field === "namespace" ? pack.namespaces?.[bid] : pack.docIds?.[bid];
+      return typeof value === "string" && normalize(value) === normalize(node.value);
+    }
+    const heading = pack.headings?.[bid] ?? "";
+    if (node.quoted) {
+      const phrase = resolvePhrase(node.value, 0, indexedHeadings ? "heading" : undefined);
+      if (!phrase) return false;
+      return indexedHeadings ? phraseMatcher.matches(phrase, bid) : tokensContainPhrase(analyzer.analyze(heading), phrase);
+    }
+    let terms = headingTerms.get(bid);
+    if (!terms) {
+      terms = new Set(analyzer.analyze(heading).map((t) => t.term));
+      headingTerms.set(bid, terms);
+    }
+    const have = terms;
+    return analyzer.analyze(node.value).every((t) => have.has(t.term));
+  };
+
+  const matchNode = (bid: number, node: QueryNode): boolean => {
+    switch (node.type) {
+      case "term":
+        return resolveTerm(node.text).every((tids) => tids.some((tid) => hasTid(bid, tid)));
+      case "phrase": {
+        const phrase = resolvePhrase(node.text, node.slop ?? 0);
+        return !!phrase && phraseMatcher.matches(phrase, bid);
+      }
+      case "field":
+        return matchField(bid, node);
+      case "group":
+        return matchClauses(bid, node.clauses, false);
+      case "or":
+        return node.nodes.some((n) => matchNode(bid, n));
+    }
+  };
+
+  const matchClauses = (bid: number, clauses: QueryClause[], top: boolean): boolean => {
+    let hasMust = false;
+    let hasShould = false;
+    let anyShould = false;
+    for (const { occur, node } of clauses) {
+      if (occur === "mustNot") {
+        if (matchNode(bid, node)) return false;
+      } else if (occur === "must") {
+        hasMust = true;
+        if (top && node.type === "phrase") continue;
+        if (!matchNode(bid, node)) return false;
+      } else if (!top) {
+        hasShould = true;
+        anyShould = anyShould || matchNode(bid, node);
+      }
+    }
+    return hasMust || !hasShould || anyShould;
+  };
+
+  return (bid) => matchClauses(bid, ast.clauses, true);
 }
 
 
@@ -0,0 +1,415 @@
+/*
+ * query_parse.ts
+ *
+ * The query language understood by `query()`: free words, quoted phrases
+ * (with `~N` slop for proximity), `+required` / `-excluded` clauses, `OR` between alternatives, parentheses,
+ * and `ns:` / `source:` / `heading:` field prefixes. Parsing is pure and
+ * returns an AST; query.ts evaluates it against the pack. Plain queries
+ * (words and quoted phrases only) parse to the same meaning as before.
+ *
+ * Queries are usually raw user input, so by default syntax that does not
+ * parse is read as text: an unclosed quote or parenthesis, an empty
+ * `field:`, a dangling `OR` / `+` / `-` and a stray `)` are literal words.
+ * `strict` mode throws `QueryParseError` for them instead.
+ */
+
+export class QueryParseError extends Error {
+  /** Character offset in the query string where parsing failed. */
+  readonly position: number;
+
+  constructor(message: string, position: number) {
+    super(`query(...): ${message} (at position ${position}).`);
+    this.name = 'QueryParseError';
+    this.position = position;
+  }
+}
+
+export type QueryField = 'namespace' | 'source' | 'heading';
+
+export type QueryNode =
+  /** One word as typed; may contain `*` wildcards. */
+  | { type: 'term'; text: string }
+  /** Quoted words in order; `slop` allows that many positions of displacement. */
+  | { type: 'phrase'; text: string; slop?: number }
+  | { type: 'field'; field: QueryField; value: string; quoted: boolean }
+  | { type: 'group'; clauses: QueryClause[] }
+  /** Alternatives joined by `OR`; matches when any of them does. */
+  | { type: 'or'; nodes: QueryNode[] };
+
+/**
+ * 'must' clauses are required and 'mustNot' clauses exclude. Top-level
+ * 'should' clauses only rank; inside parentheses at least one 'should'
+ * clause must match when the group has no 'must' clause. Bare phrases and
+ * field prefixes default to 'must', bare words to 'should'.
+ */
+export type QueryOccur = 'must' | 'should' | 'mustNot';
+
+export type QueryClause = { occur: QueryOccur; node: QueryNode };
+
+export type QueryAst = { clauses: QueryClause[] };
+
+export type ParseQueryOptions = {
+  /** Append `*` to the final word unless the query ends in whitespace. */
+  prefixLastToken?: boolean;
+  /** Throw `QueryParseError` for malformed syntax instead of reading it as text. */
+  strict?: boolean;
+};
+
+type Token =
+  | { kind: '(' | ')' | 'OR' | '+' | '-'; pos: number }
+  | { kind: 'word'; text: string; pos: number; end: number }
+  | { kind: 'phrase'; text: string; pos: number; slop?: number }
+  | {
+      kind: 'field';
+      field: QueryField;
+      value: string;
+      quoted: boolean;
+      pos: number;
+    };
+
+const FIELD_RE = /^(ns|namespace|source|heading):/i;
+const QUOTE_RE = /["“”]/;
+
+/**
+ * Parse a query string. With `strict`, throws `QueryParseError` for
+ * unbalanced parentheses or quotes, dangling operators, empty field values,
+ * and queries with nothing to search for (only exclusions and `ns:`
+ * filters). Otherwise malformed syntax is read as words, and a query with
+ * nothing to search for parses to an AST that matches no block.
+ */
+export function parseQuery(q: string, opts: ParseQueryOptions = {}): QueryAst {
+  const strict = opts.strict === true;
+  const tokens = lex(q, strict);
+  const last = tokens[tokens.length - 1];
+  if (
+    opts.prefixLastToken &&
+    last?.kind === 'word' &&
+    last.end === q.length &&
+    !last.text.includes('*')
+  ) {
+    last.text += '*';
+  }
+
+  let index = 0;
+  const peek = () => tokens[index];
+
+  const parseClauses = (nested: boolean): QueryClause[] => {
+    const clauses: QueryClause[] = [];
+    while (index < tokens.length && peek().kind !== ')') {
+      const clause = parseOrChain();
+      if (clause) clauses.push(clause);
+    }
+    if (!nested && index < tokens.length) {
+      throw new QueryParseError('unexpected ")"', peek().pos);
+    }
+    return clauses;
+  };
+
+  const parseOrChain = (): QueryClause | undefined => {
+    const first = parseUnary();
+    if (peek()?.kind !== 'OR' || !isOperand(tokens[index + 1])) {
+      if (peek()?.kind === 'OR' && strict) {
+        throw new QueryParseError('OR needs a term on both sides', peek().pos);
+      }
+      if (!first.node) return undefined;
+      return {
+        occur: first.occur ?? defaultOccur(first.node),
+        node: first.node,
+      };
+    }
+    if (first.occur && strict) {
+      throw new QueryParseError(
+        '"+" and "-" cannot be combined with OR; wrap the alternatives in parentheses',
+        first.pos
+      );
+    }
+    // Leniently, `+` / `-` inside an OR chain are ignored.
+    const nodes = first.node ? [first.node] : [];
+    while (peek()?.kind === 'OR' && isOperand(tokens[index + 1])) {
+      index++;
+      const operand = parseUnary();
+      if (operand.occur && strict) {
+        throw new QueryParseError(
+          '"+" and "-" cannot be combined with OR; wrap the alternatives in parentheses',
+          operand.pos
+        );
+      }
+      if (operand.node) nodes.push(operand.node);
+    }
+    if (peek()?.kind === 'OR' && strict) {
+      throw new QueryParseError('OR needs a term on both sides', peek().pos);
+    }
+    if (!nodes.length) return undefined;
+    const node: QueryNode =
+      nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+    return { occur: defaultOccur(node), node };
+  };
+
+  const parseUnary = (): {
+    occur?: QueryOccur;
+    node: QueryNode | undefined;
+    pos: number;
+  } => {
+    const token = peek();
+    if (token.kind === '+' || token.kind === '-') {
+      index++;
+      // Stacked operators (`--deploy`, `+-x`): the first one applies.
+      while (!strict && (peek()?.kind === '+' || peek()?.kind === '-')) {
+        index++;
+      }
+      const next = peek();
+      if (!next || next.kind === ')' || next.kind === 'OR') {
+        if (strict) {
+          throw new QueryParseError(
+            `expected a term after "${token.kind}"`,
+            token.pos
+          );
+        }
+        return { node: undefined, pos: token.pos };
+      }
+      return {
+        occur: token.kind === '+' ? 'must' : 'mustNot',
+        node: parsePrimary(),
+        pos: token.pos,
+      };
+    }
+    return { node: parsePrimary(), pos: token.pos };
+  };
+
+  const parsePrimary = (): QueryNode | undefined => {
+    const token = tokens[index++];
+    switch (token.kind) {
+      case '(': {
+        const clauses = parseClauses(true);
+        if (peek()?.kind !== ')') {
+          throw new QueryParseError('missing ")"', token.pos);
+        }
+        index++;
+        if (!clauses.length) {
+          if (strict) throw new QueryParseError('empty parentheses', token.pos);
+          return undefined;
+        }
+        return { type: 'group', clauses };
+      }
+      case 'word':
+        return { type: 'term', text: token.text };
+      case 'phrase':
+        return token.slop === undefined
+          ? { type: 'phrase', text: token.text }
+          : { type: 'phrase', text: token.text, slop: token.slop };
+      case 'field':
+        return {
+          type: 'field',
+          field: token.field,
+          value: token.value,
+          quoted: token.quoted,
+        };
+      case 'OR':
+        if (strict) {
+          throw new QueryParseError('OR needs a term on both sides', token.pos);
+        }
+        return { type: 'term', text: 'OR' };
+      default:
+        throw new QueryParseError(`unexpected "${token.kind}"`, token.pos);
+    }
+  };
+
+  const ast: QueryAst = { clauses: parseClauses(false) };
+  if (strict && ast.clauses.length && !hasSearchTerm(ast.clauses, true)) {
+    throw new QueryParseError(
+      'the query needs at least one word or phrase, or a heading: / source: value, to search for; "-" exclusions and ns: prefixes only filter',
+      0
+    );
+  }
+  return ast;
+}
+
+/** True when the AST uses more than words and quoted phrases. */
+export function isBooleanQuery(ast: QueryAst): boolean {
+  return ast.clauses.some(
+    ({ occur, node }) =>
+      (node.type !== 'term' && node.type !== 'phrase') ||
+      occur !== defaultOccur(node)
+  );
+}
+
+/**
+ * Occur of a clause without `+`/`-`: quoted phrases stay required as they
+ * always were, and pure filters (field prefixes, or groups of them) are
+ * required since they cannot rank anything.
+ */
+function defaultOccur(node: QueryNode): QueryOccur {
+  if (node.type === 'phrase') return 'must';
+  return hasSearchTerm([{ occur: 'should', node }]) ? 'should' : 'must';
+}
+
+/**
+ * True when a positive clause has words or phrases to rank by. With `fields`,
+ * `heading:` and `source:` values count too: they retrieve blocks through the
+ * indexed field terms, though they still default to `must` like any filter.
+ */
+function hasSearchTerm(clauses: QueryClause[], fields = false): boolean {
+  const visit = (node: QueryNode): boolean => {
+    if (node.type === 'term' || node.type === 'phrase') return true;
+    if (node.type === 'field') return fields && node.field !== 'namespace';
+    if (node.type === 'group') return hasSearchTerm(node.clauses, fields);
+    if (node.type === 'or') return node.nodes.some(visit);
+    return false;
+  };
+  return clauses.some(({ occur, node }) => occur !== 'mustNot' && visit(node));
+}
+
+/** Tokens that can start an operand of OR. */
+function isOperand(token: Token | undefined): boolean {
+  return !!token && token.kind !== ')' && token.kind !== 'OR';
+}
+
+function lex(q: string, strict: boolean): Token[] {
+  const tokens: Token[] = [];
+  // Token indexes of the "(" not closed yet.
+  const open: number[] = [];
+  let i = 0;
+
+  /** The phrase starting at the quote at `start`; undefined when it is never closed. */
+  const readPhrase = (
+    start: number
+  ): { text: string; end: number } | undefined => {
+    let end = start + 1;
+    while (end < q.length && !QUOTE_RE.test(q[end])) end++;
+    if (end >= q.length) {
+      if (strict) {
+        throw new QueryParseError('unterminated quoted phrase', start);
+      }
+      return undefined;
+    }
+    return { text: q.slice(start + 1, end), end: end + 1 };
+  };
+  // A word runs to whitespace; inside parentheses a ")" that does not close
+  // a "(" opened within the word (as in `call()`) ends it.
+  const readWord = (start: number): number => {
+    let end = start;
+    let local = 0;
+    while (end < q.length && !/\s/.test(q[end])) {
+      if (q[end] === '(') local++;
+      else if (q[end] === ')') {
+        if (local > 0) local--;
+        else if (open.length > 0) break;
+      }
+      end++;
+    }
+    return end;
+  };
+
+  while (i < q.length) {
+    const ch = q[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '(') {
+      open.push(tokens.length);
+      tokens.push({ kind: '(', pos: i++ });
+      continue;
+    }
+    if (ch === ')') {
+      if (!open.length) {
+        if (strict) throw new QueryParseError('unexpected ")"', i);
+        i++;
+        continue;
+      }
+      tokens.push({ kind: ')', pos: i++ });
+      open.pop();
+      continue;
+    }
+    if (
+      (ch === '+' || ch === '-') &&
+      i + 1 < q.length &&
+      !/[\s)]/.test(q[i + 1])
+    ) {
+      tokens.push({ kind: ch, pos: i++ });
+      continue;
+    }
+    if (QUOTE_RE.test(ch)) {
+      const phrase = readPhrase(i);
+      if (!phrase) {
+        // An unclosed quote is just a character; the words after it stay words.
+        i++;
+        continue;
+      }
+      let end = phrase.end;
+      let slop: number | undefined;
+      if (q[end] === '~') {
+        const digits = q.slice(end + 1).match(/^\d+/);
+        if (digits) {
+          slop = Number(digits[0]);
+          end += 1 + digits[0].length;
+        } else if (strict) {
+          throw new QueryParseError('expected a number after "~"', end);
+        }
+      }
+      // Empty quotes ("") carry nothing to match and are skipped.
+      if (phrase.text.trim()) {
+        tokens.push({
+          kind: 'phrase',
+          text: phrase.text,
+          pos: i,
+          ...(slop !== undefined ? { slop } : {}),
+        });
+      }
+      i = end;
+      continue;
+    }
+
+    const field = q.slice(i).match(FIELD_RE);
+    if (field) {
+      const name = field[1].toLowerCase();
+      const valueStart = i + field[0].length;
+      const quoted = QUOTE_RE.test(q[valueStart] ?? '');
+      const valueEnd = quoted ? 0 : readWord(valueStart);
+      const value = quoted
+        ? readPhrase(valueStart)
+        : { text: q.slice(valueStart, valueEnd), end: valueEnd };
+      if (!value?.text.trim()) {
+        if (strict) {
+          throw new QueryParseError(`missing value for "${field[0]}"`, i);
+        }
+        // `source: docs` or `ns:` on its own: the prefix is a plain word.
+        tokens.push({
+          kind: 'word',
+          text: field[0],
+          pos: i,
+          end: valueStart,
+        });
+        i = valueStart;
+        continue;
+      }
+      tokens.push({
+        kind: 'field',
+        field: name === 'ns' ? 'namespace' : (name as QueryField),
+        value: value.text,
+        quoted,
+        pos: i,
+      });
+      i = value.end;
+      continue;
+    }
+
+    const end = readWord(i);
+    const text = q.slice(i, end);
+    if (text === 'OR') tokens.push({ kind: 'OR', pos: i });
+    else tokens.push({ kind: 'word', text, pos: i, end });
+    i = end;
+  }
+  if (open.length) {
+    if (strict) {
+      throw new QueryParseError(
+        'missing ")"',
+        tokens[open[open.length - 1]].pos
+      );
+    }
+    // Unclosed "(" are dropped; what follows them is read at the outer level.
+    const unclosed = new Set(open);
+    return tokens.filter((_, index) => !unclosed.has(index));
+  }
+  return tokens;
+}
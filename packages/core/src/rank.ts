@@ -1,50 +1,129 @@
 /*
  * rank.ts
- * BM25L ranker with optional heading/phrase boosts and a proximity bonus hook.
+ * BM25L ranker with optional heading/phrase boosts, a proximity bonus hook,
+ * a per-block freshness multiplier and static per-block boosts (a prior).
+ * Field term frequencies (headings, doc ids) are folded in BM25F-style.
  */
 
+import type { IndexedField } from "./fields.js";
+
+/** Per-field term frequencies of one candidate, keyed like `tf`. */
+export type FieldTf = Map<number, Partial<Record<IndexedField, number>>>;
+
+/** BM25F field weights; body text defaults to 1, headings to 2, doc ids to 1. */
+export type FieldWeights = { body?: number } & Partial<Record<IndexedField, number>>;
+
+export type RankCandidate = {
+  tf: Map<number, number>;
+  pos?: Map<number, number[]>;
+  hasPhrase?: boolean;
+  headingScore?: number;
+  fieldTf?: FieldTf;
+};
+
 export type RankOptions = {
   k1?: number;
   b?: number;
   headingBoost?: number;
   phraseBoost?: number;
-  proximityBonus?: (cand: {
-    tf: Map<number, number>;
-    pos?: Map<number, number[]>;
-    hasPhrase?: boolean;
-    headingScore?: number;
-  }) => number;
+  fieldWeights?: FieldWeights;
+  proximityBonus?: (cand: RankCandidate) => number;
+  /** Recency multiplier of a block (see freshness.ts). */
+  freshness?: (blockId: number) => number;
+  /** Static prior per block from the doc `boost` (missing entries count as 1). */
+  blockBoosts?: ArrayLike<number | undefined>;
+  /** Attach a per-block `explain` breakdown to each result. */
+  explain?: boolean;
+};
+
+/** Scoring inputs of one block, keyed by term id (see explain.ts). */
+export type RankExplanation = {
+  terms: Array<{ tid: number; tf: number; fields?: Partial<Record<IndexedField, number>>; df: number; idf: number; score: number }>;
+  length: { tokens: number; average: number; normalization: number };
+  bm25: number;
+  proximity: number;
+  phraseBoost: number;
+  headingBoost: number;
+  freshness: number;
+  boost: number;
 };
 
+export type RankedBlock = { blockId: number; score: number; explain?: RankExplanation };
+
 export function rankBM25L(
-  candidates: Map<number, { tf: Map<number, number>; pos?: Map<number, number[]>; hasPhrase?: boolean; headingScore?: number }>,
+  candidates: Map<number, RankCandidate>,
   avgLen: number,
   docCount: number,
   dfs: Map<number, number>,
   blockTokenLens?: number[],
   opts: RankOptions = {}
-): Array<{ blockId: number; score: number }> {
+): RankedBlock[] {
   const k1 = opts.k1 ?? 1.5;
   const b = opts.b ?? 0.75;
   const headingBoost = opts.headingBoost ?? 0.3;
   const phraseBoost = opts.phraseBoost ?? 0.6;
+  const bodyWeight = opts.fieldWeights?.body ?? 1;
+  const fieldWeights: Record<IndexedField, number> = {
+    heading: opts.fieldWeights?.heading ?? 2,
+    docId: opts.fieldWeights?.docId ?? 1,
+  };
 
-  const results: Array<{ blockId: number; score: number }> = [];
+  const results: RankedBlock[] = [];
   for (const [bid, data] of candidates) {
     const len = blockTokenLens?.[bid] ?? (Array.from(data.tf.values()).reduce((sum, tf) => sum + tf, 0) || 1);
+    const norm = 1 - b + b * (len / avgLen);
     let score = 0;
-    for (const [tid, tf] of data.tf) {
+    const terms: RankExplanation["terms"] = [];
+    const tids = data.fieldTf ? new Set([...data.tf.keys(), ...data.fieldTf.keys()]) : data.tf.keys();
+    for (const tid of tids) {
+      // BM25F: weighted field frequencies are summed before saturation. Only the
+      // body is length-normalized; headings and doc ids are short fields, so a
+      // field occurrence counts like `weight` body occurrences at average length.
+      let tf = bodyWeight * (data.tf.get(tid) ?? 0);
+      const fields = data.fieldTf?.get(tid);
+      if (fields) {
+        for (const field of Object.keys(fields) as IndexedField[]) tf += norm * fieldWeights[field] * (fields[field] ?? 0);
+      }
+      if (!(tf > 0)) continue;
       const df = dfs.get(tid) ?? 0;
       const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
       const numer = tf * (k1 + 1);
-      const denom = tf + k1 * (1 - b + b * (len / avgLen));
+      const denom = tf + k1 * norm;
       score += idf * (numer / denom);
+      if (opts.explain) {
+        terms.push({ tid, tf: data.tf.get(tid) ?? 0, ...(fields ? { fields } : {}), df, idf, score: idf * (numer / denom) });
+      }
     }
-    if (opts.proximityBonus) score *= opts.proximityBonus(data) ?? 1;
-    if (data.hasPhrase) score *= 1 + phraseBoost;
-    if (data.headingScore) score *= 1 + headingBoost * data.headingScore;
+    const bm25 = score;
+    const proximity = opts.proximityBonus ? opts.proximityBonus(data) ?? 1 : 1;
+    const phrase = data.hasPhrase ? 1 + phraseBoost : 1;
+    const heading = data.headingScore ? 1 + headingBoost * data.headingScore : 1;
+    if (opts.proximityBonus) score *= proximity;
+    if (data.hasPhrase) score *= phrase;
+    if (data.headingScore) score *= heading;
+    const freshness = opts.freshness ? opts.freshness(bid) : 1;
+    if (opts.freshness) score *= freshness;
+    const boost = opts.blockBoosts?.[bid] ?? 1;
+    score *= boost;
 
-    results.push({ blockId: bid, score });
+    results.push({
+      blockId: bid,
+      score,
+      ...(opts.explain
+        ? {
+            explain: {
+              terms,
+              length: { tokens: len, average: avgLen, normalization: norm },
+              bm25,
+              proximity,
+              phraseBoost: phrase,
+              headingBoost: heading,
+              freshness,
+              boost,
+            },
+          }
+        : {}),
+    });
   }
   results.sort((a, b2) => b2.score - a.score);
   return results;
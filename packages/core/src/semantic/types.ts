@@ -1,3 +1,6 @@
+import type { FuzzyCorrection } from '../fuzzy.js';
+import type { ScoreExplanation } from '../explain.js';
+
 export interface EmbeddingProvider {
   readonly modelId: string;
   embedQuery(text: string): Promise<Float32Array>;
@@ -44,4 +47,10 @@ export type RetrievalEvidence = {
   semanticScore?: number;
   blendedScore?: number;
   modelId?: string;
+  /** Fuzzy corrections (`query(..., { fuzzy })`) that matched this block. */
+  corrections?: FuzzyCorrection[];
+  /** Scoring breakdown (`query(..., { explain: true })`). */
+  explain?: ScoreExplanation;
+  /** Placed first by a `pin` rule rather than by score. */
+  pinned?: boolean;
 };
@@ -0,0 +1,216 @@
+/*
+ * snippet.ts
+ *
+ * Query-aware snippets for hits. Words of the block text are run through the
+ * pack's analyzer one at a time, so a highlight is any original word whose
+ * analyzed term matched the query (stems, synonyms and segmented bigrams
+ * included). The best windows are the ones covering the most distinct query
+ * terms, and all offsets point into the original `hit.text`.
+ */
+
+import type { Analyzer } from './analyzer.js';
+
+export type SnippetOptions = {
+  /** Characters per fragment (default 200). */
+  windowChars?: number;
+  /** Fragments per hit, best first, returned in text order (default 1). */
+  maxFragments?: number;
+};
+
+/** Half-open character range `[start, end)` in `hit.text`. */
+export type SnippetRange = { start: number; end: number };
+
+export type SnippetFragment = SnippetRange & {
+  /** `hit.text.slice(start, end)`. */
+  text: string;
+  /** Matched words inside the fragment, as offsets into `hit.text`. */
+  highlights: SnippetRange[];
+};
+
+export type Snippet = {
+  /** Fragments with whitespace collapsed, joined and cut with `…`. */
+  text: string;
+  fragments: SnippetFragment[];
+};
+
+export const DEFAULT_SNIPPET_WINDOW = 200;
+
+const SNAP_CHARS = 30;
+const WORD_RE = /[\p{L}\p{N}\p{M}][\p{L}\p{N}\p{M}'’-]*/gu;
+
+type Match = SnippetRange & { term: string };
+
+export function validateSnippetOptions(opts?: boolean | SnippetOptions): void {
+  if (opts === undefined || typeof opts === 'boolean') return;
+  if (!opts || typeof opts !== 'object') {
+    throw new Error(
+      'query(...): snippet must be a boolean or an object when provided.'
+    );
+  }
+  if (
+    opts.windowChars !== undefined &&
+    (!Number.isInteger(opts.windowChars) || opts.windowChars < 20)
+  ) {
+    throw new Error(
+      'query(...): snippet.windowChars must be an integer >= 20.'
+    );
+  }
+  if (
+    opts.maxFragments !== undefined &&
+    (!Number.isInteger(opts.maxFragments) || opts.maxFragments < 1)
+  ) {
+    throw new Error(
+      'query(...): snippet.maxFragments must be a positive integer.'
+    );
+  }
+}
+
+/**
+ * Build a snippet of `text` around the analyzed query `terms`. Without any
+ * match, the snippet is the start of the text.
+ */
+export function extractSnippet(
+  text: string,
+  terms: ReadonlySet<string>,
+  analyzer: Analyzer,
+  opts: SnippetOptions = {}
+): Snippet {
+  const window = opts.windowChars ?? DEFAULT_SNIPPET_WINDOW;
+  const maxFragments = opts.maxFragments ?? 1;
+  const matches = findMatches(text, terms, analyzer);
+
+  const fragments: SnippetFragment[] = [];
+  const used: SnippetRange[] = [];
+  while (fragments.length < maxFragments) {
+    const range = bestWindow(text, matches, used, window);
+    if (!range) break;
+    used.push(range);
+    fragments.push({
+      ...range,
+      text: text.slice(range.start, range.end),
+      highlights: matches
+        .filter((m) => m.start >= range.start && m.end <= range.end)
+        .map(({ start, end }) => ({ start, end })),
+    });
+    if (!matches.length) break;
+  }
+  fragments.sort((a, b) => a.start - b.start);
+
+  const parts = fragments.map((f) => f.text.replace(/\s+/g, ' ').trim());
+  const first = fragments[0];
+  const last = fragments[fragments.length - 1];
+  const lead = first && first.start > 0 ? '… ' : '';
+  const tail = last && last.end < text.length ? ' …' : '';
+  return { text: lead + parts.join(' … ') + tail, fragments };
+}
+
+function findMatches(
+  text: string,
+  terms: ReadonlySet<string>,
+  analyzer: Analyzer
+): Match[] {
+  const matches: Match[] = [];
+  if (terms.size === 0) return matches;
+  const cache = new Map<string, string[]>();
+  for (const m of text.matchAll(WORD_RE)) {
+    const word = m[0];
+    const start = m.index ?? 0;
+    let wordTerms = cache.get(word);
+    if (!wordTerms) {
+      wordTerms = analyzer.analyze(word).map((t) => t.term);
+      cache.set(word, wordTerms);
+    }
+    const hits = wordTerms.filter((term) => terms.has(term));
+    if (!hits.length) continue;
+    // Segmented words (CJK bigrams) highlight the matched characters only.
+    const inner =
+      wordTerms.length > 1
+        ? hits.flatMap((term) => occurrences(word, term, start))
+        : [];
+    if (inner.length) matches.push(...mergeRanges(inner));
+    else matches.push({ start, end: start + word.length, term: hits[0] });
+  }
+  return matches;
+}
+
+function occurrences(word: string, term: string, offset: number): Match[] {
+  const out: Match[] = [];
+  for (let i = word.indexOf(term); i >= 0; i = word.indexOf(term, i + 1)) {
+    out.push({ start: offset + i, end: offset + i + term.length, term });
+  }
+  return out;
+}
+
+/** Overlapping bigram ranges become one highlight; the first term names it. */
+function mergeRanges(ranges: Match[]): Match[] {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const out: Match[] = [];
+  for (const range of sorted) {
+    const prev = out[out.length - 1];
+    if (prev && range.start < prev.end)
+      prev.end = Math.max(prev.end, range.end);
+    else out.push({ ...range });
+  }
+  return out;
+}
+
+/**
+ * Best window not overlapping `used`: most distinct terms, then most
+ * matches, then earliest. Windows open a little before a match so it has
+ * some leading context, and are widened to whole words.
+ */
+function bestWindow(
+  text: string,
+  matches: Match[],
+  used: SnippetRange[],
+  size: number
+): SnippetRange | undefined {
+  const free = (range: SnippetRange) =>
+    used.every((u) => range.end <= u.start || range.start >= u.end);
+  if (!matches.length) {
+    const range = snapToWords(text, 0, size);
+    return free(range) ? range : undefined;
+  }
+
+  let best: { range: SnippetRange; distinct: number; count: number } | null =
+    null;
+  for (const anchor of matches) {
+    const start = Math.max(0, anchor.start - Math.floor(size / 4));
+    const range = snapToWords(text, start, size);
+    if (!free(range)) continue;
+    const inside = matches.filter(
+      (m) => m.start >= range.start && m.end <= range.end
+    );
+    if (!inside.length) continue;
+    const distinct = new Set(inside.map((m) => m.term)).size;
+    if (
+      !best ||
+      distinct > best.distinct ||
+      (distinct === best.distinct && inside.length > best.count)
+    ) {
+      best = { range, distinct, count: inside.length };
+    }
+  }
+  return best?.range;
+}
+
+/**
+ * Widen `start` back to a word start and pull the end (start + size) back to
+ * a word end, looking at most `SNAP_CHARS` away so text without spaces (CJK)
+ * is cut at the character.
+ */
+function snapToWords(text: string, start: number, size: number): SnippetRange {
+  let from = start;
+  while (from > 0 && start - from < SNAP_CHARS && !/\s/.test(text[from - 1])) {
+    from--;
+  }
+  if (from > 0 && !/\s/.test(text[from - 1])) from = start;
+  let end = Math.min(text.length, from + size);
+  if (end < text.length) {
+    let cut = end;
+    while (cut > from && end - cut < SNAP_CHARS && !/\s/.test(text[cut])) cut--;
+    if (/\s/.test(text[cut])) end = cut;
+  }
+  while (end > from && /\s/.test(text[end - 1])) end--;
+  return { start: from, end };
+}
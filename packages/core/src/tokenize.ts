@@ -4,8 +4,9 @@
  * Provides functions for normalizing strings and splitting them into tokens
  * suitable for indexing and querying. This module deliberately avoids any
  * language‑specific stemming or lemmatization to keep the core simple and
- * deterministic across platforms. Basic Unicode normalization and diacritic
- * stripping are applied to ensure consistent matches.
+ * deterministic across platforms; opt-in stopwords, stemmers and synonyms
+ * are token filters in analyzer.ts. Basic Unicode normalization and
+ * diacritic stripping are applied to ensure consistent matches.
  */
 
 export type Token = { term: string; pos: number };
@@ -26,20 +27,100 @@ export function normalize(s: string): string {
     .replace(/[^\p{L}\p{N}\s-]/gu, ' ');
 }
 
+/**
+ * 'whitespace' (default) emits one term per whitespace-separated word.
+ * 'multilingual' additionally splits scripts written without spaces: CJK runs
+ * (Han, Hiragana, Katakana, Hangul) become overlapping character bigrams and
+ * Thai runs become bigrams of heuristic character clusters.
+ */
+export type Segmentation = 'whitespace' | 'multilingual';
+
+export type TokenizeOptions = { segmentation?: Segmentation };
+
+const CJK_CHARS =
+  '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}\\u30fc';
+const SEGMENTED_RE = new RegExp(`[${CJK_CHARS}\\p{Script=Thai}]`, 'u');
+const SCRIPT_RUN_RE = new RegExp(
+  `([${CJK_CHARS}]+)|(\\p{Script=Thai}+)|[^${CJK_CHARS}\\p{Script=Thai}]+`,
+  'gu'
+);
+const CJK_CHAR_RE = new RegExp(`^[${CJK_CHARS}]$`, 'u');
+const THAI_LEADING_VOWEL_RE = /[\u0e40-\u0e44]/;
+const THAI_FOLLOWING_RE = /[\u0e2f\u0e30\u0e32\u0e33\u0e45\u0e46]/;
+const THAI_DIGIT_RE = /[\u0e50-\u0e59]/;
+
 /** Split a piece of text into tokens with positional information. Each token
  * contains the normalized term and its position in the sequence. Positions
- * increment only on actual tokens, ignoring multiple whitespace separators.
+ * increment only on actual tokens, ignoring multiple whitespace separators,
+ * so consecutive bigrams of one CJK/Thai run have consecutive positions.
  */
-export function tokenize(text: string): Token[] {
+export function tokenize(text: string, opts: TokenizeOptions = {}): Token[] {
   const norm = normalize(text);
   const out: Token[] = [];
   let pos = 0;
   for (const w of norm.split(/\s+/).filter(Boolean)) {
-    out.push({ term: w, pos: pos++ });
+    if (opts.segmentation !== 'multilingual' || !SEGMENTED_RE.test(w)) {
+      out.push({ term: w, pos: pos++ });
+      continue;
+    }
+    for (const term of segmentWord(w)) out.push({ term, pos: pos++ });
+  }
+  return out;
+}
+
+/** True for a term that is one CJK character (Han, kana, Hangul syllable). */
+export function isCjkChar(term: string): boolean {
+  return CJK_CHAR_RE.test(term);
+}
+
+function segmentWord(word: string): string[] {
+  const out: string[] = [];
+  for (const [run, cjk, thai] of word.matchAll(SCRIPT_RUN_RE)) {
+    // NFC recomposes Hangul syllables that normalize() decomposed into jamo.
+    if (cjk) pushBigrams([...cjk.normalize('NFC')], out);
+    else if (thai) pushBigrams(thaiClusters(thai), out);
+    else if (run.replace(/-/g, '')) out.push(run.replace(/^-+|-+$/g, ''));
   }
   return out;
 }
 
+function pushBigrams(units: string[], out: string[]): void {
+  if (units.length === 1) {
+    out.push(units[0]);
+    return;
+  }
+  for (let i = 0; i + 1 < units.length; i++) out.push(units[i] + units[i + 1]);
+}
+
+/**
+ * Dictionary-free Thai clusters: a leading vowel binds the next consonant,
+ * following vowels and repetition marks attach to the previous cluster, and
+ * every other consonant starts a new one. Tone marks and above/below vowels
+ * are already gone (they are combining marks stripped by normalize()).
+ */
+function thaiClusters(run: string): string[] {
+  const clusters: string[] = [];
+  let current = '';
+  let bindNext = false;
+  for (const ch of run) {
+    const digitRun =
+      THAI_DIGIT_RE.test(ch) && THAI_DIGIT_RE.test(current.slice(-1));
+    if (THAI_LEADING_VOWEL_RE.test(ch)) {
+      if (current) clusters.push(current);
+      current = ch;
+      bindNext = true;
+    } else if (bindNext || digitRun || THAI_FOLLOWING_RE.test(ch)) {
+      current += ch;
+      bindNext = false;
+    } else {
+      if (current) clusters.push(current);
+      current = ch;
+    }
+  }
+  if (current) clusters.push(current);
+  return clusters;
+}
+
 /** Parse quoted phrases in a query string. A phrase is a sequence of words
  * enclosed in double quotes. Returns an array of term arrays representing
  * each phrase. Single words outside quotes are ignored here and handled
@@ -54,4 +135,4 @@ export function parsePhrases(q: string): string[][] {
     if (phrase.length > 0) parts.push(phrase);
   }
   return parts;
-}
\ No newline at end of file
+}
@@ -0,0 +1,148 @@
+/*
+ * wildcard.ts
+ *
+ * Prefix and wildcard term queries (`deploy*`, `conf*ion`). Patterns are
+ * resolved against the pack's sorted term list: every term sharing the
+ * literal prefix before the first `*` sits in one contiguous range, found by
+ * binary search, so a lookup never walks the whole lexicon. A query term
+ * that is one CJK character expands the same way, to the indexed bigrams
+ * containing it.
+ */
+
+import { isFieldTerm } from './fields.js';
+import type { Pack } from './pack.runtime.js';
+import { termDocFreq } from './postings.js';
+import { isCjkChar, normalize } from './tokenize.js';
+
+export type WildcardPattern = {
+  /** The pattern as typed, e.g. `deploy*`. */
+  raw: string;
+  /** Normalized literal prefix before the first `*`; never empty. */
+  prefix: string;
+  /** Full-term matcher when the pattern has text after a `*`. */
+  matcher?: RegExp;
+};
+
+/** Default cap on the number of lexicon terms one pattern expands to. */
+export const DEFAULT_MAX_WILDCARD_TERMS = 50;
+
+const sortedTermsCache = new WeakMap<Pack['lexicon'], string[]>();
+const cjkBigramCache = new WeakMap<Pack['lexicon'], Map<string, string[]>>();
+
+/**
+ * Body terms in code-unit order, so every prefix maps to one contiguous range.
+ * Field terms (fields.ts) are left out; patterns only match body text.
+ */
+export function sortLexicon(lexicon: Pack['lexicon']): string[] {
+  return [...lexicon.keys()].filter((term) => !isFieldTerm(term)).sort();
+}
+
+/** The pack's sorted terms: set at mount, built once for packs assembled elsewhere. */
+export function getSortedTerms(
+  pack: Pick<Pack, 'lexicon' | 'sortedTerms'>
+): string[] {
+  if (pack.sortedTerms) return pack.sortedTerms;
+  let terms = sortedTermsCache.get(pack.lexicon);
+  if (!terms) {
+    terms = sortLexicon(pack.lexicon);
+    sortedTermsCache.set(pack.lexicon, terms);
+  }
+  return terms;
+}
+
+/**
+ * Parse one query word containing `*` (see query_parse.ts). Returns
+ * `undefined` for patterns without a literal prefix (`*ing`).
+ */
+export function parseWildcard(raw: string): WildcardPattern | undefined {
+  const parts = raw
+    .split('*')
+    .map((part) => normalize(part).replace(/\s+/g, ''));
+  const prefix = parts[0];
+  if (!prefix) return undefined;
+  const rest = parts.slice(1);
+  if (rest.every((part) => !part)) return { raw, prefix };
+  const source = parts.map(escapeRegExp).join('.*');
+  return { raw, prefix, matcher: new RegExp(`^${source}$`, 'u') };
+}
+
+/**
+ * Lexicon terms matching `pattern`. When more than `limit` terms match, the
+ * ones occurring in the most blocks are kept (ties by term).
+ */
+export function expandWildcard(
+  pack: Pick<Pack, 'lexicon' | 'sortedTerms' | 'postings' | 'termIndex'>,
+  pattern: WildcardPattern,
+  limit = DEFAULT_MAX_WILDCARD_TERMS
+): string[] {
+  const terms = getSortedTerms(pack);
+  let lo = 0;
+  let hi = terms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (terms[mid] < pattern.prefix) lo = mid + 1;
+    else hi = mid;
+  }
+
+  const matches: string[] = [];
+  for (let i = lo; i < terms.length; i++) {
+    const term = terms[i];
+    if (!term.startsWith(pattern.prefix)) break;
+    if (pattern.matcher && !pattern.matcher.test(term)) continue;
+    matches.push(term);
+  }
+  return mostFrequent(pack, matches, limit);
+}
+
+/**
+ * Lexicon terms for a query term that is one CJK character. Multilingual
+ * segmentation indexes CJK runs as bigrams, so the character alone is only
+ * indexed for one-character runs; it also matches every bigram containing
+ * it, capped like a wildcard.
+ */
+export function expandCjkChar(
+  pack: Pick<Pack, 'lexicon' | 'postings' | 'termIndex'>,
+  char: string,
+  limit = DEFAULT_MAX_WILDCARD_TERMS
+): string[] {
+  let bigrams = cjkBigramCache.get(pack.lexicon);
+  if (!bigrams) {
+    bigrams = new Map();
+    for (const term of pack.lexicon.keys()) {
+      if (term.length > 4) continue;
+      const chars = [...term];
+      if (chars.length !== 2 || !chars.every(isCjkChar)) continue;
+      for (const ch of new Set(chars)) {
+        bigrams.set(ch, [...(bigrams.get(ch) ?? []), term]);
+      }
+    }
+    cjkBigramCache.set(pack.lexicon, bigrams);
+  }
+  const terms = bigrams.get(char) ?? [];
+  return mostFrequent(
+    pack,
+    pack.lexicon.has(char) ? [char, ...terms] : terms,
+    limit
+  );
+}
+
+/** `terms` when within `limit`, else the `limit` found in the most blocks (ties by term). */
+function mostFrequent(
+  pack: Pick<Pack, 'lexicon' | 'postings' | 'termIndex'>,
+  terms: string[],
+  limit: number
+): string[] {
+  if (terms.length <= limit) return terms;
+  return terms
+    .map((term) => ({
+      term,
+      df: termDocFreq(pack, pack.lexicon.get(term) as number),
+    }))
+    .sort((a, b) => b.df - a.df || (a.term < b.term ? -1 : 1))
+    .slice(0, limit)
+    .map((entry) => entry.term);
+}
+
+function escapeRegExp(s: string): string {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -175,6 +175,117 @@ test('merged corpus probe', async () => {
   );
 });
 
+test('chunked pack probe', async () => {
+  const words = (prefix, n) =>
+    Array.from({ length: n }, (_, i) => `${prefix}${i}`).join(' ');
+  const chunking = { strategy: 'tokens', maxTokens: 100, overlap: 10 };
+  const base = await mountPack({
+    src: await buildPack(
+      [
+        { id: 'a', heading: 'Doc A', text: `${words('alpha', 250)} needle` },
+        { id: 'b', text: words('beta', 20) },
+      ],
+      { chunking }
+    ),
+  });
+  assert.ok(base.docIds.filter((id) => id === 'a').length > 1);
+
+  const chunksOf = (pack, docId) =>
+    pack.blocks.filter((_, bid) => pack.docIds[bid] === docId);
+
+  const live = await createLivePack(base);
+  await live.addDocument({ id: 'c', text: words('gamma', 150) });
+  await live.updateDocument({ id: 'b', text: 'beta rewritten' });
+
+  const roundTrip = await mountPack({ src: await live.serialize() });
+  assert.deepEqual(roundTrip.meta.chunking, base.meta.chunking);
+  assert.deepEqual(chunksOf(roundTrip, 'a'), chunksOf(base, 'a'));
+  assert.equal(roundTrip.headings[roundTrip.docIds.indexOf('a')], 'Doc A');
+  assert.equal(chunksOf(roundTrip, 'c').length, 2);
+  assert.deepEqual(chunksOf(roundTrip, 'b'), ['beta rewritten']);
+  assert.equal(live.query('needle', { topK: 1 })[0].source, 'a');
+});
+
+test('untouched docs keep their blocks probe', async () => {
+  const guide = [
+    '# Deploy guide',
+    'Intro to **deploying** the gateway.',
+    '## Rollout',
+    'Roll out with a token. Watch the `metrics` dashboard.',
+    '',
+    'Second paragraph about canaries and rollbacks.',
+    '### Rollback',
+    Array.from({ length: 60 }, (_, i) => `step${i}`).join(' '),
+  ].join('\n');
+  const docs = [
+    { id: 'guide', heading: 'Guide', text: guide },
+    { id: 'notes', text: '# Notes\nShort notes on the *gateway*.' },
+  ];
+  const blocksOf = (pack, docId) =>
+    pack.blocks.flatMap((text, bid) =>
+      pack.docIds[bid] === docId
+        ? [
+            {
+              text,
+              heading: pack.headings[bid],
+              namespace: pack.namespaces[bid],
+              breadcrumb: pack.blockBreadcrumbs[bid],
+              chunk: pack.blockChunks[bid],
+            },
+          ]
+        : []
+    );
+
+  for (const chunking of [
+    { strategy: 'paragraph' },
+    { strategy: 'tokens', maxTokens: 20, overlap: 5 },
+  ]) {
+    const base = await mountPack({
+      src: await buildPack(docs, {
+        chunking,
+        markdown: { mode: 'structured' },
+      }),
+    });
+    const live = await createLivePack(base);
+    await live.addDocument({ id: 'added', text: 'A new doc about gateways.' });
+    await live.removeDocument('notes');
+    const roundTrip = await mountPack({ src: await live.serialize() });
+    assert.deepEqual(
+      blocksOf(roundTrip, 'guide'),
+      blocksOf(base, 'guide'),
+      chunking.strategy
+    );
+    assert.deepEqual(blocksOf(roundTrip, 'notes'), []);
+    assert.equal(live.query('canaries', { topK: 1 })[0].source, 'guide');
+  }
+});
+
+test('serialize keeps pack format probe', async () => {
+  const docs = [{ id: 'a', text: 'alpha beta' }];
+  const serialized = async (opts) => {
+    const live = await createLivePack(
+      await mountPack({ src: await buildPack(docs, opts) })
+    );
+    await live.addDocument({ id: 'b', text: 'gamma delta' });
+    return await mountPack({ src: await live.serialize() });
+  };
+  const sectionNames = (pack) => pack.sections.map((section) => section.name);
+
+  const v4 = await serialized({ packVersion: 4 });
+  assert.equal(v4.meta.version, 4);
+  assert.ok(sectionNames(v4).includes('integrity'));
+
+  const unchecked = await serialized({
+    packVersion: 4,
+    integrity: { checksums: false },
+  });
+  assert.equal(unchecked.meta.version, 4);
+  assert.ok(!sectionNames(unchecked).includes('integrity'));
+
+  const v3 = await serialized({});
+  assert.equal(v3.meta.version, 3);
+});
+
 test('validation probe', async () => {
   const base = await mountPack({
     src: await buildPack([
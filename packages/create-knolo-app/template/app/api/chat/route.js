@@ -23,11 +23,11 @@ export async function POST(request) {
   }
 
   const kb = await mountPack({ src: PACK_PATH });
-  const hits = query(kb, message, { topK: 4 }).map((hit) => ({
+  const hits = query(kb, message, { topK: 4, snippet: { windowChars: 220 } }).map((hit) => ({
     title: kb.headings?.[hit.blockId] || hit.source || `Block ${hit.blockId}`,
     path: kb.docIds?.[hit.blockId] || hit.source,
     score: hit.score,
-    snippet: hit.text.replace(/\s+/g, ' ').slice(0, 220),
+    snippet: hit.snippet?.text ?? hit.text.replace(/\s+/g, ' ').slice(0, 220),
   }));
 
   const answer =
@@ -29,7 +29,7 @@ export class KnoLoRetriever {
 
   async getRelevantDocuments(queryText) {
     const pack = await this._getPack();
-    const hits = query(pack, queryText, { topK: this.topK });
+    const hits = query(pack, queryText, { topK: this.topK, snippet: true });
     return hits.map(
       (hit) =>
         new Document({
@@ -39,6 +39,8 @@ export class KnoLoRetriever {
             source: hit.source ?? null,
             namespace: hit.namespace ?? null,
             id: hit.blockId,
+            snippet: hit.snippet?.text ?? null,
+            highlights: hit.snippet?.fragments.flatMap((fragment) => fragment.highlights) ?? [],
           },
         })
     );
@@ -19,4 +19,6 @@ test('KnoLoRetriever returns LangChain-style document metadata', async () => {
   assert.equal(docs[0].metadata.source, 'doc-1');
   assert.equal(docs[0].metadata.namespace, 'docs');
   assert.equal(typeof docs[0].metadata.id, 'number');
+  const [first] = docs[0].metadata.highlights;
+  assert.equal(docs[0].pageContent.slice(first.start, first.end), 'LangChain');
 });